@@ -35,6 +35,24 @@ export const config = {
     "#a9a9a9",
   ],
 
+  // Requirement badges drawn on restricted mutation edges (glyph per condition type)
+  requirementBadges: {
+    temperature: "°",
+    humidity: "%",
+    biome: "B",
+    block: "■",
+    dateRange: "D",
+    moonPhase: "☾",
+    timeOfDay: "☀",
+    requireExplosion: "✹",
+    requirePlayer: "P",
+    thaumcraftVis: "V",
+    runtimeConditions: "⚙",
+    isSecret: "?",
+    multiple: "!",
+  },
+  requirementBadgeRadius: 7,
+
   // Zoom settings
   zoomScaleExtent: [0.3, 2],
   zoomPadding: 150,
@@ -42,10 +60,146 @@ export const config = {
 
   // Search settings
   searchDebounceDelay: 500, // Milliseconds to wait after user stops typing before executing search
+  searchSuggestionLimit: 8, // Autocomplete entries shown under the search box
+  searchResultLimit: 10, // Ranked species shown in the search dropdown
+
+  // Path view - breeding paths between two species
+  pathListLimit: 20, // Paths listed, best first
+  pathSearchLimit: 20000, // Partial paths expanded before giving up on more
+
+  // URL state - milliseconds to wait after a change before updating the hash
+  urlStateDelay: 300,
+
+  // Export - SVG, PNG and printable poster of the rendered tree
+  exportPadding: 40, // Margin around the exported nodes
+  exportPixelRatio: 3, // PNG pixels per SVG unit
+  maxExportCanvasSize: 16384, // Browsers refuse larger canvases
+  poster: {
+    page: { width: 297, height: 210, margin: 8, captionHeight: 8 }, // A4 landscape, mm
+    overlap: 0.05, // Share of a tile repeated on the neighbouring pages
+  },
+
+  // Renderer - "auto" draws on a canvas above canvasNodeThreshold species,
+  // "svg" and "canvas" force one of them
+  renderer: "auto",
+  canvasNodeThreshold: 250,
+
+  // Tree engine worker - the page loads d3 and jsonc-parser as scripts, the
+  // worker imports these module builds instead
+  engineModules: {
+    d3: "https://cdn.jsdelivr.net/npm/d3@7/+esm",
+    jsoncParser: "https://cdn.jsdelivr.net/npm/jsonc-parser@3.2.0/+esm",
+  },
 
-  // Layout modes
+  // Layout modes - the layout button steps through them in this order
   layoutModes: {
     SPLIT: "split",
     COLUMN: "column",
+    LAYERED: "layered",
+  },
+  layoutModeLabels: {
+    split: "Split",
+    column: "Column",
+    layered: "Layered",
+  },
+
+  // Layered layout - crossing reduction and routing of long edges
+  layered: {
+    sweeps: 12, // Barycenter ordering sweeps, alternating down and up
+    straightenPasses: 8, // Passes pulling nodes toward connected nodes
+    edgeGap: 10, // Room around an edge routed through a column
+    dummyWeight: 4, // How much more edges resist bending than nodes moving
+  },
+
+  // View changes (full tree <-> filtered view, filtered layouts) move the
+  // species to their new positions over this many milliseconds
+  viewTransitionDuration: 750,
+
+  // Filtered view layouts - the layout button steps through these while only
+  // a lineage or breeding paths are shown
+  filteredLayouts: {
+    TREE: "tree",
+    COLUMN: "column",
+    RADIAL: "radial",
+    FORCE: "force",
+  },
+  filteredLayoutLabels: {
+    tree: "Tree",
+    column: "Column",
+    radial: "Radial",
+    force: "Force",
+  },
+  radial: {
+    ringSpacing: 160, // Minimum distance between rings
+    nodeArc: 90, // Room per species along a ring
+  },
+  force: {
+    linkDistance: 160,
+    charge: -400, // Repulsion between all species
+    collidePadding: 10, // Added to half the node width for the collision radius
+  },
+
+  // Edge modes - direct parent->child links, or one junction node per parent pair
+  edgeModes: {
+    DIRECT: "direct",
+    JUNCTION: "junction",
+  },
+  junctionRadius: 5,
+  junctionLinkColor: "#555",
+  junctionSpacing: 40, // Extra horizontal room between generations for junction nodes
+
+  // Product layer - one node per produced item, in a column right of the tree
+  productSpacing: 120, // Gap between the rightmost bee and the product column
+  productNodeHeight: 18,
+  productNodeGap: 4,
+  productLinkColor: "#bbb",
+  specialtyLinkColor: "#f57f17",
+
+  // Resource planner - Forestry bees roll their products once per work cycle,
+  // scaled by the species' speed trait
+  productCycleSeconds: 27.5, // 550 ticks
+  speedMultipliers: {
+    SLOWEST: 0.3,
+    SLOWER: 0.6,
+    SLOW: 0.8,
+    NORMAL: 1,
+    FAST: 1.2,
+    FASTER: 1.4,
+    FASTEST: 1.7,
+    ROBOTIC: 2,
+  },
+  defaultSpeed: "NORMAL", // Used when a species has no speed in the data
+
+  // Production calculator - all multipliers of a housing setup are multiplied together
+  housingTypes: {
+    apiary: { label: "Apiary", productionModifier: 1, frameSlots: 3 },
+    alveary: { label: "Alveary", productionModifier: 1, frameSlots: 0 },
+  },
+  hiveFrames: {
+    untreated: { label: "Untreated Frame", productionModifier: 2 },
+    impregnated: { label: "Impregnated Frame", productionModifier: 2 },
+    proven: { label: "Proven Frame", productionModifier: 2 },
+  },
+
+  // Breeding simulator (Monte Carlo over whole breeding plans)
+  simulation: {
+    runs: 2000,
+    maxGenerations: 500, // Per plan step, runs that need more stop there (censored)
+    progressEvery: 100, // Runs between progress reports
+    fertilityDrones: { LOW: 1, NORMAL: 2, HIGH: 3, MAXIMUM: 4 },
+    defaultDrones: 2, // Used when a species has no fertility in the data
+    histogramBins: 30,
+    histogramWidth: 220,
+    histogramHeight: 60,
+  },
+
+  // Chance encoding - edge width and opacity on a log scale of the mutation chance
+  chanceEncoding: {
+    minChance: 0.0005,
+    maxChance: 0.6,
+    minWidth: 1,
+    maxWidth: 8,
+    minOpacity: 0.3,
+    maxOpacity: 1,
   },
 };
@@ -1,18 +1,123 @@
 /**
  * Main application for bee breeding tree visualization
  */
-import { buildHierarchy } from "../data/beeProcessor.js";
-import { loadBeeData } from "../data/dataLoader.js";
-import { renderEdges } from "../visualization/edgeRenderer.js";
-import { positionNodes } from "../visualization/layout.js";
-import { renderNodes } from "../visualization/nodeRenderer.js";
+import { buildJunctionLinks } from "../data/beeProcessor.js";
+import { planBreedingPath } from "../data/breedingProcessor.js";
+import { getDataUrl } from "../data/dataLoader.js";
+import {
+  collectRequirementValues,
+  evaluateMutation,
+  loadEnvironment,
+  saveEnvironment,
+} from "../data/environment.js";
+import { rankSpecies } from "../data/fuzzySearch.js";
+import {
+  computeInventoryState,
+  getInventoryStatus,
+  loadOwnedSpecies,
+  saveOwnedSpecies,
+} from "../data/inventory.js";
+import {
+  buildPlanDocument,
+  formatPlan,
+  planExportFormats,
+} from "../data/planExport.js";
+import {
+  calculateProduction,
+  getHousingMultiplier,
+  loadHousing,
+  productionToCsvRows,
+  saveHousing,
+} from "../data/production.js";
+import { findProductItem, getSpeciesProducts } from "../data/products.js";
+import { rankProducers } from "../data/resourcePlanner.js";
+import {
+  compileSearchQuery,
+  getQueryCompletions,
+  getSpeciesIdPrefixes,
+  isStructuredQuery,
+  parseSearchQuery,
+} from "../data/searchQuery.js";
+import {
+  buildSimulationInput,
+  simulateBreedingPlan,
+} from "../data/simulator.js";
+import {
+  getTraitValues,
+  planTraitTransfer,
+  traitDefinitions,
+} from "../data/traitPlanner.js";
+import { TreeEngineClient } from "../data/treeEngineClient.js";
+import { renderDataIssues, summarizeIssues } from "../ui/dataIssues.js";
+import { renderModFilters } from "../ui/filters.js";
+import {
+  renderParentCombinations,
+  renderProduction,
+  renderProductList,
+  renderSimulationResult,
+} from "../ui/infoPanel.js";
+import { renderPathList } from "../ui/pathPanel.js";
+import { renderPlannerTable } from "../ui/resourcePlanner.js";
+import { renderSearchSuggestions } from "../ui/searchSuggestions.js";
+import {
+  readWantedTraits,
+  renderTraitControls,
+  renderTraitPlan,
+} from "../ui/traitPlanner.js";
+import {
+  downloadFile,
+  formatAttempts,
+  formatChance,
+  toCsv,
+} from "../utils/helpers.js";
+import { decodeViewState, encodeViewState } from "../utils/urlState.js";
+import { CanvasRenderer } from "../visualization/canvasRenderer.js";
+import {
+  applyChanceEncoding,
+  assignTargetOffsets,
+  buildLinkPath,
+  positionLinkLabels,
+  renderEdges,
+} from "../visualization/edgeRenderer.js";
+import {
+  createForceLayout,
+  positionRadialLayout,
+} from "../visualization/filteredLayouts.js";
+import {
+  positionChildlessColumns,
+  positionJunctions,
+} from "../visualization/layout.js";
+import {
+  applyInventoryStyles,
+  getBorderColors,
+  renderJunctionNodes,
+  renderNodes,
+} from "../visualization/nodeRenderer.js";
+import {
+  buildProductLayer,
+  buildProductLinkPath,
+  positionProductNodes,
+  renderProductLayer,
+} from "../visualization/productRenderer.js";
+import {
+  buildPosterDocument,
+  buildSvgDocument,
+  cloneStyledTree,
+  svgToPngBlob,
+} from "../visualization/svgExport.js";
 import { config } from "./config.js";
 
 export class BeeBreedingApp {
   constructor() {
-    this.useColumnLayoutForLeaves = false;
+    this.layoutMode = config.layoutModes.SPLIT; // One of config.layoutModes
+    this.filteredLayout = config.filteredLayouts.TREE; // One of config.filteredLayouts
+    this.useJunctionNodes = false; // Draw one junction node per parent pair
+    this.useChanceEncoding = false; // Scale edge width/opacity with mutation chance
+    this.showChanceLabels = false; // Print the chance at the child end of every edge
     this.beeData = null;
-    this.fullHierarchyData = null; // Store full unfiltered hierarchy
+    this.combs = {}; // Comb item ID -> { name, producers }
+    this.mods = []; // Mod manifest entries from data/mods.json
+    this.dataWarnings = []; // Species/mutations skipped while loading
     this.hierarchyData = null;
     this.nodes = [];
     this.links = [];
@@ -22,38 +127,91 @@ export class BeeBreedingApp {
     this.svg = null;
     this.g = null;
     this.link = null;
+    this.linkLabel = null;
     this.node = null;
+    this.junctions = [];
+    this.junctionMap = new Map(); // Junctions being rendered, empty in direct edge mode
+    this.junction = null;
     this.zoom = null;
     this.isFilteredView = false;
     this.originalPositions = new Map();
+    this.filteredSubgraph = null; // Arguments of the last showFilteredSubgraph
+    this.forceSimulation = null; // Running in the force filtered layout
     this.currentSelectedNode = null;
-    // Will be populated from HTML checkboxes on initialization
+    // Mods present in the loaded data, all selected after loading
+    this.modCounts = [];
     this.selectedMods = new Set();
     this.isModFiltered = false;
+    // Species the player owns, persisted in localStorage
+    this.ownedSpecies = loadOwnedSpecies();
+    this.isInventoryMode = false;
+    this.inventoryState = null;
+    // Environment profile used to rule out mutations (persisted in localStorage)
+    this.environment = loadEnvironment();
+    this.enums = {};
+    this.speciesIdPrefixes = new Set(); // Mod prefixes of the species IDs, for search
+    this.mutationEvaluations = new Map(); // Species ID -> evaluation per mutation
+    this.unobtainableIds = new Set();
+    this.dataIssues = []; // Results of validateData
+    // Product layer - item nodes attached to the bees that produce them
+    this.productIndex = new Map(); // Item ID -> producers (from buildProductIndex)
+    this.showProducts = false;
+    this.productNodes = [];
+    this.productMap = new Map();
+    this.productNode = null;
+    this.productLink = null;
+    this.highlightedItemId = null; // Item found by reverse lookup
+    // Housing used by the production calculator (persisted in localStorage)
+    this.housing = loadHousing();
+    this.simulationWorker = null; // Running breeding simulation, if any
+    // Path mode - shift-click (or click in path mode) a source, then a target
+    this.isPathMode = false;
+    this.pathSourceNode = null;
+    // View state mirrored in the URL hash (see src/utils/urlState.js)
+    this.urlStateTimeout = null;
+    this.isApplyingUrlState = false;
+    // Paints large trees on a canvas instead of the SVG (see updateRenderer)
+    this.canvasRenderer = null;
+    this.canvasHoverEvent = null; // Latest pointer move, handled once a frame
+    this.canvasHoverFrame = null;
+    this.borderLinksByTarget = new Map(); // Links coloring the node borders
+    // Loading, mod filtering, layout and path searches (usually in a worker)
+    this.engine = new TreeEngineClient();
+    this.layoutRequest = 0; // Latest layout, older results are dropped
+    this.pathRequest = 0; // Latest path search, likewise
+    this.lineageRequest = 0; // Latest ancestors/descendants query, likewise
   }
 
   async initialize() {
     console.log("Initializing BeeBreedingApp...");
 
     try {
-      // Read checkbox states FIRST, before building hierarchy
-      this.readCheckboxStates();
-
-      // Load and process data
-      this.beeData = await loadBeeData();
+      // Load and process data (enabled mods from data/mods.json), then lay
+      // out the tree - both in the engine, with progress shown meanwhile
+      const showProgress = (progress) => this.showLoadingProgress(progress);
+      const loadResult = await this.engine.request(
+        "load",
+        { basePath: getDataUrl() },
+        showProgress
+      );
+      this.beeData = loadResult.beeData;
+      this.speciesIdPrefixes = getSpeciesIdPrefixes(this.beeData);
+      this.combs = loadResult.combs;
+      this.mods = loadResult.mods;
+      this.dataWarnings = loadResult.warnings;
+      this.enums = loadResult.enums; // Environment and validation dropdowns
+      this.dataIssues = loadResult.dataIssues;
+      this.productIndex = loadResult.productIndex;
       console.log("Loaded bee data:", Object.keys(this.beeData).length, "bees");
+      if (this.dataWarnings.length > 0) {
+        console.warn(`${this.dataWarnings.length} data loading warning(s)`);
+      }
 
-      // Build full hierarchy and store it
-      this.fullHierarchyData = buildHierarchy(this.beeData);
-
-      // Filter data based on checkbox states
-      let filteredBeeData = this.getFilteredBeeData();
+      // Mod filter entries come from the `mod` values in the data
+      this.modCounts = loadResult.modCounts;
+      this.selectedMods = new Set(this.modCounts.map((mod) => mod.key));
 
-      // Build hierarchy with filtered data
-      this.hierarchyData = buildHierarchy(filteredBeeData);
-      this.nodes = this.hierarchyData.nodes;
-      this.links = this.hierarchyData.links;
-      this.nodeMap = this.hierarchyData.nodeMap;
+      await this.layoutTree(showProgress);
 
       console.log(
         "Built hierarchy with",
@@ -71,23 +229,6 @@ export class BeeBreedingApp {
         console.warn("WARNING: No links found in hierarchy!");
       }
 
-      // Calculate node widths BEFORE positioning
-      this.nodes.forEach((node) => {
-        const text = node.name || node.id;
-        node.width = Math.max(100, text.toUpperCase().length * 9 + 30);
-      });
-
-      // Position nodes (now with widths set)
-      positionNodes(
-        this.nodes,
-        this.useColumnLayoutForLeaves
-          ? config.layoutModes.COLUMN
-          : config.layoutModes.SPLIT
-      );
-
-      // Assign colors intelligently after positions are calculated
-      this.nodeColors = this.assignNodeColors(this.nodes, this.nodeMap);
-
       // Set up SVG
       this.setupSVG();
 
@@ -118,19 +259,118 @@ export class BeeBreedingApp {
       // Set up search
       this.setupSearch();
 
+      // Set up owned-species inventory controls
+      this.setupInventory();
+
+      // Set up environment profile controls
+      this.setupEnvironment();
+
+      // Set up housing for the production calculator
+      this.setupHousing();
+
+      // Set up data issues report
+      this.setupDataIssues();
+
+      // Set up resource planner
+      this.setupResourcePlanner();
+
+      // Set up trait planner
+      this.setupTraitPlanner();
+
+      // Set up SVG/PNG/poster export
+      this.setupExport();
+
       // Set up resize handler
       this.setupResizeHandler();
 
-      // Initial fit (show all bees)
-      this.fitView();
+      // Restore the view from the URL hash, or show all bees
+      this.setupUrlState();
 
+      this.hideLoadingProgress();
       console.log("Initialization complete");
     } catch (error) {
       console.error("Error during initialization:", error);
+      this.hideLoadingProgress();
       throw error;
     }
   }
 
+  /**
+   * Status line and progress bar over the empty page while loading
+   *
+   * @param {Object} progress - { message, completed, total } from the engine
+   */
+  showLoadingProgress(progress) {
+    const overlay = document.getElementById("loadingOverlay");
+    if (!overlay) return;
+    overlay.style.display = "flex";
+    document.getElementById("loadingStatus").textContent = progress.message;
+
+    // Without a total the bar shows activity only
+    const bar = document.getElementById("loadingProgress");
+    if (progress.total) {
+      bar.max = progress.total;
+      bar.value = progress.completed;
+    } else {
+      bar.removeAttribute("value");
+    }
+  }
+
+  hideLoadingProgress() {
+    const overlay = document.getElementById("loadingOverlay");
+    if (overlay) {
+      overlay.style.display = "none";
+    }
+  }
+
+  /**
+   * Filter by the selected mods, lay out and color the tree in the engine
+   *
+   * @returns {Promise<boolean>} False when a newer layout was requested
+   *   meanwhile (this one is dropped)
+   */
+  async layoutTree(onProgress) {
+    const request = ++this.layoutRequest;
+    const result = await this.engine.request(
+      "layout",
+      {
+        selectedMods: Array.from(this.selectedMods),
+        layoutMode: this.layoutMode,
+        edgeMode: this.getEdgeMode(),
+      },
+      onProgress
+    );
+    if (request !== this.layoutRequest) return false;
+
+    this.hierarchyData = result;
+    this.nodes = result.nodes;
+    this.links = result.links;
+    this.nodeMap = result.nodeMap;
+    this.junctions = result.junctions;
+    this.nodeColors = result.nodeColors;
+    this.isModFiltered = result.isModFiltered;
+    return true;
+  }
+
+  /**
+   * Lay out the current species again for the current layout and edge mode,
+   * keeping their colors
+   *
+   * @returns {Promise<boolean>} False when a newer layout was requested
+   *   meanwhile (this one is dropped)
+   */
+  async repositionNodes() {
+    const request = ++this.layoutRequest;
+    const positions = await this.engine.request("position", {
+      layoutMode: this.layoutMode,
+      edgeMode: this.getEdgeMode(),
+    });
+    if (request !== this.layoutRequest) return false;
+
+    this.nodes.forEach((node) => Object.assign(node, positions[node.id]));
+    return true;
+  }
+
   setupSVG() {
     this.svg = d3
       .select("#tree-svg")
@@ -138,6 +378,147 @@ export class BeeBreedingApp {
       .attr("height", "100vh");
 
     this.g = this.svg.append("g");
+
+    const canvas = document.getElementById("tree-canvas");
+    if (canvas) {
+      this.canvasRenderer = new CanvasRenderer(canvas, this.svg.node(), () =>
+        this.getCanvasScene()
+      );
+    }
+  }
+
+  /**
+   * Draw on the canvas when the tree has more species than
+   * config.canvasNodeThreshold (or always/never, see config.renderer). Falls
+   * back to SVG when the browser has no 2D canvas.
+   */
+  updateRenderer() {
+    if (!this.canvasRenderer) return;
+    const useCanvas =
+      config.renderer === "canvas" ||
+      (config.renderer === "auto" &&
+        this.nodes.length > config.canvasNodeThreshold);
+    this.canvasRenderer.setActive(useCanvas);
+    if (!this.canvasRenderer.isActive) {
+      this.hideCanvasTooltip();
+    }
+  }
+
+  /**
+   * What the canvas renderer draws: the bound data of the species, links,
+   * junctions and products, and a state map from each datum to its flags.
+   * Highlighting and visibility come from the classes and display the views
+   * set, the rest from the app's own state.
+   */
+  getCanvasScene() {
+    const state = new Map();
+    const readState = (selection, getExtra = () => ({})) => {
+      if (!selection) return;
+      selection.each(function (d) {
+        const classes = this.classList;
+        state.set(d, {
+          hidden: this.style.display === "none",
+          highlighted: classes.contains("highlighted"),
+          connected: classes.contains("connected"),
+          faded: classes.contains("faded"),
+          ...getExtra(d, this),
+        });
+      });
+    };
+
+    readState(this.node, (d, element) => ({
+      pinned: element.classList.contains("pinned"),
+      selected: element.querySelector(".outer-selection-border") !== null,
+      unobtainable: this.unobtainableIds.has(d.id),
+      inventory: this.inventoryState
+        ? getInventoryStatus(this.inventoryState, d.id)
+        : null,
+    }));
+    readState(this.link, (d) => ({
+      infeasible: !this.isLinkFeasible(d),
+      // Junction outputs are always labelled, other links only on request
+      labelled: d.type === "junction-out" || this.showChanceLabels,
+    }));
+    readState(this.junction);
+    readState(this.productNode);
+    readState(this.productLink);
+
+    return {
+      nodes: this.node.data(),
+      links: this.link.data(),
+      junctions: this.junction ? this.junction.data() : [],
+      productNodes: this.productNode ? this.productNode.data() : [],
+      productLinks: this.productLink ? this.productLink.data() : [],
+      state,
+      nodeMap: this.nodeMap,
+      junctionMap: this.junctionMap,
+      productMap: this.productMap,
+      nodeColors: this.nodeColors,
+      borderLinks: this.borderLinksByTarget,
+      chanceEncoding: this.useChanceEncoding,
+    };
+  }
+
+  // Redraw the canvas on the next frame after the tree changed
+  requestCanvasUpdate() {
+    if (this.canvasRenderer) {
+      this.canvasRenderer.requestUpdate();
+    }
+  }
+
+  /**
+   * Species node under the pointer when the canvas renderer is drawing
+   */
+  findCanvasNode(event) {
+    if (!this.canvasRenderer || !this.canvasRenderer.isActive) return null;
+    const node = this.canvasRenderer.findNode(event.clientX, event.clientY);
+    return node ? this.node.filter((d) => d === node).node() : null;
+  }
+
+  // Pointer moves come faster than frames; only the latest one is looked up
+  updateCanvasHover(event) {
+    if (!this.canvasRenderer || !this.canvasRenderer.isActive) return;
+    this.canvasHoverEvent = event;
+    if (this.canvasHoverFrame !== null) return;
+    this.canvasHoverFrame = requestAnimationFrame(() => {
+      this.canvasHoverFrame = null;
+      this.showCanvasHover(this.canvasHoverEvent);
+    });
+  }
+
+  showCanvasHover(event) {
+    if (!this.canvasRenderer.isActive) return;
+
+    // Same feedback as in SVG mode: pointer over nodes, titles of links and junctions
+    const item = this.canvasRenderer.findItem(event.clientX, event.clientY);
+    this.svg.style("cursor", item ? "pointer" : null);
+
+    const selection =
+      item &&
+      { node: this.node, junction: this.junction, link: this.link }[item.type];
+    const element =
+      selection && selection.filter((d) => d === item.datum).node();
+    const title = element && element.querySelector(":scope > title");
+    if (!title) {
+      this.hideCanvasTooltip();
+      return;
+    }
+    const tooltip = document.getElementById("canvasTooltip");
+    tooltip.textContent = title.textContent;
+    tooltip.style.left = `${event.clientX + 12}px`;
+    tooltip.style.top = `${event.clientY + 12}px`;
+    tooltip.style.display = "block";
+  }
+
+  hideCanvasTooltip() {
+    if (this.canvasHoverFrame !== null) {
+      cancelAnimationFrame(this.canvasHoverFrame);
+      this.canvasHoverFrame = null;
+    }
+    const tooltip = document.getElementById("canvasTooltip");
+    if (tooltip) {
+      tooltip.style.display = "none";
+    }
   }
 
   renderVisualization() {
@@ -147,28 +528,37 @@ export class BeeBreedingApp {
     this.linksByTarget = d3.group(this.links, (d) => d.target);
 
     // Determine current layout mode
-    const layoutMode = this.useColumnLayoutForLeaves
-      ? config.layoutModes.COLUMN
-      : config.layoutModes.SPLIT;
+    const layoutMode = this.layoutMode;
+
+    // Evaluate mutations against the environment before anything is drawn
+    this.evaluateEnvironment();
+
+    // In junction mode each parent pair becomes a junction between parents and children
+    this.junctionMap = new Map();
+    if (this.useJunctionNodes) {
+      positionJunctions(this.junctions, this.nodes);
+      this.junctions.forEach((junction) =>
+        this.junctionMap.set(junction.id, junction)
+      );
+    }
 
     // Render edges (now nodes have their widths set)
     const edgeResult = renderEdges(
       this.g,
-      this.links,
+      this.useJunctionNodes ? buildJunctionLinks(this.junctions) : this.links,
       this.nodes,
       this.nodeMap,
       this.nodeColors,
-      layoutMode
+      layoutMode,
+      this.junctionMap
     );
     this.link = edgeResult.link;
+    this.linkLabel = edgeResult.linkLabel;
+    applyChanceEncoding(this.link, this.nodeMap, this.useChanceEncoding);
 
-    // In COLUMN layout mode, hide edges to childless nodes (unless in filtered mode)
-    if (layoutMode === config.layoutModes.COLUMN && !this.isFilteredView) {
-      this.link.style("display", (d) => {
-        const targetNode = this.nodeMap.get(d.target);
-        return targetNode.children.length > 0 ? null : "none";
-      });
-    }
+    this.junction = this.useJunctionNodes
+      ? renderJunctionNodes(this.g, this.junctions).junction
+      : null;
 
     // Render nodes
     const nodeResult = renderNodes(
@@ -180,32 +570,375 @@ export class BeeBreedingApp {
     );
     this.node = nodeResult.node;
 
+    this.renderProducts();
+
     // Set up node click handlers
     this.setupNodeInteractions();
+
+    // Grey out mutations that cannot happen in the current environment
+    this.applyEnvironmentStyles();
+
+    // Re-apply inventory styles to the freshly rendered nodes
+    if (this.isInventoryMode) {
+      this.updateInventoryView();
+    }
+
+    // Link visibility, edge offsets and borders, as for every later view
+    this.updateView({ leafIds: this.getLeafIds(), animate: false, fit: false });
+
+    // Canvas for large trees, SVG otherwise
+    this.updateRenderer();
+  }
+
+  getEdgeMode() {
+    return this.useJunctionNodes
+      ? config.edgeModes.JUNCTION
+      : config.edgeModes.DIRECT;
+  }
+
+  // Childless species, which the column layout mode puts into columns of
+  // their own, or null in the other modes
+  getLeafIds() {
+    if (this.layoutMode !== config.layoutModes.COLUMN) return null;
+    return new Set(
+      this.nodes
+        .filter((node) => node.children.length === 0)
+        .map((node) => node.id)
+    );
+  }
+
+  isLeafLink(d, leafIds) {
+    // Links into the leaf columns; a junction counts when all of its children are there
+    const junction = this.junctionMap.get(d.target);
+    if (junction) {
+      return junction.outputs.every((output) => leafIds.has(output.child));
+    }
+    return leafIds.has(d.target);
+  }
+
+  /**
+   * The pipeline behind both the full tree and the filtered view:
+   * subset -> layout -> edge routing -> render. Species move from where they
+   * are drawn to the positions `arrange` gives them.
+   *
+   * @param {Object} view
+   * @param {Set|null} view.shownIds - Species and junctions to show, null for all
+   * @param {Function} view.arrange - Sets x/y of the shown species
+   * @param {Set|null} view.leafIds - Species in leaf columns, whose incoming
+   *   links are hidden
+   * @param {boolean} view.animate - Move the species over
+   *   config.viewTransitionDuration instead of jumping
+   * @param {boolean} view.fit - Zoom to the shown species
+   * @returns {Object} { nodes, links, draw } - the shown species, their
+   *   breeding links and a function drawing the view at the species' x/y
+   */
+  updateView({
+    shownIds = null,
+    arrange = () => {},
+    leafIds = null,
+    animate = true,
+    fit = true,
+  }) {
+    this.stopMovingNodes();
+
+    // Subset - the filtered view leaves out mutations that cannot happen
+    const isShown = (id) => !shownIds || shownIds.has(id);
+    const isLinkShown = (d) =>
+      isShown(d.source) &&
+      isShown(d.target) &&
+      (!shownIds || this.isLinkFeasible(d));
+    const nodes = this.nodes.filter((node) => isShown(node.id));
+    const links = this.links.filter(isLinkShown);
+
+    // Layout
+    const moves = nodes.map((node) => ({ node, x: node.x, y: node.y }));
+    arrange(nodes);
+
+    // Edge routing, redone whenever the species move
+    const isLinkVisible = (d) =>
+      isLinkShown(d) && !(leafIds && this.isLeafLink(d, leafIds));
+    const visibleNodes = this.node.filter((d) => isShown(d.id));
+    const visibleLinks = this.link.filter(isLinkVisible);
+    const draw = () => {
+      if (this.useJunctionNodes) {
+        positionJunctions(this.junctions, nodes);
+      }
+      assignTargetOffsets(visibleLinks.data(), this.nodeMap, this.junctionMap);
+      visibleNodes.attr("transform", (d) => `translate(${d.x},${d.y})`);
+      visibleLinks.attr("d", (d) =>
+        buildLinkPath(d, this.nodeMap, this.junctionMap)
+      );
+      this.updateLinkDecorations();
+    };
+
+    // Render
+    this.node.style("display", (d) => (isShown(d.id) ? null : "none"));
+    this.link.style("display", (d) => (isLinkVisible(d) ? null : "none"));
+    this.updateNodeBorders(links);
+    this.restoreStackingOrder();
+    if (fit) {
+      this.updateZoomConstraints(nodes);
+      this.fitViewToNodes(nodes);
+    }
+
+    if (!animate) {
+      draw();
+      return { nodes, links, draw };
+    }
+
+    // Move from the old positions to the new ones
+    moves.forEach((move) => {
+      move.x = d3.interpolateNumber(move.x, move.node.x);
+      move.y = d3.interpolateNumber(move.y, move.node.y);
+    });
+    this.g
+      .transition("view")
+      .duration(config.viewTransitionDuration)
+      .tween("positions", () => (t) => {
+        moves.forEach((move) => {
+          move.node.x = move.x(t);
+          move.node.y = move.y(t);
+        });
+        draw();
+      });
+    return { nodes, links, draw };
+  }
+
+  // Link group below the node group (highlighting moves elements around)
+  restoreStackingOrder() {
+    const linkGroup = this.g.select(".links");
+    const nodeGroup = this.g.select(".nodes");
+
+    if (linkGroup.node() && nodeGroup.node()) {
+      // Move link group to be first child (bottom of stack)
+      this.g.node().insertBefore(linkGroup.node(), this.g.node().firstChild);
+      // Node group should already be on top, but ensure it
+      this.g.node().appendChild(nodeGroup.node());
+    }
+  }
+
+  addConnectedJunctions(connectedIds) {
+    // A junction belongs to a selection when both parents and a feasible child are in it
+    this.junctionMap.forEach((junction) => {
+      const isConnected =
+        junction.parents.every((parentId) => connectedIds.has(parentId)) &&
+        junction.outputs.some(
+          (output) =>
+            connectedIds.has(output.child) &&
+            this.isLinkFeasible({
+              target: output.child,
+              mutationIndex: output.mutationIndex,
+            })
+        );
+      if (isConnected) {
+        connectedIds.add(junction.id);
+      }
+    });
+  }
+
+  updateLinkDecorations() {
+    // Junctions and chance labels follow the state of the links they belong to
+    const linkElements = new Map();
+    this.link.each(function (d) {
+      linkElements.set(d, this);
+    });
+    const isHidden = (element) => element.style.display === "none";
+    const hasClass = (element, className) =>
+      element.classList.contains(className);
+
+    if (this.linkLabel) {
+      positionLinkLabels(this.linkLabel, this.nodeMap, this.junctionMap);
+      // Junction outputs are always labelled, other links only on request
+      this.linkLabel
+        .style("display", (d) =>
+          isHidden(linkElements.get(d)) ||
+          (d.type !== "junction-out" && !this.showChanceLabels)
+            ? "none"
+            : null
+        )
+        .classed("faded", (d) => hasClass(linkElements.get(d), "faded"));
+    }
+
+    if (this.junction) {
+      const junctionLinks = d3.group(
+        Array.from(linkElements.entries()).flatMap(([d, element]) =>
+          [d.source, d.target]
+            .filter((id) => this.junctionMap.has(id))
+            .map((junctionId) => ({ junctionId, element }))
+        ),
+        (item) => item.junctionId
+      );
+      const linksOf = (d) =>
+        (junctionLinks.get(d.id) || []).map((item) => item.element);
+
+      this.junction
+        .attr("transform", (d) => `translate(${d.x},${d.y})`)
+        .style("display", (d) => (linksOf(d).every(isHidden) ? "none" : null))
+        .classed("faded", (d) =>
+          linksOf(d).every((element) => hasClass(element, "faded"))
+        )
+        .classed("highlighted", (d) =>
+          linksOf(d).some((element) => hasClass(element, "highlighted"))
+        );
+    }
+
+    this.updateProductLayer();
+    this.requestCanvasUpdate();
+  }
+
+  renderProducts() {
+    this.g.selectAll(".products").remove();
+    this.productNode = null;
+    this.productLink = null;
+    if (!this.showProducts) return;
+
+    const layer = buildProductLayer(this.productIndex, this.nodeMap);
+    this.productNodes = layer.productNodes;
+    this.productMap = new Map(
+      this.productNodes.map((productNode) => [productNode.id, productNode])
+    );
+    const productResult = renderProductLayer(
+      this.g,
+      layer.productNodes,
+      layer.productLinks
+    );
+    this.productNode = productResult.productNode;
+    this.productLink = productResult.productLink;
+
+    // Keep products below the bee nodes
+    this.g
+      .node()
+      .insertBefore(
+        productResult.productGroup.node(),
+        this.g.select(".nodes").node()
+      );
+  }
+
+  updateProductLayer() {
+    // Product nodes follow the position and state of the bees producing them
+    if (!this.productNode) return;
+
+    const nodeElements = new Map();
+    this.node.each(function (d) {
+      nodeElements.set(d.id, this);
+    });
+    const isVisible = (speciesId) =>
+      nodeElements.has(speciesId) &&
+      nodeElements.get(speciesId).style.display !== "none";
+    const hasClass = (speciesId, className) =>
+      nodeElements.get(speciesId).classList.contains(className);
+
+    positionProductNodes(this.productNodes, this.nodeMap, isVisible);
+
+    this.productNode
+      .attr("transform", (d) => `translate(${d.x},${d.y})`)
+      .style("display", (d) => (d.producers.some(isVisible) ? null : "none"))
+      .classed("faded", (d) =>
+        d.producers
+          .filter(isVisible)
+          .every((speciesId) => hasClass(speciesId, "faded"))
+      )
+      .classed(
+        "highlighted",
+        (d) =>
+          d.itemId === this.highlightedItemId ||
+          (this.highlightedItemId === null &&
+            d.producers.some((speciesId) => hasClass(speciesId, "highlighted")))
+      );
+
+    this.productLink
+      .attr("d", (d) => buildProductLinkPath(d, this.nodeMap, this.productMap))
+      .style("display", (d) => (isVisible(d.source) ? null : "none"))
+      .classed("faded", (d) => hasClass(d.source, "faded"));
+  }
+
+  toggleProductLayer() {
+    this.showProducts = !this.showProducts;
+    this.renderProducts();
+    this.updateProductLayer();
+    this.requestCanvasUpdate();
+  }
+
+  highlightProducers(itemId) {
+    // Reverse lookup - every bee that produces the item
+    const item = this.productIndex.get(itemId);
+    if (!item) return;
+
+    const producerNodes = item.producers
+      .map((producer) => this.nodeMap.get(producer.speciesId))
+      .filter(Boolean);
+    if (this.isFilteredView) {
+      this.restoreOriginalView();
+    }
+    this.highlightMultipleNodes(producerNodes);
+    this.highlightedItemId = itemId;
+    this.updateProductLayer();
+  }
+
+  /**
+   * Run an async view update started from an event handler. A failure is
+   * logged and the highlighting reset instead of leaving the view half
+   * updated with an unhandled rejection.
+   *
+   * @param {Promise} action - The update, e.g. this.selectNode(node)
+   * @param {string} description - What the update does, for the log
+   */
+  runViewAction(action, description) {
+    action.catch((error) => {
+      console.error(`${description} failed:`, error);
+      this.resetHighlight();
+    });
+  }
+
+  async toggleJunctionNodes() {
+    const selectedNode = this.currentSelectedNode;
+    if (this.isFilteredView) {
+      this.restoreOriginalView();
+    }
+
+    this.useJunctionNodes = !this.useJunctionNodes;
+
+    // Junctions need extra room between generations
+    if (!(await this.repositionNodes())) return;
+
+    this.g.selectAll("*").remove();
+    this.renderVisualization();
+    this.updateZoomConstraints(this.nodes);
+
+    if (selectedNode) {
+      await this.selectNode(selectedNode);
+    } else {
+      this.fitView();
+    }
   }
 
-  selectNode(node) {
+  async selectNode(node) {
     // Save the selected node
     this.currentSelectedNode = node;
+    this.highlightedItemId = null;
+    this.clearPathView();
 
     // Check if filter mode checkbox is checked
     const filterModeCheckbox = document.getElementById("filterModeToggle");
     const showAllNodes = filterModeCheckbox ? filterModeCheckbox.checked : true;
 
+    this.showInfo(node);
+    this.scheduleUrlStateUpdate();
+
     if (showAllNodes) {
       // Default behavior: show all nodes, fade unrelated
-      this.highlightConnections(node);
+      await this.highlightConnections(node);
     } else {
       // Filtered view: show only related nodes with rearranged layout
-      this.showFilteredView(node);
+      await this.showFilteredView(node);
     }
-
-    this.showInfo(node);
   }
 
   highlightMultipleNodes(nodes) {
     // Clear current selection
     this.currentSelectedNode = null;
+    this.highlightedItemId = null;
+    this.lineageRequest++; // Drop a lineage query still running
 
     // Reset highlighting and fading
     this.node.classed("highlighted connected faded", false);
@@ -215,7 +948,7 @@ export class BeeBreedingApp {
     this.node.selectAll(".outer-selection-border").remove();
 
     // Reset ALL node borders to their default colors
-    this.resetNodeBorders();
+    this.updateNodeBorders();
 
     // Collect all IDs to highlight
     const highlightIds = new Set(nodes.map((n) => n.id));
@@ -230,231 +963,184 @@ export class BeeBreedingApp {
 
     // Fade all links to emphasize the highlighted nodes
     this.link.classed("faded", true);
+    this.updateLinkDecorations();
 
     // Hide info panel since no single node is selected
     document.getElementById("infoPanel").style.display = "none";
+    this.scheduleUrlStateUpdate();
   }
 
   setupNodeInteractions() {
     this.node.on("click", (event, d) => {
       event.stopPropagation();
-      this.selectNode(d);
+      if (event.shiftKey || this.isPathMode) {
+        this.pickPathEndpoint(d);
+      } else {
+        this.runViewAction(this.selectNode(d), "Selecting a species");
+      }
     });
 
-    // Clear selection on background click
-    this.svg.on("click", () => this.resetHighlight());
+    // Clear selection on background click. On the canvas, clicks are passed
+    // on to the hidden node they hit.
+    this.svg.on("click", (event) => {
+      const nodeElement = this.findCanvasNode(event);
+      if (nodeElement) {
+        nodeElement.dispatchEvent(
+          new MouseEvent("click", { shiftKey: event.shiftKey })
+        );
+        return;
+      }
+      this.resetHighlight();
+    });
+    this.svg.on("mousemove", (event) => this.updateCanvasHover(event));
+    this.svg.on("mouseleave", () => this.hideCanvasTooltip());
   }
 
-  assignNodeColors(nodes, nodeMap) {
-    const nodeColors = {};
-    const conflicts = new Map();
-
-    // Initialize conflict sets
-    nodes.forEach((node) => {
-      conflicts.set(node.id, new Set());
+  /**
+   * Ancestors and descendants of a species, from the engine
+   *
+   * @returns {Promise<Object|null>} { ancestors, descendants }, or null when
+   *   a newer lineage request or a reset came in meanwhile
+   */
+  async requestLineage(node) {
+    const request = ++this.lineageRequest;
+    const lineage = await this.engine.request("lineage", {
+      speciesId: node.id,
+      evaluations: this.mutationEvaluations,
     });
+    return request === this.lineageRequest ? lineage : null;
+  }
 
-    // Add STRICT parent-child conflicts - nodes MUST differ from parents and children
-    nodes.forEach((node) => {
-      node.parents.forEach((parentId) => {
-        if (conflicts.has(parentId)) {
-          conflicts.get(node.id).add(parentId);
-          conflicts.get(parentId).add(node.id);
-        }
-      });
-      node.children.forEach((childId) => {
-        if (conflicts.has(childId)) {
-          conflicts.get(node.id).add(childId);
-          conflicts.get(childId).add(node.id);
-        }
-      });
+  getBaseSpeciesIds() {
+    // Base species have no parent combinations and are always available
+    return this.nodes
+      .filter((node) => node.parentCombinations.length === 0)
+      .map((node) => node.id);
+  }
 
-      // STRICT: Add conflicts between parents of the same node
-      // This ensures parents ALWAYS have different colors from each other
-      if (node.parents.length > 1) {
-        for (let i = 0; i < node.parents.length; i++) {
-          for (let j = i + 1; j < node.parents.length; j++) {
-            const parent1 = node.parents[i];
-            const parent2 = node.parents[j];
-            if (conflicts.has(parent1) && conflicts.has(parent2)) {
-              conflicts.get(parent1).add(parent2);
-              conflicts.get(parent2).add(parent1);
-            }
-          }
-        }
-      }
-    });
+  getStartingSpeciesIds() {
+    // Base species plus everything the player already owns
+    return new Set([...this.getBaseSpeciesIds(), ...this.ownedSpecies]);
+  }
 
-    // Add spatial proximity conflicts for better visual separation
-    const proximityThreshold = 100;
-    nodes.forEach((nodeA) => {
-      nodes.forEach((nodeB) => {
-        if (nodeA.id !== nodeB.id) {
-          const distance = Math.sqrt(
-            Math.pow(nodeA.x - nodeB.x, 2) + Math.pow(nodeA.y - nodeB.y, 2)
-          );
-          if (distance < proximityThreshold) {
-            conflicts.get(nodeA.id).add(nodeB.id);
-            conflicts.get(nodeB.id).add(nodeA.id);
-          }
-        }
-      });
+  planRoute(targetNode, startingIds = this.getStartingSpeciesIds()) {
+    return planBreedingPath(this.nodeMap, targetNode.id, startingIds, {
+      isMutationAllowed: (mutation, childId) =>
+        this.isMutationFeasible(mutation, childId),
+      getChance: (mutation, childId) =>
+        this.getMutationEvaluation(mutation, childId).chance,
     });
+  }
 
-    // Sort nodes by generation first (CRITICAL: color parents before children),
-    // then by number of conflicts for tie-breaking
-    const sortedNodes = nodes.slice().sort((a, b) => {
-      if (a.generation !== b.generation) {
-        return a.generation - b.generation; // Lower generation first
-      }
-      return conflicts.get(b.id).size - conflicts.get(a.id).size;
-    });
+  getDisplayName(nodeId) {
+    const node = this.nodeMap.get(nodeId);
+    return node ? node.name || nodeId.split(":")[1] || nodeId : nodeId;
+  }
 
-    // Assign colors with GUARANTEED parent-child and parent-parent differentiation
-    sortedNodes.forEach((node, nodeIndex) => {
-      const strictForbiddenColors = new Set(); // Colors we MUST NOT use (parents)
-      const preferredAvoidColors = new Set(); // Colors we prefer to avoid (spatial conflicts)
+  showBreedingPlan(targetNode) {
+    const summaryDiv = document.getElementById("breedingPlanSummary");
+    const planList = document.getElementById("breedingPlan");
+    planList.innerHTML = "";
 
-      // STRICT: Collect colors from direct parents (MUST differ from these)
-      node.parents.forEach((parentId) => {
-        if (nodeColors[parentId] !== undefined) {
-          strictForbiddenColors.add(nodeColors[parentId]);
-        }
-      });
+    const plan = this.planRoute(targetNode);
 
-      // Collect colors from direct children (MUST differ from these)
-      node.children.forEach((childId) => {
-        if (nodeColors[childId] !== undefined) {
-          strictForbiddenColors.add(nodeColors[childId]);
-        }
-      });
+    if (!plan) {
+      summaryDiv.textContent = "No route from the starting species";
+      return;
+    }
+    if (plan.steps.length === 0) {
+      summaryDiv.textContent = "Already available (base or owned species)";
+      return;
+    }
 
-      // STRICT: Collect colors from co-parents (siblings sharing children)
-      // If this node is a parent, ensure it differs from other parents of the same children
-      node.children.forEach((childId) => {
-        const childNode = nodeMap.get(childId);
-        if (childNode) {
-          childNode.parents.forEach((coParentId) => {
-            if (
-              coParentId !== node.id &&
-              nodeColors[coParentId] !== undefined
-            ) {
-              strictForbiddenColors.add(nodeColors[coParentId]);
-            }
-          });
-        }
-      });
+    // The planner is greedy, so the total is for this route, not a minimum
+    summaryDiv.textContent = `${plan.steps.length} step${
+      plan.steps.length === 1 ? "" : "s"
+    }, ~${formatAttempts(
+      plan.totalExpectedAttempts
+    )} expected tries (heuristic route, a cheaper one may exist)`;
+
+    plan.steps.forEach((step) => {
+      const item = document.createElement("li");
+      item.textContent = `${step.parents
+        .map((parentId) => this.getDisplayName(parentId))
+        .join(" + ")} → ${this.getDisplayName(step.child)} (${formatChance(
+        step.chance
+      )}, ~${formatAttempts(step.expectedAttempts)} tries)`;
+      planList.appendChild(item);
+    });
+  }
 
-      // Collect colors from other spatial conflicts (prefer to avoid, but not strict)
-      conflicts.get(node.id).forEach((conflictId) => {
-        if (nodeColors[conflictId] !== undefined) {
-          const color = nodeColors[conflictId];
-          if (!strictForbiddenColors.has(color)) {
-            preferredAvoidColors.add(color);
-          }
-        }
-      });
+  simulateBreeding(targetNode) {
+    const resultDiv = document.getElementById("simulationResult");
+    const plan = this.planRoute(targetNode);
 
-      // Create a preferred color based on generation and position for diversity
-      const preferredColor =
-        (node.generation * 3 + Math.abs(node.y) / 50) %
-        config.availableColors.length;
+    if (!plan) {
+      resultDiv.textContent = "No route from the starting species";
+      return;
+    }
+    if (plan.steps.length === 0) {
+      resultDiv.textContent = "Already available (base or owned species)";
+      return;
+    }
 
-      // Try preferred color first if it's not strictly forbidden
-      if (!strictForbiddenColors.has(Math.floor(preferredColor))) {
-        nodeColors[node.id] = Math.floor(preferredColor);
-      } else {
-        // Find first available color that's not strictly forbidden
-        // Prefer colors that aren't in preferredAvoidColors either
-        let colorIndex = -1;
-
-        // First pass: try to find a color that avoids both strict and preferred conflicts
-        for (let i = 0; i < config.availableColors.length; i++) {
-          const testIndex = (nodeIndex * 7 + i) % config.availableColors.length;
-          if (
-            !strictForbiddenColors.has(testIndex) &&
-            !preferredAvoidColors.has(testIndex)
-          ) {
-            colorIndex = testIndex;
-            break;
-          }
-        }
+    // Simulate the same route the planner picked, with environment chances
+    const input = buildSimulationInput(
+      plan,
+      this.nodeMap,
+      this.beeData,
+      (mutation, childId) =>
+        this.getMutationEvaluation(mutation, childId).chance
+    );
+    const runs = config.simulation.runs;
 
-        // Second pass: if no "perfect" color found, just avoid strict conflicts
-        if (colorIndex === -1) {
-          for (let i = 0; i < config.availableColors.length; i++) {
-            if (!strictForbiddenColors.has(i)) {
-              colorIndex = i;
-              break;
-            }
-          }
-        }
+    this.stopSimulation();
+    resultDiv.textContent = "Simulating…";
+    const showResult = (result) => {
+      if (this.currentSelectedNode !== targetNode) return;
+      renderSimulationResult(resultDiv, result);
+    };
 
-        // ABSOLUTE GUARANTEE: This should never happen with 15 colors, but if it does,
-        // use a deterministic hash and then force it to differ from parents
-        if (colorIndex === -1) {
-          colorIndex =
-            Math.abs(
-              node.id.split("").reduce((a, b) => {
-                a = (a << 5) - a + b.charCodeAt(0);
-                return a & a;
-              }, 0)
-            ) % config.availableColors.length;
-
-          // Force differentiation from parents
-          let safetyAttempts = 0;
-          while (
-            strictForbiddenColors.has(colorIndex) &&
-            safetyAttempts < config.availableColors.length
-          ) {
-            colorIndex = (colorIndex + 1) % config.availableColors.length;
-            safetyAttempts++;
-          }
+    try {
+      const worker = new Worker(
+        new URL("../workers/simulationWorker.js", import.meta.url),
+        { type: "module" }
+      );
+      this.simulationWorker = worker;
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === "progress") {
+          resultDiv.textContent = `Simulating… ${message.completed}/${runs}`;
+          return;
         }
-
-        nodeColors[node.id] = colorIndex;
-      }
-    });
-
-    return nodeColors;
-  }
-
-  getAllAncestors(nodeId, visited = new Set()) {
-    if (visited.has(nodeId)) return new Set();
-    visited.add(nodeId);
-
-    const ancestors = new Set();
-    const node = this.nodeMap.get(nodeId);
-    if (node && node.parents) {
-      node.parents.forEach((parentId) => {
-        ancestors.add(parentId);
-        const parentAncestors = this.getAllAncestors(
-          parentId,
-          new Set(visited)
-        );
-        parentAncestors.forEach((ancestor) => ancestors.add(ancestor));
-      });
+        this.stopSimulation();
+        if (message.type === "result") {
+          showResult(message.result);
+        } else {
+          resultDiv.textContent = `Simulation failed: ${message.message}`;
+        }
+      };
+      worker.onerror = (error) => {
+        console.warn("Simulation worker failed, running in page:", error);
+        this.stopSimulation();
+        showResult(simulateBreedingPlan(input, { runs }));
+      };
+      worker.postMessage({ input, options: { runs } });
+    } catch (error) {
+      // Workers are unavailable e.g. when opened from file://
+      console.warn(
+        "Could not start simulation worker, running in page:",
+        error
+      );
+      setTimeout(() => showResult(simulateBreedingPlan(input, { runs })), 0);
     }
-    return ancestors;
   }
 
-  getAllDescendants(nodeId, visited = new Set()) {
-    if (visited.has(nodeId)) return new Set();
-    visited.add(nodeId);
-
-    const descendants = new Set();
-    const node = this.nodeMap.get(nodeId);
-    if (node && node.children) {
-      node.children.forEach((childId) => {
-        descendants.add(childId);
-        const childDescendants = this.getAllDescendants(
-          childId,
-          new Set(visited)
-        );
-        childDescendants.forEach((descendant) => descendants.add(descendant));
-      });
+  stopSimulation() {
+    if (this.simulationWorker) {
+      this.simulationWorker.terminate();
+      this.simulationWorker = null;
     }
-    return descendants;
   }
 
   getModFromId(nodeId) {
@@ -468,103 +1154,27 @@ export class BeeBreedingApp {
     return "unknown";
   }
 
-  applyModFilter() {
+  async applyModFilter() {
+    if (!(await this.layoutTree())) return;
+
     // Clear SVG content
     this.g.selectAll("*").remove();
 
-    let filteredBeeData;
+    // Render visualization
+    this.renderVisualization();
 
-    if (this.selectedMods.size === 0) {
-      // No mods selected - use all bees
-      filteredBeeData = this.beeData;
-      this.isModFiltered = false;
-    } else {
-      // Filter bee data to selected mods
-      const allMods = [
-        "forestry",
-        "extrabees",
-        "magicbees",
-        "careerbees",
-        "meatballcraft",
-      ];
-      const allSelected = allMods.every((mod) => this.selectedMods.has(mod));
-
-      if (allSelected) {
-        // All mods selected - use all bees
-        filteredBeeData = this.beeData;
-        this.isModFiltered = false;
-      } else {
-        // Filter to selected mods + their dependencies
-        filteredBeeData = {};
-
-        // First pass: collect all bees from selected mods
-        const selectedBeeIds = new Set();
-        Object.keys(this.beeData).forEach((beeId) => {
-          const modName = this.getModFromId(beeId);
-          if (this.selectedMods.has(modName)) {
-            selectedBeeIds.add(beeId);
-          }
-        });
-
-        // Second pass: recursively add all ancestors
-        const beesWithAncestors = new Set(selectedBeeIds);
-        const addAncestors = (beeId) => {
-          const fullNode = this.fullHierarchyData.nodeMap.get(beeId);
-          if (fullNode && fullNode.parents) {
-            fullNode.parents.forEach((parentId) => {
-              if (!beesWithAncestors.has(parentId)) {
-                beesWithAncestors.add(parentId);
-                addAncestors(parentId);
-              }
-            });
-          }
-        };
-
-        selectedBeeIds.forEach((beeId) => addAncestors(beeId));
-
-        // Build filtered bee data
-        beesWithAncestors.forEach((beeId) => {
-          filteredBeeData[beeId] = this.beeData[beeId];
-        });
-
-        this.isModFiltered = true;
-      }
-    }
-
-    // Rebuild hierarchy with filtered data
-    this.hierarchyData = buildHierarchy(filteredBeeData);
-    this.nodes = this.hierarchyData.nodes;
-    this.links = this.hierarchyData.links;
-    this.nodeMap = this.hierarchyData.nodeMap;
-
-    // Calculate node widths
-    this.nodes.forEach((node) => {
-      const text = node.name || node.id;
-      node.width = Math.max(100, text.toUpperCase().length * 9 + 30);
-    });
-
-    // Position nodes
-    positionNodes(
-      this.nodes,
-      this.useColumnLayoutForLeaves
-        ? config.layoutModes.COLUMN
-        : config.layoutModes.SPLIT
-    );
-
-    // Assign colors
-    this.nodeColors = this.assignNodeColors(this.nodes, this.nodeMap);
-
-    // Render visualization
-    this.renderVisualization();
-
-    // Update zoom constraints
-    this.updateZoomConstraints(this.nodes);
+    // Update zoom constraints
+    this.updateZoomConstraints(this.nodes);
 
     // Fit view
     this.fitView();
   }
 
-  highlightConnections(selectedNode) {
+  async highlightConnections(selectedNode) {
+    const lineage = await this.requestLineage(selectedNode);
+    if (!lineage) return;
+    const { ancestors: allAncestors, descendants: allDescendants } = lineage;
+
     // Reset highlighting and fading
     this.node.classed("highlighted connected faded", false);
     this.link.classed("highlighted faded", false);
@@ -573,7 +1183,7 @@ export class BeeBreedingApp {
     this.node.selectAll(".outer-selection-border").remove();
 
     // Reset ALL node borders to their default colors
-    this.resetNodeBorders();
+    this.updateNodeBorders();
 
     // Highlight selected node
     this.node
@@ -583,14 +1193,11 @@ export class BeeBreedingApp {
     // Add red outline outside the existing colored borders
     this.addSelectionBorder(selectedNode);
 
-    // Recursively collect ALL ancestors and descendants
-    const allAncestors = this.getAllAncestors(selectedNode.id);
-    const allDescendants = this.getAllDescendants(selectedNode.id);
-
     // Collect connected node IDs
     const connectedIds = new Set([selectedNode.id]);
     allAncestors.forEach((id) => connectedIds.add(id));
     allDescendants.forEach((id) => connectedIds.add(id));
+    this.addConnectedJunctions(connectedIds);
 
     // Highlight connected nodes
     this.node
@@ -601,18 +1208,16 @@ export class BeeBreedingApp {
     this.node.filter((d) => !connectedIds.has(d.id)).classed("faded", true);
 
     // Highlight relevant links
-    const highlightedLinks = this.link.filter(
-      (d) => connectedIds.has(d.source) && connectedIds.has(d.target)
-    );
+    const isRelevantLink = (d) =>
+      connectedIds.has(d.source) &&
+      connectedIds.has(d.target) &&
+      this.isLinkFeasible(d);
+    const highlightedLinks = this.link.filter(isRelevantLink);
 
     highlightedLinks.classed("highlighted", true);
 
     // Fade non-highlighted links
-    this.link
-      .filter(
-        (d) => !(connectedIds.has(d.source) && connectedIds.has(d.target))
-      )
-      .classed("faded", true);
+    this.link.filter((d) => !isRelevantLink(d)).classed("faded", true);
 
     // Move highlighted links to end of link group
     const app = this;
@@ -620,6 +1225,16 @@ export class BeeBreedingApp {
       app.g.node().appendChild(this);
     });
 
+    // Junctions stay on top of the links running into them
+    this.updateLinkDecorations();
+    if (this.junction) {
+      this.junction
+        .filter((d) => connectedIds.has(d.id))
+        .each(function () {
+          app.g.node().appendChild(this);
+        });
+    }
+
     // Ensure connected nodes stay in node group
     this.node
       .filter(
@@ -633,74 +1248,35 @@ export class BeeBreedingApp {
       });
   }
 
-  resetNodeBorders() {
+  /**
+   * Color node borders after the parents of the given breeding links (all
+   * links by default), see getBorderColors
+   */
+  updateNodeBorders(links = this.links) {
+    const linksByTarget = d3.group(links, (link) => link.target);
+    this.borderLinksByTarget = linksByTarget;
     const app = this;
     this.node.each(function (d) {
       const nodeElement = d3.select(this);
-      const inputLinks = app.linksByTarget.get(d.id) || [];
+      const inputLinks = linksByTarget.get(d.id) || [];
+      const { topColor, bottomColor } = getBorderColors(
+        inputLinks,
+        app.nodeMap,
+        app.nodeColors
+      );
 
-      if (inputLinks.length === 0) {
-        nodeElement.selectAll(".node-border").attr("stroke", "#000");
-      } else if (inputLinks.length === 1) {
-        const edgeColor =
-          config.availableColors[app.nodeColors[inputLinks[0].source] || 0];
+      if (inputLinks.length < 2) {
         nodeElement
           .selectAll(".node-border, .node-border-segment")
-          .attr("stroke", edgeColor);
-      } else {
-        // Multiple inputs - restore segment colors
-        const sortedLinks = inputLinks
-          .map((link) => {
-            return {
-              link,
-              sourceY: app.nodeMap.get(link.source).y,
-            };
-          })
-          .sort((a, b) => a.sourceY - b.sourceY)
-          .map((item, index) => {
-            let targetYOffset = 0;
-            if (inputLinks.length > 1) {
-              const spacing = config.spacing;
-              const totalHeight = (inputLinks.length - 1) * spacing;
-              targetYOffset = index * spacing - totalHeight / 2;
-            }
-            return {
-              link: item.link,
-              offset: targetYOffset,
-              index,
-            };
-          });
-
-        // Find the colors based on actual spatial position
-        const topLinks = sortedLinks.filter((item) => item.offset < 0);
-        const bottomLinks = sortedLinks.filter((item) => item.offset >= 0);
-
-        const topColor =
-          topLinks.length > 0
-            ? config.availableColors[
-                app.nodeColors[topLinks[topLinks.length - 1].link.source] || 0
-              ]
-            : config.availableColors[
-                app.nodeColors[sortedLinks[0].link.source] || 0
-              ];
-        const bottomColor =
-          bottomLinks.length > 0
-            ? config.availableColors[
-                app.nodeColors[bottomLinks[0].link.source] || 0
-              ]
-            : config.availableColors[
-                app.nodeColors[
-                  sortedLinks[sortedLinks.length - 1].link.source
-                ] || 0
-              ];
-
-        const segments = nodeElement.selectAll(".node-border-segment").nodes();
-        if (segments.length >= 4) {
-          d3.select(segments[0]).attr("stroke", topColor);
-          d3.select(segments[1]).attr("stroke", bottomColor);
-          d3.select(segments[2]).attr("stroke", "#ddd");
-          d3.select(segments[3]).attr("stroke", "#ddd");
-        }
+          .attr("stroke", topColor);
+        return;
+      }
+      const segments = nodeElement.selectAll(".node-border-segment").nodes();
+      if (segments.length >= 4) {
+        d3.select(segments[0]).attr("stroke", topColor);
+        d3.select(segments[1]).attr("stroke", bottomColor);
+        d3.select(segments[2]).attr("stroke", "#ddd");
+        d3.select(segments[3]).attr("stroke", "#ddd");
       }
     });
   }
@@ -746,6 +1322,7 @@ export class BeeBreedingApp {
           .attr("fill", "none")
           .attr("class", "outer-selection-border");
       });
+    this.requestCanvasUpdate();
   }
 
   showInfo(selectedNode) {
@@ -753,29 +1330,13 @@ export class BeeBreedingApp {
       selectedNode.name || selectedNode.id;
     document.getElementById("generation").textContent = selectedNode.generation;
 
-    // Display parent combinations
-    const parentsDiv = document.getElementById("parents");
-    if (
-      selectedNode.parentCombinations &&
-      selectedNode.parentCombinations.length > 0
-    ) {
-      const parentText = selectedNode.parentCombinations
-        .map((combo) =>
-          combo
-            .map((parentId) => {
-              // Extract display name from mod-prefixed ID
-              const parentNode = this.nodeMap.get(parentId);
-              return parentNode
-                ? parentNode.name || parentId.split(":")[1] || parentId
-                : parentId;
-            })
-            .join(" + ")
-        )
-        .join(" OR ");
-      parentsDiv.textContent = parentText;
-    } else {
-      parentsDiv.textContent = "None (Base species)";
-    }
+    // Display parent combinations with chances and requirements
+    renderParentCombinations(
+      document.getElementById("parents"),
+      selectedNode,
+      (parentId) => this.getDisplayName(parentId),
+      (mutation, childId) => this.getMutationEvaluation(mutation, childId)
+    );
 
     // Display children with their display names
     const childrenText = selectedNode.children
@@ -789,52 +1350,87 @@ export class BeeBreedingApp {
 
     document.getElementById("children").textContent =
       childrenText || "None (Final evolution)";
+
+    // Display products, specialties marked
+    renderProductList(
+      document.getElementById("products"),
+      getSpeciesProducts(this.productIndex, selectedNode.id),
+      (itemId) => this.highlightProducers(itemId)
+    );
+
+    // Items per minute in the configured housing
+    renderProduction(
+      document.getElementById("production"),
+      this.getProduction(selectedNode)
+    );
+
+    document.getElementById("ownedToggle").checked = this.ownedSpecies.has(
+      selectedNode.id
+    );
+
+    // Clear any plan computed for the previous selection
+    document.getElementById("breedingPlanSummary").textContent = "";
+    document.getElementById("breedingPlan").innerHTML = "";
+    this.stopSimulation();
+    document.getElementById("simulationResult").textContent = "";
+
     document.getElementById("infoPanel").style.display = "block";
   }
 
-  resetHighlight() {
+  /**
+   * Clear the selection, highlighting and path view; the filtered view goes
+   * back to the full tree (animated unless `animate` is false)
+   */
+  resetHighlight({ animate = true } = {}) {
     // Clear current selection
     this.currentSelectedNode = null;
+    this.highlightedItemId = null;
+    this.lineageRequest++; // Drop a lineage query still running
+    this.clearPathView();
+    this.scheduleUrlStateUpdate();
 
     // If we're in filtered view, restore original layout
     if (this.isFilteredView) {
-      this.restoreOriginalView();
+      this.restoreOriginalView({ animate });
       return;
     }
 
     this.node.classed("highlighted connected faded", false);
     this.link.classed("highlighted faded", false);
+    this.updateLinkDecorations();
 
     // Remove outer selection borders
     this.node.selectAll(".outer-selection-border").remove();
 
     // Reset all node borders to their default colors
-    this.resetNodeBorders();
+    this.updateNodeBorders();
+    this.restoreStackingOrder();
 
-    // Restore proper stacking order: ensure link group is below node group
-    const linkGroup = this.g.select(".links");
-    const nodeGroup = this.g.select(".nodes");
+    document.getElementById("infoPanel").style.display = "none";
+  }
 
-    if (linkGroup.node() && nodeGroup.node()) {
-      // Move link group to be first child (bottom of stack)
-      this.g.node().insertBefore(linkGroup.node(), this.g.node().firstChild);
-      // Node group should already be on top, but ensure it
-      this.g.node().appendChild(nodeGroup.node());
-    }
+  async showFilteredView(selectedNode) {
+    // Collect related nodes
+    const lineage = await this.requestLineage(selectedNode);
+    if (!lineage) return;
+    const { ancestors: allAncestors, descendants: allDescendants } = lineage;
+    const connectedIds = new Set([selectedNode.id]);
+    allAncestors.forEach((id) => connectedIds.add(id));
+    allDescendants.forEach((id) => connectedIds.add(id));
+    this.addConnectedJunctions(connectedIds);
 
-    document.getElementById("infoPanel").style.display = "none";
+    this.showFilteredSubgraph(connectedIds, selectedNode, [selectedNode]);
   }
 
-  showFilteredView(selectedNode) {
+  /**
+   * Show only the given species and junctions, arranged around the anchor
+   * node by the current filtered layout. Highlighted nodes get the selection
+   * border, the rest are marked as connected.
+   */
+  showFilteredSubgraph(connectedIds, anchorNode, highlightedNodes) {
     this.isFilteredView = true;
-
-    // Disable layout toggle button
-    const layoutButton = document.getElementById("layoutToggle");
-    if (layoutButton) {
-      layoutButton.disabled = true;
-      layoutButton.style.opacity = "0.5";
-      layoutButton.style.cursor = "not-allowed";
-    }
+    this.filteredSubgraph = { connectedIds, anchorNode, highlightedNodes };
+    this.updateLayoutButton();
 
     // Clear any previous highlights/classes
     this.node.classed("highlighted connected faded", false);
@@ -844,125 +1440,272 @@ export class BeeBreedingApp {
     // Save original positions only if not already saved
     if (this.originalPositions.size === 0) {
       this.nodes.forEach((node) => {
-        this.originalPositions.set(node.id, { x: node.x, y: node.y });
+        this.originalPositions.set(node.id, {
+          x: node.x,
+          y: node.y,
+          edgeWaypoints: node.edgeWaypoints,
+        });
+        // Routes of the layered layout don't fit the rearranged nodes
+        delete node.edgeWaypoints;
       });
     }
 
-    // Collect related nodes
-    const allAncestors = this.getAllAncestors(selectedNode.id);
-    const allDescendants = this.getAllDescendants(selectedNode.id);
-    const connectedIds = new Set([selectedNode.id]);
-    allAncestors.forEach((id) => connectedIds.add(id));
-    allDescendants.forEach((id) => connectedIds.add(id));
-
-    // Filter nodes and links
-    const filteredNodes = this.nodes.filter((n) => connectedIds.has(n.id));
-    const filteredLinks = this.links.filter(
-      (l) => connectedIds.has(l.source) && connectedIds.has(l.target)
-    );
-
-    // Rearrange filtered nodes for better readability
-    this.arrangeFilteredNodes(filteredNodes, selectedNode);
-
-    // Hide unrelated nodes and links
-    this.node.style("display", (d) => (connectedIds.has(d.id) ? null : "none"));
-
-    this.link.style("display", (d) =>
-      connectedIds.has(d.source) && connectedIds.has(d.target) ? null : "none"
-    );
+    const highlightedIds = new Set(highlightedNodes.map((n) => n.id));
+
+    // In the column layout, species without children in the view (other
+    // than the highlighted ones) go into columns of their own
+    const leafIds =
+      this.filteredLayout === config.filteredLayouts.COLUMN
+        ? new Set(
+            this.nodes
+              .filter(
+                (node) =>
+                  connectedIds.has(node.id) &&
+                  !highlightedIds.has(node.id) &&
+                  !node.children.some((childId) => connectedIds.has(childId))
+              )
+              .map((node) => node.id)
+          )
+        : null;
+
+    const isForceLayout = this.filteredLayout === config.filteredLayouts.FORCE;
+    const view = this.updateView({
+      shownIds: connectedIds,
+      arrange: (nodes) =>
+        this.arrangeFilteredLayout(nodes, anchorNode, leafIds),
+      leafIds,
+      // The force layout moves the species itself
+      animate: !isForceLayout,
+    });
 
-    // Highlight the selected node
+    // Highlight the selected node(s)
     this.node
-      .filter((d) => d.id === selectedNode.id)
+      .filter((d) => highlightedIds.has(d.id))
       .classed("highlighted", true);
 
-    this.addSelectionBorder(selectedNode);
+    highlightedNodes.forEach((node) => this.addSelectionBorder(node));
 
     // Highlight connected nodes
     this.node
-      .filter((d) => allAncestors.has(d.id) || allDescendants.has(d.id))
+      .filter((d) => connectedIds.has(d.id) && !highlightedIds.has(d.id))
       .classed("connected", true);
 
-    // Update to new positions immediately
-    this.node
-      .filter((d) => connectedIds.has(d.id))
-      .attr("transform", (d) => `translate(${d.x},${d.y})`);
-
-    // Recalculate edge Y offsets for filtered nodes
-    const filteredLinksByTarget = d3.group(filteredLinks, (l) => l.target);
-
-    filteredLinksByTarget.forEach((targetLinks, targetId) => {
-      if (targetLinks.length > 1) {
-        // Sort by NEW filtered source Y position (node that's higher up connects to top)
-        // Create a map of filtered node positions for quick lookup
-        const filteredNodePositions = new Map(
-          filteredNodes.map((n) => [n.id, { x: n.x, y: n.y }])
-        );
+    if (isForceLayout) {
+      this.startForceLayout(view, anchorNode);
+    }
+  }
 
-        const sortedLinks = targetLinks
-          .map((link) => {
-            // Use filtered node positions which have been updated by arrangeFilteredNodes
-            const sourcePos = filteredNodePositions.get(link.source);
-            return {
-              link,
-              sourceY: sourcePos
-                ? sourcePos.y
-                : this.nodeMap.get(link.source).y,
-            };
-          })
-          .sort((a, b) => a.sourceY - b.sourceY);
-
-        // Assign vertical offsets - lower index (higher up source) gets negative offset (top)
-        const spacing = config.spacing;
-        const totalHeight = (sortedLinks.length - 1) * spacing;
-
-        sortedLinks.forEach((item, index) => {
-          // Node at index 0 (highest source Y = smallest Y value) gets most negative offset (top)
-          const targetYOffset = index * spacing - totalHeight / 2;
-          item.link.targetYOffset = targetYOffset;
-        });
-      } else if (targetLinks.length === 1) {
-        targetLinks[0].targetYOffset = 0;
-      }
-    });
+  /**
+   * Position the species of the filtered view with the current filtered
+   * layout (the force layout moves them while running)
+   */
+  arrangeFilteredLayout(nodes, anchorNode, leafIds) {
+    if (this.filteredLayout === config.filteredLayouts.RADIAL) {
+      positionRadialLayout(nodes, anchorNode);
+    } else if (this.filteredLayout === config.filteredLayouts.COLUMN) {
+      const treeNodes = nodes.filter((node) => !leafIds.has(node.id));
+      this.arrangeFilteredNodes(treeNodes, anchorNode);
+
+      // Columns as tall as the tallest generation of the tree
+      const generationSizes = d3.rollup(
+        treeNodes,
+        (generation) => generation.length,
+        (node) => node.x
+      );
+      positionChildlessColumns(
+        nodes.filter((node) => leafIds.has(node.id)),
+        Math.max(...treeNodes.map((node) => node.x)),
+        Math.max(10, ...generationSizes.values())
+      );
+    } else if (this.filteredLayout === config.filteredLayouts.TREE) {
+      this.arrangeFilteredNodes(nodes, anchorNode);
+    }
+  }
 
-    // Update the data on the D3 selection with new offsets
-    this.link.each(function (d) {
-      // Find the matching link in filteredLinks to get updated targetYOffset
-      const matchingLink = filteredLinks.find(
-        (l) => l.source === d.source && l.target === d.target
+  /**
+   * Run the force layout on the species of a filtered view (from
+   * updateView), drawing it on every tick. Nodes dragged while it runs stay
+   * pinned where they are dropped.
+   */
+  startForceLayout(view, anchorNode) {
+    this.forceSimulation = createForceLayout(view.nodes, anchorNode)
+      .on("tick", view.draw)
+      .on("end", () => this.updateNodeBorders(view.links))
+      // Fit once the layout has settled, not again after every drag
+      .on("end.fit", () => {
+        this.forceSimulation.on("end.fit", null);
+        this.fitViewToNodes(view.nodes);
+      });
+
+    // The drag listens on the SVG so it works on the canvas as well
+    const svgNode = this.svg.node();
+    const getPointer = (event) =>
+      d3.zoomTransform(svgNode).invert(d3.pointer(event, svgNode));
+    let grabOffset = [0, 0];
+    this.svg.call(
+      d3
+        .drag()
+        .subject((event) => this.findDraggableNode(event.sourceEvent))
+        .on("start", (event) => {
+          const [x, y] = getPointer(event);
+          grabOffset = [event.subject.x - x, event.subject.y - y];
+        })
+        .on("drag", (event) => {
+          const [x, y] = getPointer(event);
+          event.subject.fx = x + grabOffset[0];
+          event.subject.fy = y + grabOffset[1];
+          this.node.filter((d) => d === event.subject).classed("pinned", true);
+          this.forceSimulation.alphaTarget(0.3).restart();
+        })
+        .on("end", () => this.forceSimulation.alphaTarget(0))
+    );
+  }
+
+  /**
+   * Shown node of the force layout under a pointer event, or null
+   */
+  findDraggableNode(event) {
+    if (!this.forceSimulation) return null;
+    const element =
+      this.findCanvasNode(event) ||
+      (event.target.closest && event.target.closest(".node"));
+    const node = element ? d3.select(element).datum() : null;
+    return this.forceSimulation.nodes().includes(node) ? node : null;
+  }
+
+  /**
+   * Stop moving the species: the transition into the last view, or the
+   * force layout and its pins
+   */
+  stopMovingNodes() {
+    this.g.interrupt("view");
+    if (this.forceSimulation) {
+      this.forceSimulation.stop();
+      this.forceSimulation.nodes().forEach((node) => {
+        delete node.fx;
+        delete node.fy;
+      });
+      this.forceSimulation = null;
+      this.svg.on(".drag", null);
+      this.node.classed("pinned", false);
+    }
+  }
+
+  /**
+   * First pick sets the path source, the second shows the paths to the
+   * picked target
+   */
+  pickPathEndpoint(node) {
+    if (!this.pathSourceNode || this.pathSourceNode.id === node.id) {
+      this.resetHighlight();
+      this.pathSourceNode = node;
+      this.addSelectionBorder(node);
+      this.showPathPanel(
+        `From ${this.getDisplayName(node.id)} - pick the target species`
       );
-      if (matchingLink && matchingLink.targetYOffset !== undefined) {
-        d.targetYOffset = matchingLink.targetYOffset;
-      }
+      return;
+    }
+
+    const sourceNode = this.pathSourceNode;
+    this.pathSourceNode = null;
+    this.runViewAction(
+      this.showPathView(sourceNode, node),
+      "Showing breeding paths"
+    );
+  }
+
+  /**
+   * Show only the species on breeding paths from source to target, laid out
+   * like the filtered view, and list the paths best first
+   */
+  async showPathView(sourceNode, targetNode) {
+    const route = `${this.getDisplayName(
+      sourceNode.id
+    )} → ${this.getDisplayName(targetNode.id)}`;
+    this.showPathPanel(`Searching ${route}…`);
+
+    // The search runs in the engine; a newer search or selection wins
+    const request = ++this.pathRequest;
+    const result = await this.engine.request("paths", {
+      sourceId: sourceNode.id,
+      targetId: targetNode.id,
+      evaluations: this.mutationEvaluations,
+      limit: config.pathListLimit,
+      maxExpansions: config.pathSearchLimit,
     });
+    if (request !== this.pathRequest) return;
 
-    // Update link positions immediately with recalculated offsets
-    this.link
-      .filter((d) => connectedIds.has(d.source) && connectedIds.has(d.target))
-      .attr("d", (d) => {
-        const source = this.nodeMap.get(d.source);
-        const target = this.nodeMap.get(d.target);
-        const sourceWidth = source.width || 120;
-        const targetWidth = target.width || 120;
-        const targetY = target.y + (d.targetYOffset || 0);
-
-        const sourceX = source.x + sourceWidth / 2;
-        const targetX = target.x - targetWidth / 2 + 3;
-        const sourceXStraight = sourceX + config.straightLength;
-        const targetXStraight = targetX - config.straightLength;
-
-        return `M${sourceX},${source.y} L${sourceXStraight},${source.y} L${targetXStraight},${targetY} L${targetX},${targetY}`;
+    this.resetHighlight();
+    if (result.paths.length === 0) {
+      this.showPathPanel(`No breeding path ${route}`);
+      return;
+    }
+
+    // Species on the paths, the partners they are bred with (shown as
+    // connected) and the junctions between them
+    const connectedIds = new Set(result.speciesIds);
+    result.paths.forEach((path) =>
+      path.steps.forEach((step) => connectedIds.add(step.partner))
+    );
+    this.addConnectedJunctions(connectedIds);
+
+    this.showFilteredSubgraph(connectedIds, sourceNode, [
+      sourceNode,
+      targetNode,
+    ]);
+
+    const shown = result.truncated
+      ? `best ${result.paths.length}`
+      : `${result.paths.length}`;
+    this.showPathPanel(
+      `${route}: ${shown} path${result.paths.length === 1 ? "" : "s"}`
+    );
+    renderPathList(
+      document.getElementById("pathList"),
+      result.paths,
+      (speciesId) => this.getDisplayName(speciesId),
+      (path) => this.highlightPath(path)
+    );
+  }
+
+  // Emphasize one listed path, with the links from its partners, and fade
+  // the rest of the path graph
+  highlightPath(path) {
+    const onPath = new Set(path.species);
+    const isPathLink = (d) =>
+      path.steps.some((step) => {
+        const junctionId = `junction:${[step.parent, step.partner]
+          .sort()
+          .join("|")}`;
+        return (
+          ((d.source === step.parent || d.source === step.partner) &&
+            (d.target === step.child || d.target === junctionId)) ||
+          (d.source === junctionId && d.target === step.child)
+        );
       });
 
-    // Update node borders to match the recalculated edge positions
-    this.updateFilteredNodeBorders(filteredNodes, filteredLinks);
+    this.node
+      .classed("connected", (d) => !onPath.has(d.id))
+      .classed("highlighted", (d) => onPath.has(d.id));
+    this.link
+      .classed("highlighted", isPathLink)
+      .classed("faded", (d) => !isPathLink(d));
+    this.updateLinkDecorations();
+  }
 
-    // Recalculate zoom constraints for filtered nodes
-    this.updateZoomConstraints(filteredNodes);
+  showPathPanel(message) {
+    document.getElementById("pathSummary").textContent = message;
+    document.getElementById("pathList").innerHTML = "";
+    document.getElementById("pathPanel").style.display = "block";
+  }
 
-    // Fit view to filtered nodes immediately
-    this.fitViewToNodes(filteredNodes);
+  clearPathView() {
+    this.pathSourceNode = null;
+    this.pathRequest++; // Drop a search still running
+    const pathPanel = document.getElementById("pathPanel");
+    if (pathPanel) {
+      pathPanel.style.display = "none";
+    }
   }
 
   arrangeFilteredNodes(filteredNodes, selectedNode) {
@@ -1059,8 +1802,15 @@ export class BeeBreedingApp {
 
       const straightSegments = config.straightLength * 2;
       const gap = config.gap;
+      const junctionSpacing = this.useJunctionNodes
+        ? config.junctionSpacing
+        : 0;
       const spacing =
-        maxCurrentWidth / 2 + straightSegments + gap + maxNextWidth / 2;
+        maxCurrentWidth / 2 +
+        straightSegments +
+        gap +
+        junctionSpacing +
+        maxNextWidth / 2;
 
       generationXPositions.set(gen + 1, currentX + spacing);
     }
@@ -1154,204 +1904,40 @@ export class BeeBreedingApp {
     });
   }
 
-  updateFilteredNodeBorders(filteredNodes, filteredLinks) {
-    // Create a map of filtered node positions
-    const filteredNodePositions = new Map(
-      filteredNodes.map((n) => [n.id, { x: n.x, y: n.y }])
-    );
-
-    // Group links by target for border calculations
-    const filteredLinksByTarget = d3.group(filteredLinks, (l) => l.target);
-
-    const app = this;
-    this.node
-      .filter((d) => filteredNodePositions.has(d.id))
-      .each(function (d) {
-        const nodeElement = d3.select(this);
-        const visibleInputLinks = filteredLinksByTarget.get(d.id) || [];
-
-        if (visibleInputLinks.length === 0) {
-          nodeElement.selectAll(".node-border").attr("stroke", "#000");
-        } else if (visibleInputLinks.length === 1) {
-          // Only 1 visible parent - use single color border
-          const edgeColor =
-            config.availableColors[
-              app.nodeColors[visibleInputLinks[0].source] || 0
-            ];
-          nodeElement
-            .selectAll(".node-border, .node-border-segment")
-            .attr("stroke", edgeColor);
-        } else {
-          // Multiple visible parents - calculate segment colors using filtered positions
-          const sortedLinks = visibleInputLinks
-            .map((link) => {
-              const sourcePos = filteredNodePositions.get(link.source);
-              return {
-                link,
-                sourceY: sourcePos
-                  ? sourcePos.y
-                  : app.nodeMap.get(link.source).y,
-              };
-            })
-            .sort((a, b) => a.sourceY - b.sourceY)
-            .map((item, index) => {
-              let targetYOffset = 0;
-              if (visibleInputLinks.length > 1) {
-                const spacing = config.spacing;
-                const totalHeight = (visibleInputLinks.length - 1) * spacing;
-                targetYOffset = index * spacing - totalHeight / 2;
-              }
-              return {
-                link: item.link,
-                offset: targetYOffset,
-                index,
-              };
-            });
-
-          // Find the colors based on actual spatial position
-          // The first sorted link (smallest Y) gets most negative offset (top)
-          // The last sorted link (largest Y) gets most positive offset (bottom)
-          const topColor =
-            config.availableColors[
-              app.nodeColors[sortedLinks[0].link.source] || 0
-            ];
-          const bottomColor =
-            config.availableColors[
-              app.nodeColors[sortedLinks[sortedLinks.length - 1].link.source] ||
-                0
-            ];
-
-          const segments = nodeElement
-            .selectAll(".node-border-segment")
-            .nodes();
-          if (segments.length >= 4) {
-            d3.select(segments[0]).attr("stroke", topColor);
-            d3.select(segments[1]).attr("stroke", bottomColor);
-            d3.select(segments[2]).attr("stroke", "#ddd");
-            d3.select(segments[3]).attr("stroke", "#ddd");
-          }
-        }
-      });
+  restoreOriginalView({ animate = true } = {}) {
+    this.showFullTree({ animate });
+    document.getElementById("infoPanel").style.display = "none";
   }
 
-  restoreOriginalView() {
+  /**
+   * Leave the filtered view: all species move back to their saved positions,
+   * or jump there when `animate` is false
+   */
+  showFullTree({ animate = true } = {}) {
     this.isFilteredView = false;
+    this.filteredSubgraph = null;
+    this.updateLayoutButton();
 
-    // Re-enable layout toggle button
-    const layoutButton = document.getElementById("layoutToggle");
-    if (layoutButton) {
-      layoutButton.disabled = false;
-      layoutButton.style.opacity = "1";
-      layoutButton.style.cursor = "pointer";
-    }
-
-    // Restore original positions
-    this.nodes.forEach((node) => {
-      const original = this.originalPositions.get(node.id);
-      if (original) {
-        node.x = original.x;
-        node.y = original.y;
-      }
-    });
-
-    // Clear saved positions so next filtered view saves fresh positions
-    this.originalPositions.clear();
-
-    // Recalculate edge Y offsets based on ORIGINAL positions
-    const linksByTarget = d3.group(this.links, (l) => l.target);
-
-    linksByTarget.forEach((targetLinks, targetId) => {
-      if (targetLinks.length > 1) {
-        // Sort by source Y position using RESTORED positions
-        const sortedLinks = targetLinks
-          .map((link) => {
-            return {
-              link,
-              sourceY: this.nodeMap.get(link.source).y,
-            };
-          })
-          .sort((a, b) => a.sourceY - b.sourceY);
-
-        // Assign vertical offsets
-        const spacing = config.spacing;
-        const totalHeight = (sortedLinks.length - 1) * spacing;
-
-        sortedLinks.forEach((item, index) => {
-          const targetYOffset = index * spacing - totalHeight / 2;
-          item.link.targetYOffset = targetYOffset;
-        });
-      } else if (targetLinks.length === 1) {
-        targetLinks[0].targetYOffset = 0;
-      }
-    });
-
-    // Update the data on the D3 selection with recalculated offsets
-    this.link.each(function (d) {
-      const matchingLink = Array.from(linksByTarget.values())
-        .flat()
-        .find((l) => l.source === d.source && l.target === d.target);
-      if (matchingLink && matchingLink.targetYOffset !== undefined) {
-        d.targetYOffset = matchingLink.targetYOffset;
-      }
-    });
-
-    // Show all nodes and links
-    this.node
-      .style("display", null)
-      .classed("highlighted connected faded", false);
-
-    this.link.style("display", null).classed("highlighted faded", false);
-
-    // In COLUMN layout mode, hide edges to childless nodes
-    if (this.useColumnLayoutForLeaves) {
-      this.link.style("display", (d) => {
-        const targetNode = this.nodeMap.get(d.target);
-        return targetNode.children.length > 0 ? null : "none";
-      });
-    }
-
-    // Remove outer selection borders
+    this.node.classed("highlighted connected faded", false);
+    this.link.classed("highlighted faded", false);
     this.node.selectAll(".outer-selection-border").remove();
 
-    // Update back to original positions immediately
-    this.node.attr("transform", (d) => `translate(${d.x},${d.y})`);
-
-    this.link.attr("d", (d) => {
-      const source = this.nodeMap.get(d.source);
-      const target = this.nodeMap.get(d.target);
-      const sourceWidth = source.width || 120;
-      const targetWidth = target.width || 120;
-      const targetY = target.y + (d.targetYOffset || 0);
-
-      const sourceX = source.x + sourceWidth / 2;
-      const targetX = target.x - targetWidth / 2 + 3;
-      const sourceXStraight = sourceX + config.straightLength;
-      const targetXStraight = targetX - config.straightLength;
-
-      return `M${sourceX},${source.y} L${sourceXStraight},${source.y} L${targetXStraight},${targetY} L${targetX},${targetY}`;
+    this.updateView({
+      arrange: () => {
+        this.nodes.forEach((node) => {
+          const original = this.originalPositions.get(node.id);
+          if (original) {
+            node.x = original.x;
+            node.y = original.y;
+            node.edgeWaypoints = original.edgeWaypoints;
+          }
+        });
+        // Clear saved positions so next filtered view saves fresh positions
+        this.originalPositions.clear();
+      },
+      leafIds: this.getLeafIds(),
+      animate,
     });
-
-    // Reset node borders AFTER positions and offsets are recalculated
-    this.resetNodeBorders();
-
-    // Restore proper stacking order: ensure link group is below node group
-    const linkGroup = this.g.select(".links");
-    const nodeGroup = this.g.select(".nodes");
-
-    if (linkGroup.node() && nodeGroup.node()) {
-      // Move link group to be first child (bottom of stack)
-      this.g.node().insertBefore(linkGroup.node(), this.g.node().firstChild);
-      // Node group should already be on top, but ensure it
-      this.g.node().appendChild(nodeGroup.node());
-    }
-
-    document.getElementById("infoPanel").style.display = "none";
-
-    // Recalculate zoom constraints for all nodes
-    this.updateZoomConstraints(this.nodes);
-
-    // Fit view immediately
-    this.fitView();
   }
 
   fitViewToNodes(nodes) {
@@ -1417,19 +2003,34 @@ export class BeeBreedingApp {
     }
   }
 
-  toggleLeafLayout() {
-    this.useColumnLayoutForLeaves = !this.useColumnLayoutForLeaves;
+  /**
+   * Step to the next of config.layoutModes, or of config.filteredLayouts in
+   * the filtered view
+   */
+  cycleLayoutMode() {
+    if (this.isFilteredView) {
+      const layouts = Object.values(config.filteredLayouts);
+      this.setFilteredLayout(
+        layouts[(layouts.indexOf(this.filteredLayout) + 1) % layouts.length]
+      );
+      return;
+    }
+    const modes = Object.values(config.layoutModes);
+    this.runViewAction(
+      this.setLayoutMode(
+        modes[(modes.indexOf(this.layoutMode) + 1) % modes.length]
+      ),
+      "Changing the layout"
+    );
+  }
 
-    // Update button text
-    const button = document.getElementById("layoutToggle");
+  async setLayoutMode(layoutMode) {
+    this.layoutMode = layoutMode;
+    this.updateLayoutButton();
+    this.scheduleUrlStateUpdate();
 
-    // Update positions with transitions
-    positionNodes(
-      this.nodes,
-      this.useColumnLayoutForLeaves
-        ? config.layoutModes.COLUMN
-        : config.layoutModes.SPLIT
-    );
+    // Positions come from the engine, colors stay as they are
+    if (!(await this.repositionNodes())) return;
 
     // Re-render the entire visualization to update edge filtering
     // Clear and re-render
@@ -1443,252 +2044,410 @@ export class BeeBreedingApp {
     this.fitView();
   }
 
+  /**
+   * Rearrange the filtered view (once shown) with one of
+   * config.filteredLayouts
+   */
+  setFilteredLayout(filteredLayout) {
+    this.filteredLayout = filteredLayout;
+    this.updateLayoutButton();
+    this.scheduleUrlStateUpdate();
+
+    if (this.filteredSubgraph) {
+      const { connectedIds, anchorNode, highlightedNodes } =
+        this.filteredSubgraph;
+      this.showFilteredSubgraph(connectedIds, anchorNode, highlightedNodes);
+    }
+  }
+
+  // The layout button names the filtered layout while the filtered view is shown
+  updateLayoutButton() {
+    const button = document.getElementById("layoutToggle");
+    if (!button) return;
+    const label = this.isFilteredView
+      ? config.filteredLayoutLabels[this.filteredLayout]
+      : config.layoutModeLabels[this.layoutMode];
+    button.textContent = `Layout: ${label}`;
+  }
+
   setupSearch() {
     let searchTimeout;
     const searchInput = document.getElementById("searchInput");
 
+    // Dropdown: ranked species for plain searches, then completions for the
+    // query language (only completions once the text is a query)
+    const suggestions = document.getElementById("searchSuggestions");
+    let completion = { from: 0, to: 0, items: [] };
+    let dropdownItems = [];
+    let activeIndex = -1;
+
+    const renderDropdown = () => {
+      renderSearchSuggestions(
+        suggestions,
+        dropdownItems,
+        pickItem,
+        activeIndex
+      );
+    };
+    const hideDropdown = () => {
+      dropdownItems = [];
+      activeIndex = -1;
+      renderDropdown();
+    };
+    const applyCompletion = (item) => {
+      const value = searchInput.value;
+      searchInput.value =
+        value.slice(0, completion.from) +
+        item.text +
+        value.slice(completion.to);
+      const caret = completion.from + item.text.length;
+      searchInput.setSelectionRange(caret, caret);
+      searchInput.dispatchEvent(new Event("input"));
+    };
+    const pickSpecies = async (node) => {
+      clearTimeout(searchTimeout);
+      hideDropdown();
+      searchInput.value = node.name;
+      this.setSearchStatus("");
+      await this.selectNode(node);
+      this.fitViewToNodes([node]);
+    };
+    const pickItem = (item) => {
+      if (item.node) {
+        this.runViewAction(pickSpecies(item.node), "Selecting a species");
+      } else {
+        applyCompletion(item);
+      }
+    };
+    const updateDropdown = () => {
+      const value = searchInput.value;
+      completion = getQueryCompletions(
+        value,
+        searchInput.selectionStart,
+        {
+          beeData: this.beeData,
+          productIndex: this.productIndex,
+          enums: this.enums,
+        },
+        config.searchSuggestionLimit
+      );
+      const speciesItems = isStructuredQuery(value, {
+        speciesIdPrefixes: this.speciesIdPrefixes,
+      })
+        ? []
+        : rankSpecies(this.nodes, this.beeData, value)
+            .slice(0, config.searchResultLimit)
+            .map((result) => this.toSearchResultItem(result));
+      dropdownItems = [...speciesItems, ...completion.items];
+      activeIndex = -1;
+      renderDropdown();
+    };
+
+    // Arrows move through the dropdown, Enter picks (the first species when
+    // none is chosen), Tab takes a completion, Escape closes the list
+    searchInput.addEventListener("keydown", (e) => {
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        if (dropdownItems.length === 0) {
+          updateDropdown();
+          return;
+        }
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeIndex =
+          activeIndex === -1 && step === -1
+            ? dropdownItems.length - 1
+            : (activeIndex + step + dropdownItems.length) %
+              dropdownItems.length;
+        renderDropdown();
+      } else if (e.key === "Enter") {
+        const item =
+          dropdownItems[activeIndex] || dropdownItems.find((i) => i.node);
+        if (item) {
+          e.preventDefault();
+          pickItem(item);
+        }
+      } else if (e.key === "Tab" && completion.items.length > 0) {
+        e.preventDefault();
+        const activeItem = dropdownItems[activeIndex];
+        applyCompletion(
+          activeItem && !activeItem.node ? activeItem : completion.items[0]
+        );
+      } else if (e.key === "Escape") {
+        hideDropdown();
+      }
+    });
+    searchInput.addEventListener("blur", hideDropdown);
+
     searchInput.addEventListener("input", (e) => {
       // Clear previous timeout
       clearTimeout(searchTimeout);
+      updateDropdown();
 
-      const searchTerm = e.target.value.toLowerCase();
+      const query = e.target.value;
 
       // Always debounce - wait for user to stop typing
       searchTimeout = setTimeout(() => {
-        if (searchTerm.length === 0) {
-          // Empty search - show full tree
-          if (this.isFilteredView) {
-            this.restoreOriginalView();
-          } else {
-            this.resetHighlight();
-          }
-        } else {
-          // Search for matching nodes with prioritization
-          // Only search by display name, extracting bee name from mod-prefixed IDs if needed
-          const matches = this.nodes.filter((n) => {
-            // Extract display name - if no explicit name, extract from ID (e.g., "forestry:commonBee" -> "commonBee")
-            const displayName = n.name || n.id.split(":")[1] || n.id;
-            return displayName.toLowerCase().includes(searchTerm);
-          });
-
-          // Separate exact matches from partial matches
-          const exactMatches = matches.filter((n) => {
-            const displayName = n.name || n.id.split(":")[1] || n.id;
-            return displayName.toLowerCase() === searchTerm;
-          });
-          const partialMatches = matches.filter((n) => {
-            const displayName = n.name || n.id.split(":")[1] || n.id;
-            return displayName.toLowerCase() !== searchTerm;
-          });
-
-          // Sort partial matches by priority:
-          // 1. Starts with search term
-          // 2. Contains search term (shorter first)
-          partialMatches.sort((a, b) => {
-            const aName = (a.name || a.id.split(":")[1] || a.id).toLowerCase();
-            const bName = (b.name || b.id.split(":")[1] || b.id).toLowerCase();
-
-            // Check for starts with
-            const aStarts = aName.startsWith(searchTerm);
-            const bStarts = bName.startsWith(searchTerm);
-            if (aStarts && !bStarts) return -1;
-            if (!aStarts && bStarts) return 1;
-
-            // Both contain search term, sort by length (shorter first)
-            return aName.length - bName.length;
-          });
-
-          if (exactMatches.length > 0) {
-            // Always select first exact match
-            this.selectNode(exactMatches[0]);
-          } else if (partialMatches.length === 1) {
-            // Only one partial match - select it
-            this.selectNode(partialMatches[0]);
-          } else if (partialMatches.length > 1) {
-            // Multiple partial matches - highlight all of them
-            if (this.isFilteredView) {
-              this.restoreOriginalView();
-            }
-            this.highlightMultipleNodes(partialMatches);
-          } else {
-            // No matches found - show full tree
-            if (this.isFilteredView) {
-              this.restoreOriginalView();
-            } else {
-              this.resetHighlight();
-            }
-          }
-        }
+        this.runSearch(query);
+        this.scheduleUrlStateUpdate();
       }, config.searchDebounceDelay);
     });
   }
 
-  setupControls() {
-    console.log("Setting up controls...");
-
-    // Bind global functions to app instance for HTML onclick handlers
-    window.resetHighlight = () => this.resetHighlight();
-    window.fitView = () => this.fitView();
-    window.toggleLeafLayout = () => this.toggleLeafLayout();
+  /**
+   * Run a search: queries highlight their matches, item names highlight their
+   * producers, anything else is a fuzzy species search
+   */
+  runSearch(query) {
+    const searchTerm = query.toLowerCase();
 
-    // Add checkbox change listener
-    const filterModeCheckbox = document.getElementById("filterModeToggle");
-    if (filterModeCheckbox) {
-      filterModeCheckbox.addEventListener("change", () => {
-        const showAllNodes = filterModeCheckbox.checked;
-        console.log(
-          "Filter mode checkbox changed. showAllNodes:",
-          showAllNodes
-        );
+    // Item IDs and names (e.g. "I:minecraft:sand") look up their producers
+    const productItem = findProductItem(this.productIndex, searchTerm);
+    this.setSearchStatus("");
 
-        // If checkbox is checked (showing all nodes), always fit to view
-        if (showAllNodes) {
-          // If a node is selected, switch visualization mode
-          if (this.currentSelectedNode) {
-            // Switch to fade mode
-            if (this.isFilteredView) {
-              console.log("Switching from filtered view to fade view");
-              this.isFilteredView = false;
-
-              // Restore original positions to node data
-              this.nodes.forEach((node) => {
-                const original = this.originalPositions.get(node.id);
-                if (original) {
-                  node.x = original.x;
-                  node.y = original.y;
-                }
-              });
-
-              // Clear saved positions
-              this.originalPositions.clear();
-
-              // Recalculate edge Y offsets based on RESTORED positions
-              const linksByTarget = d3.group(this.links, (l) => l.target);
-
-              linksByTarget.forEach((targetLinks, targetId) => {
-                if (targetLinks.length > 1) {
-                  // Sort by source Y position using RESTORED positions
-                  const sortedLinks = targetLinks
-                    .map((link) => {
-                      return {
-                        link,
-                        sourceY: this.nodeMap.get(link.source).y,
-                      };
-                    })
-                    .sort((a, b) => a.sourceY - b.sourceY);
-
-                  // Assign vertical offsets
-                  const spacing = config.spacing;
-                  const totalHeight = (sortedLinks.length - 1) * spacing;
-
-                  sortedLinks.forEach((item, index) => {
-                    const targetYOffset = index * spacing - totalHeight / 2;
-                    item.link.targetYOffset = targetYOffset;
-                  });
-                } else if (targetLinks.length === 1) {
-                  targetLinks[0].targetYOffset = 0;
-                }
-              });
-
-              // Update the data on the D3 selection with recalculated offsets
-              this.link.each(function (d) {
-                const matchingLink = Array.from(linksByTarget.values())
-                  .flat()
-                  .find((l) => l.source === d.source && l.target === d.target);
-                if (matchingLink && matchingLink.targetYOffset !== undefined) {
-                  d.targetYOffset = matchingLink.targetYOffset;
-                }
-              });
-
-              // Show all nodes and links
-              this.node
-                .style("display", null)
-                .classed("highlighted connected faded", false);
-
-              this.link
-                .style("display", null)
-                .classed("highlighted faded", false);
-
-              // In COLUMN layout mode, hide edges to childless nodes
-              if (this.useColumnLayoutForLeaves) {
-                this.link.style("display", (d) => {
-                  const targetNode = this.nodeMap.get(d.target);
-                  return targetNode.children.length > 0 ? null : "none";
-                });
-              }
+    if (
+      isStructuredQuery(query, { speciesIdPrefixes: this.speciesIdPrefixes })
+    ) {
+      this.runQuerySearch(query);
+    } else if (searchTerm.length === 0) {
+      // Empty search - show full tree
+      if (this.isFilteredView) {
+        this.restoreOriginalView();
+      } else {
+        this.resetHighlight();
+      }
+    } else if (productItem) {
+      this.highlightProducers(productItem.id);
+    } else {
+      // Fuzzy matches on names, binomials and IDs, best first
+      const results = rankSpecies(this.nodes, this.beeData, query);
+
+      if (results.length > 0 && results[0].isExact) {
+        // Always select an exact name match
+        this.runViewAction(
+          this.selectNode(results[0].node),
+          "Selecting a species"
+        );
+      } else if (results.length === 1) {
+        // Only one match - select it
+        this.runViewAction(
+          this.selectNode(results[0].node),
+          "Selecting a species"
+        );
+      } else if (results.length > 1) {
+        // Several matches - highlight them; the dropdown picks one
+        if (this.isFilteredView) {
+          this.restoreOriginalView();
+        }
+        this.highlightMultipleNodes(results.map((result) => result.node));
+      } else {
+        // No matches found - show full tree
+        if (this.isFilteredView) {
+          this.restoreOriginalView();
+        } else {
+          this.resetHighlight();
+        }
+      }
+    }
+  }
 
-              // Update positions immediately without animation
-              this.node.attr("transform", (d) => `translate(${d.x},${d.y})`);
-
-              this.link.attr("d", (d) => {
-                const source = this.nodeMap.get(d.source);
-                const target = this.nodeMap.get(d.target);
-                const sourceWidth = source.width || 120;
-                const targetWidth = target.width || 120;
-                const targetY = target.y + (d.targetYOffset || 0);
-
-                const sourceX = source.x + sourceWidth / 2;
-                const targetX = target.x - targetWidth / 2 + 3;
-                const sourceXStraight = sourceX + config.straightLength;
-                const targetXStraight = targetX - config.straightLength;
-
-                return `M${sourceX},${source.y} L${sourceXStraight},${source.y} L${targetXStraight},${targetY} L${targetX},${targetY}`;
-              });
-
-              // Reset node borders AFTER offsets are recalculated
-              this.resetNodeBorders();
-              
-              // Restore proper stacking order: ensure link group is below node group
-              const linkGroup = this.g.select(".links");
-              const nodeGroup = this.g.select(".nodes");
-
-              if (linkGroup.node() && nodeGroup.node()) {
-                // Move link group to be first child (bottom of stack)
-                this.g.node().insertBefore(linkGroup.node(), this.g.node().firstChild);
-                // Node group should already be on top, but ensure it
-                this.g.node().appendChild(nodeGroup.node());
-              }
+  /**
+   * Dropdown entry for a rankSpecies result: mod, generation and the node's
+   * color, plus what matched when it was not the name
+   */
+  toSearchResultItem(result) {
+    const { node, field } = result;
+    const details = [node.mod, `gen ${node.generation}`];
+    if (field !== "name") {
+      details.push(field === "id" ? node.id : this.beeData[node.id].binomial);
+    }
+    return {
+      node,
+      label: node.name,
+      hint: details.join(" · "),
+      swatch:
+        node.children.length === 0
+          ? "#000000"
+          : config.availableColors[this.nodeColors[node.id] || 0],
+    };
+  }
 
-              // Re-enable layout toggle button
-              const layoutButton = document.getElementById("layoutToggle");
-              if (layoutButton) {
-                layoutButton.disabled = false;
-                layoutButton.style.opacity = "1";
-                layoutButton.style.cursor = "pointer";
-              }
+  /**
+   * Highlight every species matching a query such as `temp:HOT -dominant:true`
+   * (see src/data/searchQuery.js). Invalid queries are reported under the
+   * search box.
+   */
+  runQuerySearch(query) {
+    let matchesQuery;
+    try {
+      const parsed = parseSearchQuery(query, {
+        enums: this.enums,
+        speciesIdPrefixes: this.speciesIdPrefixes,
+      });
+      matchesQuery = compileSearchQuery(parsed, {
+        beeData: this.beeData,
+        productIndex: this.productIndex,
+      });
+    } catch (error) {
+      this.setSearchStatus(error.message, true);
+      return;
+    }
 
-              // Apply fade highlighting
-              this.highlightConnections(this.currentSelectedNode);
-              this.showInfo(this.currentSelectedNode);
-            } else {
-              console.log("Already in normal view, just applying fade");
-              // Already in normal view, just apply fade
-              this.highlightConnections(this.currentSelectedNode);
-            }
-          }
+    const matches = this.nodes.filter(matchesQuery);
+    if (this.isFilteredView) {
+      this.restoreOriginalView();
+    }
+    if (matches.length > 0) {
+      this.highlightMultipleNodes(matches);
+    } else {
+      this.resetHighlight();
+    }
+    this.setSearchStatus(
+      matches.length === 1 ? "1 match" : `${matches.length} matches`
+    );
+  }
+
+  setSearchStatus(message, isError = false) {
+    const status = document.getElementById("searchStatus");
+    status.textContent = message;
+    status.style.display = message ? "block" : "none";
+    status.classList.toggle("error", isError);
+  }
 
-          // ALWAYS fit to view when showing all nodes, regardless of selected node state
-          // Recalculate zoom constraints BEFORE fitting to ensure proper bounds
-          console.log(
-            "Updating zoom constraints and fitting to view for all nodes"
+  setupControls() {
+    console.log("Setting up controls...");
+
+    // Bind global functions to app instance for HTML onclick handlers
+    window.resetHighlight = () => this.resetHighlight();
+    window.fitView = () => this.fitView();
+    window.cycleLayoutMode = () => this.cycleLayoutMode();
+
+    // Clicks pick path endpoints instead of selecting
+    const pathModeToggle = document.getElementById("pathModeToggle");
+    if (pathModeToggle) {
+      pathModeToggle.addEventListener("change", () => {
+        this.isPathMode = pathModeToggle.checked;
+        this.resetHighlight();
+      });
+    }
+
+    // Switch between direct parent->child links and junction nodes
+    const junctionModeToggle = document.getElementById("junctionModeToggle");
+    if (junctionModeToggle) {
+      junctionModeToggle.addEventListener("change", () => {
+        if (junctionModeToggle.checked !== this.useJunctionNodes) {
+          this.runViewAction(
+            this.toggleJunctionNodes(),
+            "Switching junction nodes"
           );
-          console.log("Number of nodes:", this.nodes.length);
-          console.log("isFilteredView:", this.isFilteredView);
+        }
+      });
+    }
 
-          // Update zoom constraints for all nodes
-          this.updateZoomConstraints(this.nodes);
+    // Encode mutation chance in edge width/opacity, optionally with labels
+    const chanceEncodingToggle = document.getElementById(
+      "chanceEncodingToggle"
+    );
+    if (chanceEncodingToggle) {
+      chanceEncodingToggle.addEventListener("change", () => {
+        this.useChanceEncoding = chanceEncodingToggle.checked;
+        applyChanceEncoding(this.link, this.nodeMap, this.useChanceEncoding);
+        this.requestCanvasUpdate();
+      });
+    }
+
+    const chanceLabelsToggle = document.getElementById("chanceLabelsToggle");
+    if (chanceLabelsToggle) {
+      chanceLabelsToggle.addEventListener("change", () => {
+        this.showChanceLabels = chanceLabelsToggle.checked;
+        this.updateLinkDecorations();
+      });
+    }
+
+    const productLayerToggle = document.getElementById("productLayerToggle");
+    if (productLayerToggle) {
+      productLayerToggle.addEventListener("change", () => {
+        this.toggleProductLayer();
+      });
+    }
+
+    // Plan a low-cost breeding route to the selected bee
+    const planRouteButton = document.getElementById("planRouteButton");
+    if (planRouteButton) {
+      planRouteButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (this.currentSelectedNode) {
+          this.showBreedingPlan(this.currentSelectedNode);
+        }
+      });
+    }
 
-          // Use setTimeout to ensure zoom constraints are applied before fitting
-          setTimeout(() => {
-            console.log(
-              "Fitting view to all nodes after zoom constraint update"
+    // Whole breeding chain as a file
+    const planExportFormat = document.getElementById("planExportFormat");
+    const exportPlanButton = document.getElementById("exportPlanButton");
+    if (planExportFormat && exportPlanButton) {
+      Object.entries(planExportFormats).forEach(([format, { label }]) => {
+        const option = document.createElement("option");
+        option.value = format;
+        option.textContent = label;
+        planExportFormat.appendChild(option);
+      });
+      exportPlanButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (this.currentSelectedNode) {
+          this.exportPlan(this.currentSelectedNode, planExportFormat.value);
+        }
+      });
+    }
+
+    // Monte Carlo simulation of the planned route
+    const simulateButton = document.getElementById("simulateButton");
+    if (simulateButton) {
+      simulateButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (this.currentSelectedNode) {
+          this.simulateBreeding(this.currentSelectedNode);
+        }
+      });
+    }
+
+    // Add checkbox change listener
+    const filterModeCheckbox = document.getElementById("filterModeToggle");
+    if (filterModeCheckbox) {
+      filterModeCheckbox.addEventListener("change", () => {
+        const showAllNodes = filterModeCheckbox.checked;
+        this.scheduleUrlStateUpdate();
+        console.log(
+          "Filter mode checkbox changed. showAllNodes:",
+          showAllNodes
+        );
+
+        if (showAllNodes) {
+          if (this.currentSelectedNode && this.isFilteredView) {
+            // Back to the full tree, which is fitted to the view on the way
+            this.showFullTree();
+            this.runViewAction(
+              this.highlightConnections(this.currentSelectedNode),
+              "Highlighting connections"
             );
+            this.showInfo(this.currentSelectedNode);
+          } else {
+            if (this.currentSelectedNode) {
+              this.runViewAction(
+                this.highlightConnections(this.currentSelectedNode),
+                "Highlighting connections"
+              );
+            }
+            // Always fit to view when showing all nodes
+            this.updateZoomConstraints(this.nodes);
             this.fitViewToNodes(this.nodes);
-          }, 0);
+          }
         } else {
           // Checkbox unchecked - switch to filtered mode (only if node is selected)
           if (this.currentSelectedNode) {
-            this.showFilteredView(this.currentSelectedNode);
+            this.runViewAction(
+              this.showFilteredView(this.currentSelectedNode),
+              "Showing the filtered view"
+            );
             this.showInfo(this.currentSelectedNode);
           }
         }
@@ -1698,91 +2457,733 @@ export class BeeBreedingApp {
     console.log("Controls bound to window object");
   }
 
-  readCheckboxStates() {
-    // Read current checkbox states to populate selectedMods
-    const checkboxes = document.querySelectorAll(".mod-filter-checkbox");
-    checkboxes.forEach((checkbox) => {
-      const modName = checkbox.value.toLowerCase();
-      if (checkbox.checked) {
-        this.selectedMods.add(modName);
-      }
-    });
+  setupModFilters() {
+    const container = document.getElementById("modFiltersContent");
+    if (!container) return;
+
+    const render = () =>
+      renderModFilters(container, this.modCounts, this.selectedMods, (keys) => {
+        this.selectedMods = keys;
+        render();
+
+        // Apply the filter
+        this.runViewAction(this.applyModFilter(), "Filtering mods");
+        this.scheduleUrlStateUpdate();
+      });
+    render();
   }
 
-  getFilteredBeeData() {
-    // Get filtered bee data based on selectedMods
-    if (this.selectedMods.size === 0) {
-      return this.beeData;
+  setupInventory() {
+    const inventoryToggle = document.getElementById("inventoryModeToggle");
+    if (inventoryToggle) {
+      inventoryToggle.addEventListener("change", () => {
+        this.isInventoryMode = inventoryToggle.checked;
+        this.updateInventoryView();
+      });
     }
 
-    const allMods = [
-      "forestry",
-      "extrabees",
-      "magicbees",
-      "careerbees",
-      "meatballcraft",
-    ];
-    const allSelected = allMods.every((mod) => this.selectedMods.has(mod));
+    const ownedToggle = document.getElementById("ownedToggle");
+    if (ownedToggle) {
+      ownedToggle.addEventListener("change", () => {
+        if (this.currentSelectedNode) {
+          this.setOwned(this.currentSelectedNode.id, ownedToggle.checked);
+        }
+      });
+    }
+
+    const highlightButton = document.getElementById("highlightBreedableButton");
+    if (highlightButton) {
+      highlightButton.addEventListener("click", () => {
+        if (!this.inventoryState) return;
+        const breedableNodes = Array.from(this.inventoryState.breedable.keys())
+          .map((speciesId) => this.nodeMap.get(speciesId))
+          .filter(Boolean);
+        if (this.isFilteredView) {
+          this.restoreOriginalView();
+        }
+        this.highlightMultipleNodes(breedableNodes);
+      });
+    }
 
-    if (allSelected) {
-      return this.beeData;
+    const clearOwnedButton = document.getElementById("clearOwnedButton");
+    if (clearOwnedButton) {
+      clearOwnedButton.addEventListener("click", () => {
+        this.ownedSpecies.clear();
+        saveOwnedSpecies(this.ownedSpecies);
+        document.getElementById("ownedToggle").checked = false;
+        this.updateInventoryView();
+      });
     }
+  }
 
-    // Filter to selected mods + their dependencies
-    const filteredBeeData = {};
+  setOwned(speciesId, owned) {
+    if (owned) {
+      this.ownedSpecies.add(speciesId);
+    } else {
+      this.ownedSpecies.delete(speciesId);
+    }
+    saveOwnedSpecies(this.ownedSpecies);
 
-    // First pass: collect all bees from selected mods
-    const selectedBeeIds = new Set();
-    Object.keys(this.beeData).forEach((beeId) => {
-      const modName = this.getModFromId(beeId);
-      if (this.selectedMods.has(modName)) {
-        selectedBeeIds.add(beeId);
+    if (this.isInventoryMode) {
+      this.updateInventoryView();
+    }
+  }
+
+  updateInventoryView() {
+    const panel = document.getElementById("inventoryPanel");
+
+    this.requestCanvasUpdate();
+    if (!this.isInventoryMode) {
+      this.inventoryState = null;
+      applyInventoryStyles(this.node, null);
+      panel.style.display = "none";
+      return;
+    }
+
+    this.inventoryState = computeInventoryState(
+      this.nodeMap,
+      this.ownedSpecies,
+      {
+        isMutationAllowed: (mutation, childId) =>
+          this.isMutationFeasible(mutation, childId),
       }
-    });
+    );
+    applyInventoryStyles(this.node, (d) =>
+      getInventoryStatus(this.inventoryState, d.id)
+    );
 
-    // Second pass: recursively add all ancestors
-    const beesWithAncestors = new Set(selectedBeeIds);
-    const addAncestors = (beeId) => {
-      const fullNode = this.fullHierarchyData.nodeMap.get(beeId);
-      if (fullNode && fullNode.parents) {
-        fullNode.parents.forEach((parentId) => {
-          if (!beesWithAncestors.has(parentId)) {
-            beesWithAncestors.add(parentId);
-            addAncestors(parentId);
-          }
+    const { owned, breedable, reachable, locked } = this.inventoryState;
+    document.getElementById(
+      "inventorySummary"
+    ).textContent = `Owned: ${owned.size} · Breedable now: ${breedable.size} · Reachable: ${reachable.size} · Locked: ${locked.size}`;
+
+    // List breedable species, most likely mutation first
+    const breedableList = document.getElementById("breedableList");
+    breedableList.innerHTML = "";
+    Array.from(breedable.entries())
+      .map(([speciesId, mutations]) => ({
+        speciesId,
+        mutation: mutations
+          .slice()
+          .sort((a, b) => (b.chance || 0) - (a.chance || 0))[0],
+      }))
+      .sort((a, b) => (b.mutation.chance || 0) - (a.mutation.chance || 0))
+      .forEach(({ speciesId, mutation }) => {
+        const item = document.createElement("li");
+        item.textContent = `${this.getDisplayName(
+          speciesId
+        )} — ${mutation.parents
+          .map((parentId) => this.getDisplayName(parentId))
+          .join(" + ")} (${formatChance(mutation.chance)})`;
+        item.addEventListener("click", () => {
+          this.runViewAction(
+            this.selectNode(this.nodeMap.get(speciesId)),
+            "Selecting a species"
+          );
         });
+        breedableList.appendChild(item);
+      });
+
+    panel.style.display = "block";
+  }
+
+  getMutationEvaluation(mutation, childId) {
+    const node = this.nodeMap.get(childId);
+    const evaluations = this.mutationEvaluations.get(childId);
+    const index = node ? node.mutations.indexOf(mutation) : -1;
+    if (evaluations && index !== -1) {
+      return evaluations[index];
+    }
+    return evaluateMutation(
+      mutation,
+      this.environment,
+      this.getEnvironmentContext()
+    );
+  }
+
+  isMutationFeasible(mutation, childId) {
+    return this.getMutationEvaluation(mutation, childId).feasible;
+  }
+
+  isLinkFeasible(link) {
+    const evaluations = this.mutationEvaluations.get(link.target);
+    if (!evaluations || link.mutationIndex === undefined) return true;
+    return evaluations[link.mutationIndex].feasible;
+  }
+
+  getEnvironmentContext() {
+    // Runtime conditions treat loaded species and mods as active
+    const activeSpecies = new Set(Object.keys(this.beeData || {}));
+    const activeMods = new Set(
+      Array.from(activeSpecies).map((speciesId) => this.getModFromId(speciesId))
+    );
+    return { activeSpecies, activeMods };
+  }
+
+  evaluateEnvironment() {
+    this.mutationEvaluations = new Map();
+    this.unobtainableIds = new Set();
+
+    if (!this.environment.enabled) return;
+
+    const context = this.getEnvironmentContext();
+
+    this.nodes.forEach((node) => {
+      const evaluations = node.mutations.map((mutation) =>
+        evaluateMutation(mutation, this.environment, context)
+      );
+      this.mutationEvaluations.set(node.id, evaluations);
+    });
+
+    // Species that can no longer be bred from base species in this environment
+    const obtainable = new Set(this.getBaseSpeciesIds());
+    let changed = true;
+    while (changed) {
+      changed = false;
+      this.nodes.forEach((node) => {
+        if (obtainable.has(node.id)) return;
+        const evaluations = this.mutationEvaluations.get(node.id);
+        const canBreed = node.mutations.some(
+          (mutation, index) =>
+            evaluations[index].feasible &&
+            mutation.parents.every((parentId) => obtainable.has(parentId))
+        );
+        if (canBreed) {
+          obtainable.add(node.id);
+          changed = true;
+        }
+      });
+    }
+    this.nodes.forEach((node) => {
+      if (!obtainable.has(node.id)) {
+        this.unobtainableIds.add(node.id);
+      }
+    });
+  }
+
+  applyEnvironmentStyles() {
+    this.link.classed("infeasible", (d) => !this.isLinkFeasible(d));
+    this.node.classed("unobtainable", (d) => this.unobtainableIds.has(d.id));
+    this.requestCanvasUpdate();
+  }
+
+  setupEnvironment() {
+    const fillSelect = (selectId, values) => {
+      const select = document.getElementById(selectId);
+      if (!select) return;
+      select.innerHTML = "";
+      ["", ...values].forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value || "Any";
+        select.appendChild(option);
+      });
+    };
+    const fillDatalist = (listId, values) => {
+      const datalist = document.getElementById(listId);
+      if (!datalist) return;
+      datalist.innerHTML = "";
+      values.forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        datalist.appendChild(option);
+      });
+    };
+
+    fillSelect("envTemperature", this.enums.temperature || []);
+    fillSelect("envHumidity", this.enums.humidity || []);
+    fillSelect("envMoonPhase", this.enums.moonPhase || []);
+    fillDatalist(
+      "envBiomeOptions",
+      collectRequirementValues(this.nodeMap, "biome")
+    );
+    fillDatalist(
+      "envBlockOptions",
+      collectRequirementValues(this.nodeMap, "block")
+    );
+
+    // Populate inputs from the saved profile
+    const fields = {
+      envEnabled: { key: "enabled", type: "checkbox" },
+      envBiome: { key: "biome" },
+      envTemperature: { key: "temperature" },
+      envHumidity: { key: "humidity" },
+      envBlocks: { key: "blocks", type: "list" },
+      envDate: { key: "date" },
+      envMoonPhase: { key: "moonPhase" },
+      envPlayer: { key: "player" },
+      envRuntimeConditions: { key: "checkRuntimeConditions", type: "checkbox" },
+    };
+
+    Object.entries(fields).forEach(([elementId, field]) => {
+      const element = document.getElementById(elementId);
+      if (!element) return;
+
+      const value = this.environment[field.key];
+      if (field.type === "checkbox") {
+        element.checked = Boolean(value);
+      } else if (field.type === "list") {
+        element.value = value.join(", ");
+      } else {
+        element.value = value;
       }
+
+      element.addEventListener("change", () => {
+        if (field.type === "checkbox") {
+          this.environment[field.key] = element.checked;
+        } else if (field.type === "list") {
+          this.environment[field.key] = element.value
+            .split(",")
+            .map((item) => item.trim())
+            .filter((item) => item.length > 0);
+        } else {
+          this.environment[field.key] = element.value.trim();
+        }
+        saveEnvironment(this.environment);
+        this.updateEnvironmentView();
+      });
+    });
+
+    this.updateEnvironmentSummary();
+  }
+
+  setupHousing() {
+    const typeSelect = document.getElementById("housingType");
+    if (!typeSelect) return;
+
+    const fillOptions = (select, options, emptyLabel) => {
+      select.innerHTML = "";
+      const entries = Object.entries(options);
+      if (emptyLabel) entries.unshift(["", { label: emptyLabel }]);
+      entries.forEach(([value, option]) => {
+        const element = document.createElement("option");
+        element.value = value;
+        element.textContent = option.label;
+        select.appendChild(element);
+      });
     };
 
-    selectedBeeIds.forEach((beeId) => addAncestors(beeId));
+    const frameSelects = Array.from(
+      document.querySelectorAll(".housing-frame")
+    );
+    const multiplierInput = document.getElementById("housingMultiplier");
 
-    // Build filtered bee data
-    beesWithAncestors.forEach((beeId) => {
-      filteredBeeData[beeId] = this.beeData[beeId];
+    fillOptions(typeSelect, config.housingTypes);
+    typeSelect.value = this.housing.type;
+    frameSelects.forEach((select, index) => {
+      fillOptions(select, config.hiveFrames, "No frame");
+      select.value = this.housing.frames[index] || "";
     });
+    multiplierInput.value = this.housing.productionMultiplier;
+
+    const update = () => {
+      this.housing = {
+        type: typeSelect.value,
+        frames: frameSelects.map((select) => select.value),
+        productionMultiplier: parseFloat(multiplierInput.value) || 1,
+      };
+      saveHousing(this.housing);
+      this.updateHousingView();
+    };
+    typeSelect.addEventListener("change", update);
+    frameSelects.forEach((select) => select.addEventListener("change", update));
+    multiplierInput.addEventListener("change", update);
+
+    const exportButton = document.getElementById("exportProductionButton");
+    if (exportButton) {
+      exportButton.addEventListener("click", (event) => {
+        event.stopPropagation();
+        if (this.currentSelectedNode) {
+          this.exportProduction(this.currentSelectedNode);
+        }
+      });
+    }
 
-    this.isModFiltered = true;
-    return filteredBeeData;
+    this.updateHousingView();
   }
 
-  setupModFilters() {
-    const checkboxes = document.querySelectorAll(".mod-filter-checkbox");
+  updateHousingView() {
+    // Frame slots only exist in some housings
+    const housingType = config.housingTypes[this.housing.type];
+    const frameSlots = housingType ? housingType.frameSlots : 0;
+    document.querySelectorAll(".housing-frame").forEach((select, index) => {
+      select.disabled = index >= frameSlots;
+    });
 
-    // Set up change listeners
-    checkboxes.forEach((checkbox) => {
-      checkbox.addEventListener("change", (e) => {
-        const modName = e.target.value.toLowerCase();
+    const multiplier = getHousingMultiplier(this.housing);
+    const summary = document.getElementById("housingSummary");
+    summary.textContent = `Production ×${parseFloat(multiplier.toFixed(2))}`;
 
-        if (e.target.checked) {
-          this.selectedMods.add(modName);
-        } else {
-          this.selectedMods.delete(modName);
+    if (this.currentSelectedNode) {
+      this.showInfo(this.currentSelectedNode);
+    }
+  }
+
+  getProduction(node) {
+    const bee = this.beeData[node.id] || {};
+    return calculateProduction(
+      getSpeciesProducts(this.productIndex, node.id),
+      bee.speed,
+      this.housing,
+      this.productIndex
+    );
+  }
+
+  /**
+   * Download the whole breeding chain of a bee, starting from the base
+   * species so crosses the player has already done stay in the checklist
+   */
+  exportPlan(node, format) {
+    const summaryDiv = document.getElementById("breedingPlanSummary");
+    const plan = this.planRoute(node, new Set(this.getBaseSpeciesIds()));
+    if (!plan) {
+      summaryDiv.textContent = "No route from the base species";
+      return;
+    }
+    if (plan.steps.length === 0) {
+      summaryDiv.textContent = "Base species - nothing to breed";
+      return;
+    }
+
+    const planDocument = buildPlanDocument(plan, {
+      getDisplayName: (id) => this.getDisplayName(id),
+      ownedIds: this.ownedSpecies,
+    });
+    downloadFile(
+      `${node.id.replace(/[^a-z0-9]+/gi, "_")}_plan.${format}`,
+      formatPlan(planDocument, format),
+      planExportFormats[format].mimeType
+    );
+  }
+
+  exportProduction(node) {
+    const csv = toCsv(productionToCsvRows(node.id, this.getProduction(node)));
+    downloadFile(
+      `${node.id.replace(/[^a-z0-9]+/gi, "_")}_production.csv`,
+      csv,
+      "text/csv"
+    );
+  }
+
+  updateEnvironmentView() {
+    this.evaluateEnvironment();
+    this.applyEnvironmentStyles();
+    this.updateEnvironmentSummary();
+
+    if (this.isInventoryMode) {
+      this.updateInventoryView();
+    }
+
+    // Refresh the current selection so highlighting follows feasible mutations only
+    if (this.currentSelectedNode) {
+      this.runViewAction(
+        this.selectNode(this.currentSelectedNode),
+        "Refreshing the selection"
+      );
+    }
+  }
+
+  updateEnvironmentSummary() {
+    const summary = document.getElementById("environmentSummary");
+    if (!summary) return;
+
+    if (!this.environment.enabled) {
+      summary.textContent = "All mutations shown";
+      return;
+    }
+
+    let blockedCount = 0;
+    this.mutationEvaluations.forEach((evaluations) => {
+      blockedCount += evaluations.filter((e) => !e.feasible).length;
+    });
+    summary.textContent = `${blockedCount} mutation${
+      blockedCount === 1 ? "" : "s"
+    } impossible, ${this.unobtainableIds.size} species unobtainable`;
+  }
+
+  setupDataIssues() {
+    const container = document.getElementById("dataIssuesContent");
+    if (!container) return;
+
+    document.getElementById("dataIssuesSummary").textContent = summarizeIssues(
+      this.dataIssues
+    );
+    renderDataIssues(
+      container,
+      this.dataIssues,
+      (speciesId) => {
+        const bee = this.beeData[speciesId];
+        return bee ? bee.name : speciesId;
+      },
+      (speciesId) => {
+        const node = this.nodeMap.get(speciesId);
+        if (!node) {
+          console.warn(`${speciesId} is not shown with the current mod filter`);
+          return;
         }
+        this.runViewAction(this.selectNode(node), "Selecting a species");
+      }
+    );
+  }
 
-        // Apply the filter
-        this.applyModFilter();
+  setupResourcePlanner() {
+    const itemInput = document.getElementById("plannerItem");
+    const rateInput = document.getElementById("plannerRate");
+    if (!itemInput || !rateInput) return;
+
+    const datalist = document.getElementById("plannerItemOptions");
+    datalist.innerHTML = "";
+    Array.from(this.productIndex.keys())
+      .sort()
+      .forEach((itemId) => {
+        const option = document.createElement("option");
+        option.value = itemId;
+        datalist.appendChild(option);
+      });
+
+    const update = () => this.updateResourcePlanner();
+    itemInput.addEventListener("change", update);
+    rateInput.addEventListener("input", update);
+  }
+
+  updateResourcePlanner() {
+    const resultsDiv = document.getElementById("plannerResults");
+    const item = findProductItem(
+      this.productIndex,
+      document.getElementById("plannerItem").value
+    );
+    if (!item) {
+      resultsDiv.textContent = "Pick an item to see which bees produce it";
+      return;
+    }
+
+    // Breeding cost from base bees, with the current environment applied
+    const baseSpeciesIds = this.getBaseSpeciesIds();
+    const rows = rankProducers(this.productIndex, item.id, {
+      desiredRate: parseFloat(document.getElementById("plannerRate").value),
+      getSpecies: (speciesId) =>
+        this.nodeMap.has(speciesId) ? this.beeData[speciesId] : null,
+      getBreedingCost: (speciesId) => {
+        const plan = this.planRoute(
+          this.nodeMap.get(speciesId),
+          baseSpeciesIds
+        );
+        return plan ? plan.totalExpectedAttempts : Infinity;
+      },
+    });
+
+    renderPlannerTable(
+      resultsDiv,
+      rows,
+      (speciesId) => this.getDisplayName(speciesId),
+      (speciesId) =>
+        this.runViewAction(
+          this.selectNode(this.nodeMap.get(speciesId)),
+          "Selecting a species"
+        )
+    );
+  }
+
+  setupTraitPlanner() {
+    const targetInput = document.getElementById("traitTarget");
+    const controls = document.getElementById("traitControls");
+    if (!targetInput || !controls) return;
+
+    const datalist = document.getElementById("traitTargetOptions");
+    datalist.innerHTML = "";
+    Object.values(this.beeData)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((bee) => {
+        const option = document.createElement("option");
+        option.value = bee.id;
+        option.label = bee.name;
+        datalist.appendChild(option);
+      });
+
+    renderTraitControls(
+      controls,
+      traitDefinitions.map((trait) => ({
+        trait,
+        values: getTraitValues(trait, this.enums, this.beeData),
+      }))
+    );
+
+    document
+      .getElementById("traitUseSelectedButton")
+      .addEventListener("click", () => {
+        if (this.currentSelectedNode) {
+          targetInput.value = this.currentSelectedNode.id;
+        }
+      });
+    document
+      .getElementById("traitPlanButton")
+      .addEventListener("click", () => this.updateTraitPlanner());
+  }
+
+  updateTraitPlanner() {
+    const resultDiv = document.getElementById("traitPlanResult");
+    const query = document.getElementById("traitTarget").value.trim();
+    const target =
+      this.nodeMap.get(query) ||
+      this.nodes.find(
+        (node) => node.name.toLowerCase() === query.toLowerCase()
+      );
+    if (!target) {
+      resultDiv.textContent = query
+        ? `Unknown or hidden species "${query}"`
+        : "Pick a target species";
+      return;
+    }
+
+    const wantedTraits = readWantedTraits(
+      document.getElementById("traitControls")
+    );
+    const plan = planTraitTransfer(
+      this.beeData,
+      target.id,
+      wantedTraits,
+      (speciesId) => {
+        const node = this.nodeMap.get(speciesId);
+        const route = node ? this.planRoute(node) : null;
+        return route ? route.totalExpectedAttempts : Infinity;
+      }
+    );
+
+    renderTraitPlan(resultDiv, plan, {
+      targetId: target.id,
+      wantedTraits,
+      traitLabels: Object.fromEntries(
+        traitDefinitions.map((trait) => [trait.key, trait.label])
+      ),
+      getDisplayName: (speciesId) => this.getDisplayName(speciesId),
+      onSelectSpecies: (speciesId) => {
+        const node = this.nodeMap.get(speciesId);
+        if (node) {
+          this.runViewAction(this.selectNode(node), "Selecting a species");
+        }
+      },
+    });
+
+    // Show the target together with every donor species on the tree
+    const highlighted = [
+      target,
+      ...Array.from(plan.donors.values())
+        .flat()
+        .map((speciesId) => this.nodeMap.get(speciesId))
+        .filter(Boolean),
+    ];
+    if (this.isFilteredView) {
+      this.restoreOriginalView();
+    }
+    this.highlightMultipleNodes(highlighted);
+  }
+
+  setupExport() {
+    const menu = document.getElementById("exportMenu");
+    if (!menu) return;
+
+    document.getElementById("exportToggle").addEventListener("click", () => {
+      menu.classList.toggle("expanded");
+    });
+    document
+      .getElementById("exportSvgButton")
+      .addEventListener("click", () => this.exportView("svg"));
+    document
+      .getElementById("exportPngButton")
+      .addEventListener("click", () => this.exportView("png"));
+    document
+      .getElementById("exportPosterButton")
+      .addEventListener("click", () => this.exportPoster());
+  }
+
+  /**
+   * Area covered by the rendered bees (and products) in tree coordinates.
+   * With highlightedOnly, faded elements are left out.
+   */
+  getExportBounds(highlightedOnly) {
+    const boxes = [];
+    const collect = (selection, height) => {
+      if (!selection) return;
+      selection.each(function (d) {
+        if (this.style.display === "none") return;
+        if (highlightedOnly && this.classList.contains("faded")) return;
+        boxes.push({ x: d.x, y: d.y, width: d.width, height });
       });
+    };
+    collect(this.node, config.nodeHeight + config.borderWidth * 2);
+    collect(this.productNode, config.productNodeHeight);
+    if (boxes.length === 0) return null;
+
+    const padding = config.exportPadding;
+    const minX = d3.min(boxes, (box) => box.x - box.width / 2) - padding;
+    const minY = d3.min(boxes, (box) => box.y - box.height / 2) - padding;
+    return {
+      x: minX,
+      y: minY,
+      width: d3.max(boxes, (box) => box.x + box.width / 2) + padding - minX,
+      height: d3.max(boxes, (box) => box.y + box.height / 2) + padding - minY,
+    };
+  }
+
+  getExportFileName(extension) {
+    const base = this.currentSelectedNode
+      ? `${this.currentSelectedNode.id.replace(/[^a-z0-9]+/gi, "_")}_tree`
+      : "bee_tree";
+    return `${base}.${extension}`;
+  }
+
+  /**
+   * Download what is on screen (full tree or filtered view) as SVG or PNG,
+   * optionally only the highlighted part
+   */
+  exportView(format) {
+    const highlightedOnly =
+      document.getElementById("exportScope").value === "highlighted";
+    const bounds = this.getExportBounds(highlightedOnly);
+    if (!bounds) return;
+
+    const tree = cloneStyledTree(
+      this.g.node(),
+      (element) => !highlightedOnly || !element.classList.contains("faded")
+    );
+    const svgText = buildSvgDocument(tree, bounds);
+
+    if (format === "svg") {
+      downloadFile(this.getExportFileName("svg"), svgText, "image/svg+xml");
+      return;
+    }
+    svgToPngBlob(svgText, bounds.width, bounds.height)
+      .then((blob) => downloadFile(this.getExportFileName("png"), blob))
+      .catch((error) => console.error("PNG export failed:", error));
+  }
+
+  /**
+   * Tile the full tree over printable pages. Opens the poster for printing,
+   * or downloads it when pop-ups are blocked.
+   */
+  exportPoster() {
+    // The poster is measured and cloned right away, so the full tree has to
+    // be in place already rather than on its way there
+    this.resetHighlight({ animate: false });
+
+    const bounds = this.getExportBounds(false);
+    if (!bounds) return;
+    const columns =
+      parseInt(document.getElementById("posterColumns").value, 10) || 1;
+    const html = buildPosterDocument(cloneStyledTree(this.g.node()), bounds, {
+      columns,
+      title: "Bee Breeding Tree",
     });
+
+    const posterWindow = window.open("", "_blank");
+    if (!posterWindow) {
+      downloadFile("bee_tree_poster.html", html, "text/html");
+      return;
+    }
+    posterWindow.document.write(html);
+    posterWindow.document.close();
+    posterWindow.focus();
+    posterWindow.print();
   }
 
   setupResizeHandler() {
@@ -1798,6 +3199,155 @@ export class BeeBreedingApp {
     console.log("Resize handler set up");
   }
 
+  /**
+   * Restore the view from the URL hash and keep following it: back/forward
+   * step through selections, edited hashes are applied as they are
+   */
+  setupUrlState() {
+    window.addEventListener("popstate", () => {
+      this.runViewAction(
+        this.applyViewState(decodeViewState(window.location.hash)),
+        "Restoring the view from the URL"
+      );
+    });
+
+    if (window.location.hash.length > 1) {
+      this.runViewAction(
+        this.applyViewState(decodeViewState(window.location.hash)),
+        "Restoring the view from the URL"
+      );
+    } else {
+      this.fitView();
+    }
+  }
+
+  getViewState() {
+    const filterModeCheckbox = document.getElementById("filterModeToggle");
+    const allModsSelected = this.modCounts.every((mod) =>
+      this.selectedMods.has(mod.key)
+    );
+    const transform = d3.zoomTransform(this.svg.node());
+
+    return {
+      bee: this.currentSelectedNode ? this.currentSelectedNode.id : null,
+      faded: Boolean(filterModeCheckbox && filterModeCheckbox.checked),
+      layout: this.layoutMode,
+      filteredLayout: this.filteredLayout,
+      mods: allModsSelected ? null : Array.from(this.selectedMods).sort(),
+      query: document.getElementById("searchInput").value,
+      zoom: { x: transform.x, y: transform.y, k: transform.k },
+    };
+  }
+
+  // Zoom and search fire often, so the hash is written once things settle;
+  // a new selection gets its history entry right away
+  scheduleUrlStateUpdate() {
+    if (this.isApplyingUrlState) return;
+    clearTimeout(this.urlStateTimeout);
+
+    const selectedId = this.currentSelectedNode
+      ? this.currentSelectedNode.id
+      : null;
+    if (decodeViewState(window.location.hash).bee !== selectedId) {
+      this.writeUrlState();
+      return;
+    }
+    this.urlStateTimeout = setTimeout(
+      () => this.writeUrlState(),
+      config.urlStateDelay
+    );
+  }
+
+  /**
+   * Write the view state to the hash. A new selection adds a history entry,
+   * anything else replaces the current one.
+   */
+  writeUrlState() {
+    const state = this.getViewState();
+    const hash = encodeViewState(state);
+    if (hash === window.location.hash.replace(/^#/, "")) return;
+
+    const url = hash
+      ? `#${hash}`
+      : window.location.pathname + window.location.search;
+    if (decodeViewState(window.location.hash).bee !== state.bee) {
+      history.pushState(null, "", url);
+    } else {
+      history.replaceState(null, "", url);
+    }
+  }
+
+  /**
+   * Apply a state from decodeViewState: mods, layout, view mode, search text,
+   * selection, then zoom
+   */
+  async applyViewState(state) {
+    this.isApplyingUrlState = true;
+    clearTimeout(this.urlStateTimeout);
+
+    // Cleared even when a step fails, or URL updates would stay off
+    try {
+      if (this.isFilteredView) {
+        this.restoreOriginalView();
+      }
+
+      // Mods decide which species are in the tree, so they go first
+      const modKeys = this.modCounts.map((mod) => mod.key);
+      const mods = new Set(
+        state.mods ? state.mods.filter((key) => modKeys.includes(key)) : modKeys
+      );
+      if (
+        mods.size !== this.selectedMods.size ||
+        Array.from(mods).some((key) => !this.selectedMods.has(key))
+      ) {
+        this.selectedMods = mods;
+        this.setupModFilters();
+        await this.applyModFilter();
+      }
+
+      if (state.layout !== this.layoutMode) {
+        await this.setLayoutMode(state.layout);
+      }
+      // Used when the bee below is shown in the filtered view
+      this.filteredLayout = state.filteredLayout;
+
+      const filterModeCheckbox = document.getElementById("filterModeToggle");
+      if (filterModeCheckbox) {
+        filterModeCheckbox.checked = state.faded;
+      }
+
+      document.getElementById("searchInput").value = state.query;
+      this.setSearchStatus("");
+
+      const node = state.bee ? this.nodeMap.get(state.bee) : null;
+      if (node) {
+        await this.selectNode(node);
+      } else if (state.query) {
+        this.runSearch(state.query);
+      } else {
+        this.resetHighlight();
+      }
+
+      if (state.zoom) {
+        // Replace the animated fit started above with the saved transform
+        this.svg.interrupt();
+        if (this.forceSimulation) {
+          this.forceSimulation.on("end.fit", null);
+        }
+        this.svg.call(
+          this.zoom.transform,
+          d3.zoomIdentity
+            .translate(state.zoom.x, state.zoom.y)
+            .scale(state.zoom.k)
+        );
+      } else if (!node) {
+        this.fitView();
+      }
+    } finally {
+      this.isApplyingUrlState = false;
+    }
+  }
+
   setupZoom() {
     console.log("Setting up zoom behavior...");
 
@@ -1825,8 +3375,17 @@ export class BeeBreedingApp {
         ];
       })
       .translateExtent(this.calculateTranslateExtent())
+      // Presses on nodes of the force layout drag the node instead
+      .filter(
+        (event) =>
+          (!event.ctrlKey || event.type === "wheel") &&
+          !event.button &&
+          (event.type === "wheel" || !this.findDraggableNode(event))
+      )
       .on("zoom", (event) => {
         this.g.attr("transform", event.transform);
+        if (this.canvasRenderer) this.canvasRenderer.requestPaint();
+        this.scheduleUrlStateUpdate();
       });
 
     this.svg.call(this.zoom);
@@ -1932,6 +3491,8 @@ export class BeeBreedingApp {
       .translateExtent(this.calculateTranslateExtent())
       .on("zoom", (event) => {
         this.g.attr("transform", event.transform);
+        if (this.canvasRenderer) this.canvasRenderer.requestPaint();
+        this.scheduleUrlStateUpdate();
       });
 
     // Re-apply the zoom behavior to the SVG
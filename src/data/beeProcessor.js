@@ -93,6 +93,7 @@ export function buildHierarchy(beeData) {
       generation: generation,
       children: beeData[bee].children || [],
       parentCombinations: beeData[bee].parentCombinations || [],
+      mutations: beeData[bee].mutations || [],
       parents: [],
       mod: beeData[bee].mod || "Unknown",
     };
@@ -110,13 +111,14 @@ export function buildHierarchy(beeData) {
 
   // Create links for all parent-child relationships
   nodes.forEach((childNode) => {
-    childNode.parentCombinations.forEach((parentPair) => {
+    childNode.parentCombinations.forEach((parentPair, combinationIndex) => {
       parentPair.forEach((parentId) => {
         if (nodeMap.has(parentId)) {
           links.push({
             source: parentId,
             target: childNode.id,
             type: "breeding",
+            mutationIndex: combinationIndex, // Index into childNode.mutations
           });
         }
       });
@@ -127,5 +129,79 @@ export function buildHierarchy(beeData) {
     nodes,
     links,
     nodeMap,
+    junctions: buildJunctions(nodes, nodeMap),
   };
 }
+
+/**
+ * Group mutations by parent pair. Each junction is one pairing of two parents
+ * and lists every child that pairing can produce.
+ */
+export function buildJunctions(nodes, nodeMap) {
+  const junctionMap = new Map();
+
+  nodes.forEach((childNode) => {
+    childNode.mutations.forEach((mutation, mutationIndex) => {
+      if (!mutation.parents.every((parentId) => nodeMap.has(parentId))) {
+        return;
+      }
+
+      const junctionId = `junction:${mutation.parents
+        .slice()
+        .sort()
+        .join("|")}`;
+      if (!junctionMap.has(junctionId)) {
+        const parents = Array.from(new Set(mutation.parents));
+        junctionMap.set(junctionId, {
+          id: junctionId,
+          name: parents
+            .map((parentId) => nodeMap.get(parentId).name)
+            .join(" + "),
+          // Sits between the parents' generation and their children's
+          generation:
+            Math.max(
+              ...parents.map((parentId) => nodeMap.get(parentId).generation)
+            ) + 0.5,
+          parents,
+          outputs: [],
+        });
+      }
+      junctionMap.get(junctionId).outputs.push({
+        child: childNode.id,
+        chance: mutation.chance,
+        mutationIndex,
+      });
+    });
+  });
+
+  return Array.from(junctionMap.values());
+}
+
+/**
+ * Links for junction mode: each parent feeds its junction, and the junction
+ * has one outgoing link per child
+ */
+export function buildJunctionLinks(junctions) {
+  const links = [];
+
+  junctions.forEach((junction) => {
+    junction.parents.forEach((parentId) => {
+      links.push({
+        source: parentId,
+        target: junction.id,
+        type: "junction-in",
+      });
+    });
+    junction.outputs.forEach((output) => {
+      links.push({
+        source: junction.id,
+        target: output.child,
+        type: "junction-out",
+        chance: output.chance,
+        mutationIndex: output.mutationIndex, // Index into the child's mutations
+      });
+    });
+  });
+
+  return links;
+}
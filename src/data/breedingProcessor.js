@@ -0,0 +1,286 @@
+/**
+ * Breeding route planning based on mutation chances
+ */
+
+/**
+ * Expected number of breeding attempts until a mutation with the given chance succeeds
+ */
+export function expectedAttempts(chance) {
+  return chance > 0 ? 1 / chance : Infinity;
+}
+
+/**
+ * Find a breeding plan with a low expected number of attempts. This is a
+ * heuristic: the plan is usually, but not always, the cheapest one.
+ *
+ * Uses Knuth's generalisation of Dijkstra's algorithm for AND/OR graphs: a species
+ * can be bred once both parents of one of its mutations are obtained, and its cost
+ * is the expected attempts of the mutation itself plus those of every species bred
+ * on the way to its parents. Species both parents need (or a parent used twice)
+ * count once, so a species' cost is the total of its plan. Since shared ancestors
+ * make costs non-additive the search is greedy there: each species keeps the plan
+ * it was first obtained with, which is not always the cheapest overall.
+ *
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID (from buildHierarchy)
+ * @param {string} targetId - Species to breed
+ * @param {Iterable<string>} startingIds - Species that are already available
+ * @param {Object} options - Optional `isMutationAllowed(mutation, childId)` predicate and
+ *   `getChance(mutation, childId)` override (e.g. environment-specific chances)
+ * @returns {Object|null} Plan with ordered steps, or null if the target is unreachable
+ */
+export function planBreedingPath(nodeMap, targetId, startingIds, options = {}) {
+  const isMutationAllowed = options.isMutationAllowed || (() => true);
+  const getChance = options.getChance || ((mutation) => mutation.chance);
+
+  // Index mutations by parent so we only revisit children of newly obtained species
+  const mutationsByParent = new Map();
+  nodeMap.forEach((node) => {
+    (node.mutations || []).forEach((mutation) => {
+      if (!isMutationAllowed(mutation, node.id)) return;
+      new Set(mutation.parents).forEach((parentId) => {
+        if (!mutationsByParent.has(parentId)) {
+          mutationsByParent.set(parentId, []);
+        }
+        mutationsByParent.get(parentId).push({
+          childId: node.id,
+          mutation: { ...mutation, chance: getChance(mutation, node.id) },
+        });
+      });
+    });
+  });
+
+  const costs = new Map(); // Final cost of obtained species
+  const chosenMutations = new Map(); // Species ID -> mutation used to obtain it
+  const bredFor = new Map(); // Obtained species ID -> IDs of the species bred for it
+  const tentative = new Map(); // Species ID -> { cost, mutation, bredIds } for species not yet obtained
+
+  const relax = (speciesId) => {
+    (mutationsByParent.get(speciesId) || []).forEach(
+      ({ childId, mutation }) => {
+        if (costs.has(childId)) return;
+
+        const parentIds = Array.from(new Set(mutation.parents));
+        if (!parentIds.every((parentId) => costs.has(parentId))) return;
+
+        // Species bred for both parents are only bred once
+        const bredIds = new Set(
+          parentIds.flatMap((parentId) => Array.from(bredFor.get(parentId)))
+        );
+        let cost = expectedAttempts(mutation.chance);
+        bredIds.forEach((bredId) => {
+          cost += expectedAttempts(chosenMutations.get(bredId).chance);
+        });
+        const current = tentative.get(childId);
+        if (!current || cost < current.cost) {
+          tentative.set(childId, { cost, mutation, bredIds });
+        }
+      }
+    );
+  };
+
+  for (const startId of startingIds) {
+    if (nodeMap.has(startId)) {
+      costs.set(startId, 0);
+      bredFor.set(startId, new Set());
+    }
+  }
+  costs.forEach((cost, speciesId) => relax(speciesId));
+
+  while (!costs.has(targetId) && tentative.size > 0) {
+    // Obtain the cheapest species that can currently be bred
+    let nextId = null;
+    let next = null;
+    tentative.forEach((entry, speciesId) => {
+      if (!next || entry.cost < next.cost) {
+        nextId = speciesId;
+        next = entry;
+      }
+    });
+
+    tentative.delete(nextId);
+    if (!Number.isFinite(next.cost)) break;
+
+    costs.set(nextId, next.cost);
+    chosenMutations.set(nextId, next.mutation);
+    bredFor.set(nextId, next.bredIds.add(nextId));
+    relax(nextId);
+  }
+
+  if (!costs.has(targetId)) {
+    return null;
+  }
+
+  // Walk back from the target so every parent is bred before its child
+  const steps = [];
+  const added = new Set();
+  const usedStartingSpecies = new Set();
+  const addStep = (speciesId) => {
+    if (added.has(speciesId)) return;
+    added.add(speciesId);
+
+    const mutation = chosenMutations.get(speciesId);
+    if (!mutation) {
+      usedStartingSpecies.add(speciesId);
+      return;
+    }
+
+    mutation.parents.forEach((parentId) => addStep(parentId));
+    steps.push({
+      child: speciesId,
+      parents: mutation.parents.slice(),
+      chance: mutation.chance,
+      expectedAttempts: expectedAttempts(mutation.chance),
+      requirements: mutation.requirements || [],
+    });
+  };
+  addStep(targetId);
+
+  return {
+    target: targetId,
+    steps,
+    startingSpecies: Array.from(usedStartingSpecies),
+    totalExpectedAttempts: steps.reduce(
+      (sum, step) => sum + step.expectedAttempts,
+      0
+    ),
+  };
+}
+
+/**
+ * Find breeding paths from one species to another through the children graph.
+ *
+ * Each step breeds the current species with a partner into one of its
+ * children; a step's chance is the best mutation between the two. Paths are
+ * found best-first by combined chance (the product of all steps), fewer steps
+ * first on ties, so the first paths returned are the most likely ones.
+ *
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID
+ * @param {string} sourceId - Species to start from
+ * @param {string} targetId - Species to end at
+ * @param {Object} options - Optional `isMutationAllowed(mutation, childId)`,
+ *   `getChance(mutation, childId)`, `limit` (paths to return, default 20) and
+ *   `maxExpansions` (search budget, default 20000)
+ * @returns {Object} { speciesIds, paths, truncated } - speciesIds holds every
+ *   species on any path; paths is [{ species, steps, chance }] with steps
+ *   [{ parent, partner, child, chance }]; truncated is true when more paths
+ *   may exist than were returned
+ */
+export function findBreedingPaths(nodeMap, sourceId, targetId, options = {}) {
+  const isMutationAllowed = options.isMutationAllowed || (() => true);
+  const getChance = options.getChance || ((mutation) => mutation.chance);
+  const limit = options.limit || 20;
+  const maxExpansions = options.maxExpansions || 20000;
+
+  // Best mutation per (parent, child) edge
+  const edges = new Map(); // Parent ID -> Map(child ID -> { partner, chance })
+  const parentsOf = new Map(); // Child ID -> parent IDs
+  nodeMap.forEach((node) => {
+    (node.mutations || []).forEach((mutation) => {
+      if (!isMutationAllowed(mutation, node.id)) return;
+      if (!mutation.parents.every((parentId) => nodeMap.has(parentId))) return;
+      const chance = getChance(mutation, node.id);
+      mutation.parents.forEach((parentId, index) => {
+        if (!edges.has(parentId)) {
+          edges.set(parentId, new Map());
+        }
+        const current = edges.get(parentId).get(node.id);
+        if (!current || chance > current.chance) {
+          edges.get(parentId).set(node.id, {
+            partner: mutation.parents[1 - index],
+            chance,
+          });
+        }
+        if (!parentsOf.has(node.id)) {
+          parentsOf.set(node.id, new Set());
+        }
+        parentsOf.get(node.id).add(parentId);
+      });
+    });
+  });
+
+  // Species on some path: reachable from the source and leading to the target
+  const collect = (startId, getNext) => {
+    const seen = new Set([startId]);
+    const queue = [startId];
+    while (queue.length > 0) {
+      getNext(queue.shift()).forEach((nextId) => {
+        if (!seen.has(nextId)) {
+          seen.add(nextId);
+          queue.push(nextId);
+        }
+      });
+    }
+    return seen;
+  };
+  const fromSource = collect(sourceId, (speciesId) =>
+    Array.from((edges.get(speciesId) || new Map()).keys())
+  );
+  const toTarget = collect(targetId, (speciesId) =>
+    Array.from(parentsOf.get(speciesId) || [])
+  );
+  const speciesIds = new Set(
+    Array.from(fromSource).filter((speciesId) => toTarget.has(speciesId))
+  );
+
+  const paths = [];
+  let truncated = false;
+  if (sourceId === targetId || !speciesIds.has(targetId)) {
+    return { speciesIds: new Set(), paths, truncated };
+  }
+
+  // Best-first over partial paths, kept sorted best first
+  const open = [{ species: [sourceId], steps: [], chance: 1 }];
+  let expansions = 0;
+  while (open.length > 0 && paths.length < limit) {
+    if (expansions++ >= maxExpansions) {
+      truncated = true;
+      break;
+    }
+    const path = open.shift();
+    const lastId = path.species[path.species.length - 1];
+    if (lastId === targetId) {
+      paths.push(path);
+      continue;
+    }
+
+    (edges.get(lastId) || new Map()).forEach((edge, childId) => {
+      // Simple paths only, and only through species that lead to the target
+      if (!speciesIds.has(childId) || path.species.includes(childId)) return;
+      const next = {
+        species: [...path.species, childId],
+        steps: [
+          ...path.steps,
+          {
+            parent: lastId,
+            partner: edge.partner,
+            child: childId,
+            chance: edge.chance,
+          },
+        ],
+        chance: path.chance * edge.chance,
+      };
+      // Binary search for the first path that ranks below the new one
+      let low = 0;
+      let high = open.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        const other = open[middle];
+        if (
+          other.chance < next.chance ||
+          (other.chance === next.chance &&
+            other.steps.length > next.steps.length)
+        ) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      open.splice(low, 0, next);
+    });
+  }
+  if (paths.length === limit && open.length > 0) {
+    truncated = true;
+  }
+
+  return { speciesIds, paths, truncated };
+}
@@ -8,8 +8,9 @@
  * Supports single-line comments (//) and multi-line comments
  */
 function stripJsonComments(jsonText) {
-  // Try different possible global names for jsonc-parser
-  const jsoncLib = window.jsoncparser || window.jsonc || window.jsoncParser;
+  // Try different possible global names for jsonc-parser (globalThis, as this
+  // also runs in the tree engine worker)
+  const jsoncLib = globalThis.jsoncparser || globalThis.jsonc || globalThis.jsoncParser;
   if (jsoncLib && jsoncLib.stripComments) {
     console.log("Using jsonc-parser library for comment stripping");
     return jsoncLib.stripComments(jsonText);
@@ -66,45 +67,154 @@ function stripJsonComments(jsonText) {
   return result.join('\n');
 }
 
-export async function loadBeeData() {
-  try {
-    // Determine base path based on protocol
-    const basePath = window.location.protocol === "file:" ? "/data/" : "data/";
-    console.log("Loading bee data from:", basePath);
+function getBasePath() {
+  // Determine base path based on protocol
+  return window.location.protocol === "file:" ? "/data/" : "data/";
+}
 
-    // Load data from JSONC files (JSON with comments)
-    const [beesResponse, breedingPairsResponse] = await Promise.all([
-      fetch(`${basePath}bees.jsonc`),
-      fetch(`${basePath}mutations.jsonc`),
+/**
+ * Absolute URL of the data folder. Workers resolve relative paths against
+ * their own script, so the page passes this to the tree engine.
+ */
+export function getDataUrl() {
+  return new URL(getBasePath(), window.location.href).href;
+}
+
+async function fetchJsonc(path) {
+  const response = await fetch(path);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${path}: ${response.status} ${response.statusText}`);
+  }
+  return JSON.parse(stripJsonComments(await response.text()));
+}
+
+/**
+ * Load one mod folder. combs.jsonc is optional; a missing bees or mutations
+ * file skips the whole mod with a warning.
+ */
+async function loadModFolder(mod, basePath, warnings) {
+  const folder = `${basePath}${mod.id}/`;
+  try {
+    const [bees, mutations] = await Promise.all([
+      fetchJsonc(`${folder}bees.jsonc`),
+      fetchJsonc(`${folder}mutations.jsonc`),
     ]);
+    const combs = await fetchJsonc(`${folder}combs.jsonc`).catch(() => ({}));
 
-    console.log("Fetch responses:", beesResponse.status, breedingPairsResponse.status);
+    console.log(
+      `Loaded mod ${mod.id} - bees: ${Object.keys(bees).length}, mutations: ${mutations.length}`
+    );
+    return { bees, mutations, combs };
+  } catch (error) {
+    warnings.push({
+      type: "load-error",
+      message: `Could not load mod "${mod.displayName || mod.id}": ${error.message}`,
+    });
+    return { bees: {}, mutations: [], combs: {} };
+  }
+}
 
-    if (!beesResponse.ok) {
-      throw new Error(`Failed to load bees.jsonc: ${beesResponse.status} ${beesResponse.statusText}`);
-    }
-    if (!breedingPairsResponse.ok) {
-      throw new Error(`Failed to load mutations.jsonc: ${breedingPairsResponse.status} ${breedingPairsResponse.statusText}`);
-    }
+/**
+ * Load the mods listed as enabled in data/mods.json and merge their data.
+ *
+ * @param {Object} options - Optional `basePath` (data folder, getBasePath() by
+ *   default) and `onProgress({ message, completed, total })`, called once per
+ *   loaded mod
+ * @returns {Object} { beeData, combs, mods, warnings } - mods is the full manifest
+ *   list, warnings lists everything that was skipped ({ type, message, speciesId })
+ */
+export async function loadBeeData(options = {}) {
+  const warnings = [];
+  const onProgress = options.onProgress || (() => {});
 
-    // Get text content and strip comments before parsing
-    const beesText = await beesResponse.text();
-    const breedingPairsText = await breedingPairsResponse.text();
+  try {
+    const basePath = options.basePath || getBasePath();
+    console.log("Loading bee data from:", basePath);
+
+    const manifest = await fetchJsonc(`${basePath}mods.json`);
+    const mods = manifest.mods || [];
+    const enabledMods = mods.filter((mod) => mod.enabled !== false);
+    const enabledModIds = new Set(enabledMods.map((mod) => mod.id));
+    const knownModIds = new Set(mods.map((mod) => mod.id));
 
-    console.log("Loaded text sizes - bees:", beesText.length, "mutations:", breedingPairsText.length);
+    enabledMods.forEach((mod) => {
+      (mod.dependencies || []).forEach((dependency) => {
+        if (!enabledModIds.has(dependency)) {
+          warnings.push({
+            type: "missing-dependency",
+            message: `${mod.displayName || mod.id} depends on "${dependency}", which is ${
+              knownModIds.has(dependency) ? "disabled" : "not listed in mods.json"
+            }`,
+          });
+        }
+      });
+    });
 
-    const beesData = JSON.parse(stripJsonComments(beesText));
-    const breedingPairsData = JSON.parse(stripJsonComments(breedingPairsText));
+    let loadedCount = 0;
+    onProgress({ message: "Loading mods", completed: 0, total: enabledMods.length });
+    const modData = await Promise.all(
+      enabledMods.map(async (mod) => {
+        const data = await loadModFolder(mod, basePath, warnings);
+        loadedCount++;
+        onProgress({
+          message: `Loaded ${mod.displayName || mod.id}`,
+          completed: loadedCount,
+          total: enabledMods.length,
+        });
+        return data;
+      })
+    );
 
-    console.log("Parsed data - bees:", Object.keys(beesData).length, "mutations:", breedingPairsData.length);
+    // Merge all mods - species IDs are global, so cross-mod references resolve here
+    const beesData = {};
+    const breedingPairsData = [];
+    const combsData = {};
+    modData.forEach((data, index) => {
+      Object.entries(data.bees).forEach(([beeId, beeInfo]) => {
+        if (beesData[beeId]) {
+          warnings.push({
+            type: "duplicate-species",
+            speciesId: beeId,
+            message: `${beeId} is defined more than once (again by ${enabledMods[index].id})`,
+          });
+        }
+        beesData[beeId] = beeInfo;
+      });
+      breedingPairsData.push(...data.mutations);
+      Object.entries(data.combs).forEach(([itemId, comb]) => {
+        if (combsData[itemId]) {
+          combsData[itemId].producers.push(...(comb.producers || []));
+        } else {
+          combsData[itemId] = { ...comb, producers: [...(comb.producers || [])] };
+        }
+      });
+    });
+
+    console.log("Merged data - bees:", Object.keys(beesData).length, "mutations:", breedingPairsData.length);
+
+    // Explain why a referenced species is not loaded
+    const describeMissing = (speciesId) => {
+      const modId = speciesId.split(":")[0];
+      if (knownModIds.has(modId) && !enabledModIds.has(modId)) {
+        return `${speciesId} belongs to disabled mod "${modId}"`;
+      }
+      if (!knownModIds.has(modId)) {
+        return `${speciesId} belongs to mod "${modId}", which is not listed in mods.json`;
+      }
+      return `${speciesId} is not defined in ${modId}/bees.jsonc`;
+    };
 
     // Convert breeding pairs to the format expected by buildBeeData
     const rawMutations = convertBreedingPairsToMutations(
       breedingPairsData,
-      beesData
+      beesData,
+      describeMissing,
+      warnings
     );
 
-    return buildBeeData(rawMutations);
+    warnings.forEach((warning) => console.warn(warning.message));
+
+    return { beeData: buildBeeData(rawMutations), combs: combsData, mods, warnings };
   } catch (error) {
     console.error("Error loading bee data:", error);
     // Fallback to hardcoded data if loading fails
@@ -115,20 +225,42 @@ export async function loadBeeData() {
       },
     };
 
-    return buildBeeData(rawMutations);
+    warnings.push({ type: "load-error", message: error.message });
+    return { beeData: buildBeeData(rawMutations), combs: {}, mods: [], warnings };
   }
 }
 
-function convertBreedingPairsToMutations(breedingPairs, beesData) {
+/**
+ * Load the enum definitions (temperatures, humidities, moon phases, ...)
+ *
+ * @param {string} basePath - Data folder, getBasePath() by default
+ */
+export async function loadEnums(basePath = getBasePath()) {
+  try {
+    return await fetchJsonc(`${basePath}enums.jsonc`);
+  } catch (error) {
+    console.error("Error loading enums:", error);
+    return {};
+  }
+}
+
+function convertBreedingPairsToMutations(
+  breedingPairs,
+  beesData,
+  describeMissing,
+  warnings
+) {
   const beeData = {};
 
   // Initialize all bees from beesData
   Object.entries(beesData).forEach(([beeId, beeInfo]) => {
     beeData[beeId] = {
+      ...beeInfo, // Traits and products, used by validation
       id: beeId,
       name: beeInfo.name || beeId.split(":")[1] || beeId,
       mod: beeInfo.mod || "Unknown",
       parentCombinations: [], // Array of parent pair arrays
+      mutations: [], // Parent pairs with their mutation chance, parallel to parentCombinations
       children: [],
     };
   });
@@ -139,41 +271,20 @@ function convertBreedingPairsToMutations(breedingPairs, beesData) {
 
     // Children is now an object keyed by species ID
     Object.entries(pair.children).forEach(([childId, childData]) => {
-      // Ensure child exists (it should from bees.jsonc)
-      if (!beeData[childId]) {
-        const childParts = childId.split(":");
-        const childMod = childParts.length === 2 ? childParts[0] : "Unknown";
-        const childName = childParts.length === 2 ? childParts[1] : childId;
-
-        beeData[childId] = {
-          id: childId,
-          name: childName,
-          mod: childMod,
-          parentCombinations: [],
-          children: [],
-        };
-      }
-
-      // Ensure parents exist
-      if (!beeData[parent1]) {
-        const p1Parts = parent1.split(":");
-        beeData[parent1] = {
-          id: parent1,
-          name: p1Parts.length === 2 ? p1Parts[1] : parent1,
-          mod: p1Parts.length === 2 ? p1Parts[0] : "Unknown",
-          parentCombinations: [],
-          children: [],
-        };
-      }
-      if (!beeData[parent2]) {
-        const p2Parts = parent2.split(":");
-        beeData[parent2] = {
-          id: parent2,
-          name: p2Parts.length === 2 ? p2Parts[1] : parent2,
-          mod: p2Parts.length === 2 ? p2Parts[0] : "Unknown",
-          parentCombinations: [],
-          children: [],
-        };
+      // Every species must come from a loaded mod - skip the mutation otherwise
+      const missingIds = [parent1, parent2, childId].filter(
+        (speciesId, index, ids) =>
+          !beeData[speciesId] && ids.indexOf(speciesId) === index
+      );
+      if (missingIds.length > 0) {
+        warnings.push({
+          type: "missing-species",
+          speciesId: beeData[childId] ? childId : missingIds[0],
+          message: `Skipped mutation ${parent1} + ${parent2} → ${childId}: ${missingIds
+            .map(describeMissing)
+            .join("; ")}`,
+        });
+        return;
       }
 
       // Add parent combination to child (make sure we store as array of two individual strings)
@@ -181,6 +292,11 @@ function convertBreedingPairsToMutations(breedingPairs, beesData) {
         beeData[childId].parentCombinations = [];
       }
       beeData[childId].parentCombinations.push([parent1, parent2]);
+      beeData[childId].mutations.push({
+        parents: [parent1, parent2],
+        chance: childData.chance,
+        requirements: childData.requirements || [],
+      });
 
       // Add child to both parents' children arrays
       if (!beeData[parent1].children.includes(childId)) {
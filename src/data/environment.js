@@ -0,0 +1,246 @@
+/**
+ * Environment profile and mutation feasibility checks based on mutation requirements
+ */
+
+const ENVIRONMENT_STORAGE_KEY = "beeBreeding.environment";
+
+// Unset fields (empty string) mean "any value"; blocks lists the foundation blocks on hand
+export const defaultEnvironment = {
+  enabled: false,
+  biome: "",
+  temperature: "",
+  humidity: "",
+  blocks: [],
+  date: "", // YYYY-MM-DD, empty means today
+  moonPhase: "",
+  timeOfDay: "",
+  player: "",
+  checkRuntimeConditions: true,
+};
+
+// Names used by mod data that refer to the same biome or moon phase
+const biomeAliases = {
+  HELL: "NETHER",
+};
+const moonPhaseAliases = {
+  WAXING_HALF: "FIRST_QUARTER",
+  WANING_HALF: "LAST_QUARTER",
+};
+
+export function loadEnvironment() {
+  try {
+    const stored = localStorage.getItem(ENVIRONMENT_STORAGE_KEY);
+    return { ...defaultEnvironment, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.warn("Could not read environment from localStorage:", error);
+    return { ...defaultEnvironment };
+  }
+}
+
+export function saveEnvironment(environment) {
+  try {
+    localStorage.setItem(ENVIRONMENT_STORAGE_KEY, JSON.stringify(environment));
+  } catch (error) {
+    console.warn("Could not save environment to localStorage:", error);
+  }
+}
+
+function normalizeBiome(biome) {
+  const upper = String(biome).toUpperCase();
+  return biomeAliases[upper] || upper;
+}
+
+function normalizeMoonPhase(phase) {
+  const upper = String(phase).toUpperCase();
+  return moonPhaseAliases[upper] || upper;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function getEnvironmentDate(environment) {
+  if (environment.date) {
+    const [, month, day] = environment.date.split("-").map(Number);
+    return { month, day };
+  }
+  const today = new Date();
+  return { month: today.getMonth() + 1, day: today.getDate() };
+}
+
+/**
+ * Check a month/day against a date range, which may wrap over New Year
+ */
+export function isDateInRange(date, dateRange) {
+  const value = date.month * 100 + date.day;
+  const start = dateRange.startMonth * 100 + dateRange.startDay;
+  const end = dateRange.endMonth * 100 + dateRange.endDay;
+  return start <= end
+    ? value >= start && value <= end
+    : value >= start || value <= end;
+}
+
+/**
+ * Check a single requirement entry. Returns the list of conditions that fail.
+ *
+ * @param {Object} requirement - One entry of a mutation's requirements array
+ * @param {Object} environment - Environment profile
+ * @param {Object} context - { activeSpecies: Set, activeMods: Set } for runtime conditions
+ */
+export function getFailedConditions(requirement, environment, context = {}) {
+  const failed = [];
+
+  if (
+    requirement.temperature &&
+    environment.temperature &&
+    !toList(requirement.temperature).includes(environment.temperature)
+  ) {
+    failed.push("temperature");
+  }
+
+  if (
+    requirement.humidity &&
+    environment.humidity &&
+    !toList(requirement.humidity).includes(environment.humidity)
+  ) {
+    failed.push("humidity");
+  }
+
+  if (
+    requirement.biome &&
+    environment.biome &&
+    !toList(requirement.biome)
+      .map(normalizeBiome)
+      .includes(normalizeBiome(environment.biome))
+  ) {
+    failed.push("biome");
+  }
+
+  if (requirement.block) {
+    const availableBlocks = new Set(
+      environment.blocks.map((block) => block.toLowerCase())
+    );
+    if (
+      !toList(requirement.block).some((block) =>
+        availableBlocks.has(block.toLowerCase())
+      )
+    ) {
+      failed.push("block");
+    }
+  }
+
+  if (
+    requirement.dateRange &&
+    !isDateInRange(getEnvironmentDate(environment), requirement.dateRange)
+  ) {
+    failed.push("dateRange");
+  }
+
+  if (
+    requirement.moonPhase &&
+    environment.moonPhase &&
+    !toList(requirement.moonPhase)
+      .map(normalizeMoonPhase)
+      .includes(normalizeMoonPhase(environment.moonPhase))
+  ) {
+    failed.push("moonPhase");
+  }
+
+  if (
+    requirement.timeOfDay &&
+    environment.timeOfDay &&
+    !toList(requirement.timeOfDay).includes(environment.timeOfDay)
+  ) {
+    failed.push("timeOfDay");
+  }
+
+  // A specific player has to own the housing
+  if (
+    requirement.requirePlayer &&
+    environment.player &&
+    !toList(requirement.requirePlayer).some(
+      (player) => player.toLowerCase() === environment.player.toLowerCase()
+    )
+  ) {
+    failed.push("requirePlayer");
+  }
+
+  // Runtime conditions: a species/mod counts as active when it is loaded
+  if (requirement.runtimeConditions && environment.checkRuntimeConditions) {
+    const activeSpecies = context.activeSpecies || new Set();
+    const activeMods = context.activeMods || new Set();
+    const conditionFails = toList(requirement.runtimeConditions).some(
+      (condition) => {
+        let isActive;
+        if (condition.type === "MOD") {
+          isActive = activeMods.has(String(condition.target).toLowerCase());
+        } else if (condition.type === "BEE") {
+          isActive = activeSpecies.has(condition.target);
+        } else {
+          // Branch activity is not known from the data, assume it matches
+          return false;
+        }
+        return isActive !== (condition.active !== false);
+      }
+    );
+    if (conditionFails) {
+      failed.push("runtimeConditions");
+    }
+  }
+
+  // requireExplosion and isSecret never block a mutation - the player can arrange them
+
+  return failed;
+}
+
+/**
+ * Evaluate a mutation against an environment.
+ * Requirement entries are alternatives: the mutation is feasible if any of them is met.
+ *
+ * @returns {Object} { feasible, chance, failedConditions }
+ */
+export function evaluateMutation(mutation, environment, context = {}) {
+  const requirements = mutation.requirements || [];
+
+  if (!environment.enabled || requirements.length === 0) {
+    return { feasible: true, chance: mutation.chance, failedConditions: [] };
+  }
+
+  let failedConditions = [];
+  for (const requirement of requirements) {
+    const failed = getFailedConditions(requirement, environment, context);
+    if (failed.length === 0) {
+      return {
+        feasible: true,
+        chance:
+          requirement.chance !== undefined
+            ? requirement.chance
+            : mutation.chance,
+        failedConditions: [],
+      };
+    }
+    failedConditions = failedConditions.concat(failed);
+  }
+
+  return {
+    feasible: false,
+    chance: mutation.chance,
+    failedConditions: Array.from(new Set(failedConditions)),
+  };
+}
+
+/**
+ * Collect every value used for a requirement key (e.g. "biome", "block") in the data
+ */
+export function collectRequirementValues(nodeMap, key) {
+  const values = new Set();
+  nodeMap.forEach((node) => {
+    (node.mutations || []).forEach((mutation) => {
+      (mutation.requirements || []).forEach((requirement) => {
+        toList(requirement[key]).forEach((value) => values.add(value));
+      });
+    });
+  });
+  return Array.from(values).sort();
+}
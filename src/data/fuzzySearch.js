@@ -0,0 +1,140 @@
+/**
+ * Fuzzy species search: ranks species by how well their name, binomial or ID
+ * matches what was typed, tolerating small typos
+ */
+
+// Scores per kind of match; a species scores its best field
+const matchScores = {
+  exact: 1000,
+  prefix: 800,
+  wordPrefix: 700,
+  substring: 600,
+  typo: 450,
+  subsequence: 400,
+};
+
+// Names count fully, binomials and IDs a bit less
+const fieldPenalties = { name: 0, binomial: 50, id: 100 };
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * swaps of neighbouring letters each cost 1
+ */
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Typos allowed for a query: none for very short ones
+function allowedTypos(term) {
+  if (term.length <= 3) return 0;
+  return term.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Score one text against the lowercased search term, 0 when it does not match
+ */
+function scoreText(text, term) {
+  const lowerText = text.toLowerCase();
+  if (lowerText === term) return matchScores.exact;
+  // Shorter texts rank higher within the same kind of match
+  const lengthPenalty = Math.min(lowerText.length - term.length, 99);
+  if (lowerText.startsWith(term)) return matchScores.prefix - lengthPenalty;
+
+  const words = lowerText.split(/[\s:_.-]+/).filter(Boolean);
+  if (words.some((word) => word.startsWith(term))) {
+    return matchScores.wordPrefix - lengthPenalty;
+  }
+  const index = lowerText.indexOf(term);
+  if (index !== -1) return matchScores.substring - index - lengthPenalty;
+
+  // Whole words or word beginnings with a few typos
+  const maxTypos = allowedTypos(term);
+  if (maxTypos > 0) {
+    const distance = Math.min(
+      ...[lowerText, ...words].flatMap((word) => [
+        editDistance(term, word),
+        editDistance(term, word.slice(0, term.length)),
+      ])
+    );
+    if (distance <= maxTypos) {
+      return matchScores.typo - distance * 50 - lengthPenalty;
+    }
+  }
+
+  // Letters in order with gaps ("frst" -> "forest"); gaps cost points
+  let position = -1;
+  let gaps = 0;
+  for (const char of term) {
+    const next = lowerText.indexOf(char, position + 1);
+    if (next === -1) return 0;
+    gaps += next - position - 1;
+    position = next;
+  }
+  return term.length >= 3 && gaps <= term.length
+    ? matchScores.subsequence - gaps * 10 - lengthPenalty
+    : 0;
+}
+
+/**
+ * Rank species for a search term.
+ *
+ * @param {Array} nodes - Hierarchy nodes to search
+ * @param {Object} beeData - Species ID -> bee info, for binomials
+ * @param {string} query - What was typed
+ * @returns {Array} [{ node, score, field, isExact }] best first; field is the
+ *   one that matched ("name", "binomial" or "id")
+ */
+export function rankSpecies(nodes, beeData, query) {
+  const term = query.trim().toLowerCase();
+  if (term.length === 0) return [];
+
+  const results = [];
+  nodes.forEach((node) => {
+    const fields = {
+      name: node.name,
+      binomial: (beeData[node.id] && beeData[node.id].binomial) || "",
+      id: node.id,
+    };
+    let best = null;
+    Object.entries(fields).forEach(([field, text]) => {
+      if (!text) return;
+      const score = scoreText(text, term);
+      if (score > 0 && (!best || score - fieldPenalties[field] > best.score)) {
+        best = {
+          node,
+          score: score - fieldPenalties[field],
+          field,
+          isExact: field === "name" && score === matchScores.exact,
+        };
+      }
+    });
+    if (best) results.push(best);
+  });
+
+  return results.sort(
+    (a, b) =>
+      b.score - a.score ||
+      a.node.name.length - b.node.name.length ||
+      a.node.name.localeCompare(b.node.name)
+  );
+}
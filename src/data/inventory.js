@@ -0,0 +1,101 @@
+/**
+ * Owned-species inventory and "what can I breed right now" queries
+ */
+
+const OWNED_STORAGE_KEY = "beeBreeding.ownedSpecies";
+
+export function loadOwnedSpecies() {
+  try {
+    const stored = localStorage.getItem(OWNED_STORAGE_KEY);
+    return new Set(stored ? JSON.parse(stored) : []);
+  } catch (error) {
+    console.warn("Could not read owned species from localStorage:", error);
+    return new Set();
+  }
+}
+
+export function saveOwnedSpecies(ownedIds) {
+  try {
+    localStorage.setItem(
+      OWNED_STORAGE_KEY,
+      JSON.stringify(Array.from(ownedIds).sort())
+    );
+  } catch (error) {
+    console.warn("Could not save owned species to localStorage:", error);
+  }
+}
+
+/**
+ * Classify every species against the owned set.
+ *
+ * - breedable: not owned, but one mutation away from a pair of owned species
+ * - reachable: obtainable eventually by breeding from owned species (includes breedable)
+ * - locked: cannot be reached from owned species at all
+ *
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID
+ * @param {Set<string>} ownedIds - Species the player already has
+ * @param {Object} options - Optional `isMutationAllowed(mutation, childId)` predicate
+ * @returns {Object} { owned, breedable, reachable, locked } where breedable maps
+ *   species ID to the mutations that can produce it right now
+ */
+export function computeInventoryState(nodeMap, ownedIds, options = {}) {
+  const isMutationAllowed = options.isMutationAllowed || (() => true);
+  const owned = new Set(
+    Array.from(ownedIds).filter((speciesId) => nodeMap.has(speciesId))
+  );
+  const canBreed = (mutation, available, childId) =>
+    isMutationAllowed(mutation, childId) &&
+    mutation.parents.every((parentId) => available.has(parentId));
+
+  // One step: mutations whose parents are all owned
+  const breedable = new Map();
+  nodeMap.forEach((node) => {
+    if (owned.has(node.id)) return;
+    const mutations = (node.mutations || []).filter((mutation) =>
+      canBreed(mutation, owned, node.id)
+    );
+    if (mutations.length > 0) {
+      breedable.set(node.id, mutations);
+    }
+  });
+
+  // Full closure: keep adding species until nothing new can be bred
+  const available = new Set(owned);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    nodeMap.forEach((node) => {
+      if (available.has(node.id)) return;
+      if (
+        (node.mutations || []).some((mutation) =>
+          canBreed(mutation, available, node.id)
+        )
+      ) {
+        available.add(node.id);
+        changed = true;
+      }
+    });
+  }
+
+  const reachable = new Set(
+    Array.from(available).filter((speciesId) => !owned.has(speciesId))
+  );
+  const locked = new Set();
+  nodeMap.forEach((node, speciesId) => {
+    if (!available.has(speciesId)) {
+      locked.add(speciesId);
+    }
+  });
+
+  return { owned, breedable, reachable, locked };
+}
+
+/**
+ * Inventory status of a single species, used for node styling
+ */
+export function getInventoryStatus(inventoryState, speciesId) {
+  if (inventoryState.owned.has(speciesId)) return "owned";
+  if (inventoryState.breedable.has(speciesId)) return "breedable";
+  if (inventoryState.reachable.has(speciesId)) return "reachable";
+  return "locked";
+}
@@ -0,0 +1,198 @@
+/**
+ * Breeding plans as files: plain text, Markdown checklist, CSV and JSON
+ */
+import { formatAttempts, formatChance, toCsv } from "../utils/helpers.js";
+import { describeRequirement } from "./requirements.js";
+
+// Bumped when the JSON layout changes in a way scripts have to handle
+const PLAN_FORMAT_VERSION = 1;
+
+// File extension and MIME type per export format
+export const planExportFormats = {
+  txt: { label: "Text", mimeType: "text/plain" },
+  md: { label: "Markdown checklist", mimeType: "text/markdown" },
+  csv: { label: "CSV", mimeType: "text/csv" },
+  json: { label: "JSON", mimeType: "application/json" },
+};
+
+// Infinity and NaN have no JSON form
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Self-contained description of a plan from planBreedingPath, in the order
+ * the crosses have to be made (every parent is bred before its child).
+ *
+ * @param {Object} plan - From planBreedingPath
+ * @param {Object} context - `getDisplayName(id)` and `ownedIds` (Set of
+ *   species the player already has)
+ * @returns {Object} The layout written by planToJson
+ */
+export function buildPlanDocument(plan, context) {
+  const species = (id) => ({ id, name: context.getDisplayName(id) });
+
+  return {
+    format: "bee-breeding-plan",
+    version: PLAN_FORMAT_VERSION,
+    target: species(plan.target),
+    startingSpecies: plan.startingSpecies
+      .slice()
+      .sort()
+      .map((id) => ({ ...species(id), owned: context.ownedIds.has(id) })),
+    steps: plan.steps.map((step, index) => ({
+      step: index + 1,
+      child: species(step.child),
+      parents: step.parents.map(species),
+      chance: finiteOrNull(step.chance),
+      expectedAttempts: finiteOrNull(step.expectedAttempts),
+      owned: context.ownedIds.has(step.child),
+      // Alternatives: meeting the conditions of any one entry is enough
+      requirements: step.requirements.map((requirement) => ({
+        conditions: describeRequirement(requirement),
+        data: requirement,
+      })),
+    })),
+    totalExpectedAttempts: finiteOrNull(plan.totalExpectedAttempts),
+  };
+}
+
+// "Temperature: HOT; Humidity: DAMP OR Biome: Nether", "" without conditions
+function requirementText(step) {
+  return step.requirements
+    .map((requirement) =>
+      requirement.conditions.map((condition) => condition.text).join("; ")
+    )
+    .filter((text) => text.length > 0)
+    .join(" OR ");
+}
+
+function crossText(step) {
+  return `${step.parents.map((parent) => parent.name).join(" + ")} → ${
+    step.child.name
+  }`;
+}
+
+function odds(step) {
+  return `${formatChance(step.chance)}, ~${formatAttempts(
+    step.expectedAttempts === null ? Infinity : step.expectedAttempts
+  )} tries`;
+}
+
+function summaryLine(planDocument) {
+  return `${planDocument.steps.length} cross${
+    planDocument.steps.length === 1 ? "" : "es"
+  }, ~${formatAttempts(
+    planDocument.totalExpectedAttempts === null
+      ? Infinity
+      : planDocument.totalExpectedAttempts
+  )} expected tries`;
+}
+
+function startingLine(planDocument) {
+  return `Starting species: ${planDocument.startingSpecies
+    .map((entry) => entry.name)
+    .join(", ")}`;
+}
+
+/**
+ * Numbered plain-text plan, conditions indented under their cross
+ */
+export function planToText(planDocument) {
+  const lines = [
+    `Breeding plan for ${planDocument.target.name} (${planDocument.target.id})`,
+    summaryLine(planDocument),
+    startingLine(planDocument),
+    "",
+  ];
+  planDocument.steps.forEach((step) => {
+    lines.push(`${step.step}. ${crossText(step)} (${odds(step)})`);
+    const requirements = requirementText(step);
+    if (requirements) {
+      lines.push(`   Requires: ${requirements}`);
+    }
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Markdown checklist - crosses for species the player owns are ticked
+ */
+export function planToMarkdown(planDocument) {
+  const lines = [
+    `# Breeding plan: ${planDocument.target.name}`,
+    "",
+    `${summaryLine(planDocument)}. ${startingLine(planDocument)}.`,
+    "",
+  ];
+  planDocument.steps.forEach((step) => {
+    lines.push(
+      `- [${step.owned ? "x" : " "}] **${step.child.name}** ← ${step.parents
+        .map((parent) => parent.name)
+        .join(" + ")} (${odds(step)})`
+    );
+    const requirements = requirementText(step);
+    if (requirements) {
+      lines.push(`  - Requires: ${requirements}`);
+    }
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * One CSV row per cross, with IDs next to names
+ */
+export function planToCsv(planDocument) {
+  const rows = [
+    [
+      "Step",
+      "Child ID",
+      "Child",
+      "Parent 1 ID",
+      "Parent 1",
+      "Parent 2 ID",
+      "Parent 2",
+      "Chance",
+      "Expected tries",
+      "Requirements",
+      "Owned",
+    ],
+  ];
+  planDocument.steps.forEach((step) => {
+    const [first = {}, second = {}] = step.parents;
+    rows.push([
+      step.step,
+      step.child.id,
+      step.child.name,
+      first.id,
+      first.name,
+      second.id,
+      second.name,
+      step.chance,
+      step.expectedAttempts === null ? "" : step.expectedAttempts.toFixed(2),
+      requirementText(step),
+      step.owned ? "yes" : "no",
+    ]);
+  });
+  return toCsv(rows);
+}
+
+export function planToJson(planDocument) {
+  return `${JSON.stringify(planDocument, null, 2)}\n`;
+}
+
+/**
+ * File content for one of planExportFormats
+ */
+export function formatPlan(planDocument, format) {
+  switch (format) {
+    case "md":
+      return planToMarkdown(planDocument);
+    case "csv":
+      return planToCsv(planDocument);
+    case "json":
+      return planToJson(planDocument);
+    default:
+      return planToText(planDocument);
+  }
+}
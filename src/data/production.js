@@ -0,0 +1,149 @@
+/**
+ * Production-rate calculator for a species in a configured housing
+ */
+import { config } from "../core/config.js";
+import { getItemsPerMinute } from "./resourcePlanner.js";
+
+const HOUSING_STORAGE_KEY = "beeBreeding.housing";
+
+// frames holds one hiveFrames key (or "" for an empty slot) per frame slot
+export const defaultHousing = {
+  type: "apiary",
+  frames: ["", "", ""],
+  productionMultiplier: 1, // Anything else: mod frames, alveary addons, ...
+};
+
+export function loadHousing() {
+  try {
+    const stored = localStorage.getItem(HOUSING_STORAGE_KEY);
+    return { ...defaultHousing, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.warn("Could not read housing from localStorage:", error);
+    return { ...defaultHousing };
+  }
+}
+
+export function saveHousing(housing) {
+  try {
+    localStorage.setItem(HOUSING_STORAGE_KEY, JSON.stringify(housing));
+  } catch (error) {
+    console.warn("Could not save housing to localStorage:", error);
+  }
+}
+
+/**
+ * Combined production multiplier of a housing setup. Frames only count for
+ * housings with frame slots.
+ */
+export function getHousingMultiplier(housing) {
+  const housingType =
+    config.housingTypes[housing.type] ||
+    config.housingTypes[defaultHousing.type];
+  const frameMultiplier = housing.frames
+    .slice(0, housingType.frameSlots)
+    .reduce((product, frameId) => {
+      const frame = config.hiveFrames[frameId];
+      return frame ? product * frame.productionModifier : product;
+    }, 1);
+  const extraMultiplier =
+    housing.productionMultiplier > 0 ? housing.productionMultiplier : 1;
+
+  return housingType.productionModifier * frameMultiplier * extraMultiplier;
+}
+
+/**
+ * Items per minute for each product of a species, with comb outputs chained
+ * through their `processing` (centrifuge) entries.
+ *
+ * @param {Array} products - Entries from getSpeciesProducts
+ * @param {string} speed - The species' speed trait ("" uses config.defaultSpeed)
+ * @param {Object} housing - Housing setup (see defaultHousing)
+ * @param {Map} productIndex - From buildProductIndex, to follow combs made by combs
+ * @returns {Array} [{ item, isSpecialty, chance, itemsPerMinute, outputs }]
+ *   where outputs is [{ itemId, itemsPerMinute }] of final centrifuge products
+ */
+export function calculateProduction(products, speed, housing, productIndex) {
+  const multiplier = getHousingMultiplier(housing);
+
+  // Split a comb into its final products, following nested combs once each
+  const centrifuge = (item, itemsPerMinute, visited) => {
+    const outputs = [];
+    item.processing.forEach((output) => {
+      const outputRate = itemsPerMinute * output.chance;
+      const outputItem = productIndex.get(output.product);
+      if (
+        outputItem &&
+        outputItem.processing.length > 0 &&
+        !visited.has(outputItem.id)
+      ) {
+        outputs.push(
+          ...centrifuge(
+            outputItem,
+            outputRate,
+            new Set([...visited, outputItem.id])
+          )
+        );
+      } else {
+        outputs.push({ itemId: output.product, itemsPerMinute: outputRate });
+      }
+    });
+    return outputs;
+  };
+
+  return products.map((product) => {
+    const itemsPerMinute =
+      getItemsPerMinute(product.chance, speed) * multiplier;
+    return {
+      item: product.item,
+      isSpecialty: product.isSpecialty,
+      chance: product.chance,
+      itemsPerMinute,
+      outputs: centrifuge(
+        product.item,
+        itemsPerMinute,
+        new Set([product.item.id])
+      ),
+    };
+  });
+}
+
+/**
+ * CSV rows for a production result - one row per product, followed by one
+ * row per centrifuge output of that product
+ */
+export function productionToCsvRows(speciesId, production) {
+  const rows = [
+    [
+      "Species",
+      "Item",
+      "Specialty",
+      "Chance",
+      "Items per minute",
+      "Centrifuge output",
+      "Output per minute",
+    ],
+  ];
+  production.forEach((entry) => {
+    rows.push([
+      speciesId,
+      entry.item.id,
+      entry.isSpecialty ? "yes" : "no",
+      entry.chance,
+      entry.itemsPerMinute.toFixed(4),
+      "",
+      "",
+    ]);
+    entry.outputs.forEach((output) => {
+      rows.push([
+        speciesId,
+        entry.item.id,
+        entry.isSpecialty ? "yes" : "no",
+        entry.chance,
+        entry.itemsPerMinute.toFixed(4),
+        output.itemId,
+        output.itemsPerMinute.toFixed(4),
+      ]);
+    });
+  });
+  return rows;
+}
@@ -0,0 +1,118 @@
+/**
+ * Products and combs: what each bee produces, and which bees produce an item
+ */
+
+/**
+ * Combs are keyed by item ID in combs.jsonc; items named like a comb count too
+ */
+function isCombItem(itemId, combs) {
+  return Boolean(combs[itemId]) || /comb/i.test(itemId);
+}
+
+/**
+ * Index every item produced by a loaded species.
+ *
+ * Producers come from the `products` of each bee and from the `producers` of
+ * each comb in combs.jsonc, where a producer can be marked `isSpecialty`.
+ * Combs may list what they centrifuge into as `processing`
+ * ([{ product, chance }]).
+ *
+ * @param {Object} beeData - Species ID -> bee info (from loadBeeData)
+ * @param {Object} combs - Comb item ID -> { name, producers, processing? }
+ * @returns {Map} Item ID -> { id, name, isComb, processing, producers }
+ *   where producers is [{ speciesId, chance, isSpecialty }]; a species that
+ *   makes the item both ways has two entries
+ */
+export function buildProductIndex(beeData, combs = {}) {
+  const index = new Map();
+  const getItem = (itemId) => {
+    if (!index.has(itemId)) {
+      const comb = combs[itemId];
+      index.set(itemId, {
+        id: itemId,
+        name: (comb && comb.name) || itemId,
+        isComb: isCombItem(itemId, combs),
+        processing: (comb && comb.processing) || [],
+        producers: [],
+      });
+    }
+    return index.get(itemId);
+  };
+  const addProducer = (itemId, producer) => {
+    const item = getItem(itemId);
+    const existing = item.producers.find(
+      (other) =>
+        other.speciesId === producer.speciesId &&
+        other.isSpecialty === producer.isSpecialty
+    );
+    // Bees can list an item several times (and again in combs.jsonc) - keep
+    // the best chance, separately for the regular and the specialty product
+    if (existing) {
+      existing.chance = Math.max(existing.chance, producer.chance);
+    } else {
+      item.producers.push(producer);
+    }
+  };
+
+  Object.values(beeData).forEach((bee) => {
+    (bee.products || []).forEach((product) => {
+      addProducer(product.item, {
+        speciesId: bee.id,
+        chance: product.chance,
+        isSpecialty: Boolean(product.isSpecialty),
+      });
+    });
+  });
+
+  Object.entries(combs).forEach(([itemId, comb]) => {
+    (comb.producers || []).forEach((producer) => {
+      if (!beeData[producer.bee]) return; // Reported by validateData
+      addProducer(itemId, {
+        speciesId: producer.bee,
+        chance: producer.chance,
+        isSpecialty: Boolean(producer.isSpecialty),
+      });
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Items produced by one species, regular products first, each by chance
+ *
+ * @returns {Array} [{ item, chance, isSpecialty }] where item is the index entry
+ */
+export function getSpeciesProducts(productIndex, speciesId) {
+  const products = [];
+  productIndex.forEach((item) => {
+    item.producers
+      .filter((producer) => producer.speciesId === speciesId)
+      .forEach((producer) => {
+        products.push({
+          item,
+          chance: producer.chance,
+          isSpecialty: producer.isSpecialty,
+        });
+      });
+  });
+
+  return products.sort(
+    (a, b) => a.isSpecialty - b.isSpecialty || b.chance - a.chance
+  );
+}
+
+/**
+ * Reverse lookup: the index entry whose item ID or name matches the query
+ * (case-insensitive), or null
+ */
+export function findProductItem(productIndex, query) {
+  const term = query.trim().toLowerCase();
+  if (term.length === 0) return null;
+  return (
+    Array.from(productIndex.values()).find(
+      (item) =>
+        item.id.toLowerCase() === term || item.name.toLowerCase() === term
+    ) || null
+  );
+}
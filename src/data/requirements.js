@@ -0,0 +1,143 @@
+/**
+ * Human-readable descriptions of mutation requirements
+ */
+import { formatChance } from "../utils/helpers.js";
+
+const monthNames = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function formatDate(month, day) {
+  return `${monthNames[month - 1] || month} ${day}`;
+}
+
+/**
+ * Describe one entry of a mutation's requirements array.
+ * Returns one { type, text } item per condition, in a stable order.
+ */
+export function describeRequirement(requirement) {
+  const items = [];
+
+  if (requirement.temperature) {
+    items.push({
+      type: "temperature",
+      text: `Temperature: ${toList(requirement.temperature).join(", ")}`,
+    });
+  }
+  if (requirement.humidity) {
+    items.push({
+      type: "humidity",
+      text: `Humidity: ${toList(requirement.humidity).join(", ")}`,
+    });
+  }
+  if (requirement.biome) {
+    items.push({
+      type: "biome",
+      text: `Biome: ${toList(requirement.biome).join(", ")}`,
+    });
+  }
+  if (requirement.block) {
+    items.push({
+      type: "block",
+      text: `Foundation: ${toList(requirement.block).join(" or ")}`,
+    });
+  }
+  if (requirement.dateRange) {
+    const range = requirement.dateRange;
+    items.push({
+      type: "dateRange",
+      text: `Date: ${formatDate(range.startMonth, range.startDay)} – ${formatDate(
+        range.endMonth,
+        range.endDay
+      )}`,
+    });
+  }
+  if (requirement.moonPhase) {
+    items.push({
+      type: "moonPhase",
+      text: `Moon: ${toList(requirement.moonPhase).join(", ")}`,
+    });
+  }
+  if (requirement.timeOfDay) {
+    items.push({
+      type: "timeOfDay",
+      text: `Time: ${toList(requirement.timeOfDay).join(", ")}`,
+    });
+  }
+  if (requirement.requireExplosion) {
+    items.push({ type: "requireExplosion", text: "Requires explosion" });
+  }
+  if (requirement.requirePlayer) {
+    items.push({
+      type: "requirePlayer",
+      text: `Requires player: ${toList(requirement.requirePlayer).join(", ")}`,
+    });
+  }
+  if (requirement.thaumcraftVis !== undefined) {
+    items.push({
+      type: "thaumcraftVis",
+      text: `Vis: ${requirement.thaumcraftVis}`,
+    });
+  }
+  if (requirement.runtimeConditions) {
+    toList(requirement.runtimeConditions).forEach((condition) => {
+      items.push({
+        type: "runtimeConditions",
+        text: `${condition.target} must ${
+          condition.active === false ? "not " : ""
+        }be active`,
+      });
+    });
+  }
+  if (requirement.isSecret) {
+    items.push({ type: "isSecret", text: "Secret mutation" });
+  }
+  if (requirement.chance !== undefined) {
+    items.push({
+      type: "chance",
+      text: `Chance: ${formatChance(requirement.chance)}`,
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Condition types present in any of a mutation's requirement entries
+ */
+export function getRequirementTypes(requirements) {
+  const types = new Set();
+  (requirements || []).forEach((requirement) => {
+    describeRequirement(requirement).forEach((item) => types.add(item.type));
+  });
+  return Array.from(types);
+}
+
+/**
+ * Single-line summary of all requirement entries (entries are alternatives)
+ */
+export function summarizeRequirements(requirements) {
+  return (requirements || [])
+    .map((requirement) =>
+      describeRequirement(requirement)
+        .map((item) => item.text)
+        .join("; ")
+    )
+    .filter((text) => text.length > 0)
+    .join(" OR ");
+}
@@ -0,0 +1,66 @@
+/**
+ * Resource planner: which species to breed for an item, and how many hives
+ */
+import { config } from "../core/config.js";
+
+/**
+ * Items per minute one hive of a species makes, from the product chance and
+ * the species' speed trait (config.defaultSpeed when the data has none)
+ */
+export function getItemsPerMinute(chance, speed) {
+  const multiplier =
+    config.speedMultipliers[speed] ||
+    config.speedMultipliers[config.defaultSpeed];
+  return chance * multiplier * (60 / config.productCycleSeconds);
+}
+
+/**
+ * Rank every loaded species that produces an item.
+ *
+ * Rows are sorted by hives needed for the desired rate, then by the expected
+ * breeding cost, then by items per hive.
+ *
+ * @param {Map} productIndex - From buildProductIndex
+ * @param {string} itemId - Item to produce
+ * @param {Object} options - `desiredRate` (items per minute), `getSpecies(id)`
+ *   returning the bee info or null when it is not loaded, and
+ *   `getBreedingCost(id)` returning expected attempts from base bees
+ *   (Infinity when it cannot be bred)
+ * @returns {Array} [{ speciesId, chance, isSpecialty, speed, speedKnown,
+ *   itemsPerMinute, hivesNeeded, breedingCost }]
+ */
+export function rankProducers(productIndex, itemId, options) {
+  const item = productIndex.get(itemId);
+  if (!item) return [];
+
+  const desiredRate = options.desiredRate > 0 ? options.desiredRate : 1;
+
+  return item.producers
+    .filter((producer) => options.getSpecies(producer.speciesId))
+    .map((producer) => {
+      const species = options.getSpecies(producer.speciesId);
+      const speedKnown = Boolean(config.speedMultipliers[species.speed]);
+      const speed = speedKnown ? species.speed : config.defaultSpeed;
+      const itemsPerMinute = getItemsPerMinute(producer.chance, speed);
+
+      return {
+        speciesId: producer.speciesId,
+        chance: producer.chance,
+        isSpecialty: producer.isSpecialty,
+        speed,
+        speedKnown,
+        itemsPerMinute,
+        hivesNeeded:
+          itemsPerMinute > 0
+            ? Math.ceil(desiredRate / itemsPerMinute)
+            : Infinity,
+        breedingCost: options.getBreedingCost(producer.speciesId),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.hivesNeeded - b.hivesNeeded ||
+        a.breedingCost - b.breedingCost ||
+        b.itemsPerMinute - a.itemsPerMinute
+    );
+}
@@ -0,0 +1,581 @@
+/**
+ * Search query language: `field:value` terms combined with AND, OR, NOT,
+ * a leading "-" and parentheses, e.g.
+ * `temp:HELLISH mod:magicbees children:0` or `(speed:FAST OR gen>5) -dominant:true`.
+ * Words without a field match the display name, species IDs like
+ * `forestry:common` (a mod's ID prefix, then a colon) the ID.
+ */
+
+// Comparison operators, longest first so ">=" is not read as ">"
+const operators = [">=", "<=", "!=", ":", "=", ">", "<"];
+
+/**
+ * Searchable fields. `get(node, bee)` reads the value from the hierarchy node
+ * and its bee info; enum fields are validated against data/enums.jsonc.
+ */
+export const queryFields = [
+  {
+    key: "name",
+    type: "text",
+    description: "Display name",
+    get: (node) => node.name,
+  },
+  {
+    key: "id",
+    type: "text",
+    description: "Species ID",
+    get: (node) => node.id,
+  },
+  {
+    key: "mod",
+    type: "text",
+    description: "Mod name or ID prefix",
+    get: (node) => [node.mod, node.id.split(":")[0]],
+  },
+  {
+    key: "branch",
+    type: "text",
+    description: "Branch, e.g. extrabees:quantum",
+    get: (node, bee) => normalizeBranch(bee.branch || ""),
+  },
+  {
+    key: "binomial",
+    type: "text",
+    description: "Binomial name",
+    get: (node, bee) => bee.binomial || "",
+  },
+  {
+    key: "temp",
+    aliases: ["temperature"],
+    type: "enum",
+    enumName: "temperature",
+    description: "Ideal temperature",
+    get: (node, bee) => bee.idealTemperature || "",
+  },
+  {
+    key: "humidity",
+    type: "enum",
+    enumName: "humidity",
+    description: "Ideal humidity",
+    get: (node, bee) => bee.idealHumidity || "",
+  },
+  {
+    key: "tempTolerance",
+    type: "enum",
+    enumName: "tolerance",
+    description: "Temperature tolerance",
+    get: (node, bee) => bee.temperatureTolerance || "",
+  },
+  {
+    key: "humidityTolerance",
+    type: "enum",
+    enumName: "tolerance",
+    description: "Humidity tolerance",
+    get: (node, bee) => bee.humidityTolerance || "",
+  },
+  {
+    key: "speed",
+    type: "enum",
+    enumName: "speed",
+    description: "Speed trait",
+    get: (node, bee) => bee.speed || "",
+  },
+  {
+    key: "lifespan",
+    type: "enum",
+    enumName: "lifespan",
+    description: "Lifespan trait",
+    get: (node, bee) => bee.lifespan || "",
+  },
+  {
+    key: "fertility",
+    type: "text",
+    description: "Fertility trait",
+    get: (node, bee) => bee.fertility || "",
+  },
+  {
+    key: "product",
+    type: "product",
+    description: "Produces an item (ID or name)",
+  },
+  {
+    key: "dominant",
+    type: "boolean",
+    description: "Dominant species allele",
+    get: (node, bee) => Boolean(bee.dominant),
+  },
+  {
+    key: "secret",
+    type: "boolean",
+    description: "Secret species",
+    get: (node, bee) => Boolean(bee.isSecret),
+  },
+  {
+    key: "effect",
+    type: "boolean",
+    description: "Has an effect",
+    get: (node, bee) => Boolean(bee.hasEffect),
+  },
+  {
+    key: "neverSleeps",
+    type: "boolean",
+    description: "Never sleeps",
+    get: (node, bee) => Boolean(bee.neverSleeps),
+  },
+  {
+    key: "caveDwelling",
+    type: "boolean",
+    description: "Cave dwelling",
+    get: (node, bee) => Boolean(bee.caveDwelling),
+  },
+  {
+    key: "tolerantFlyer",
+    type: "boolean",
+    description: "Tolerant flyer",
+    get: (node, bee) => Boolean(bee.tolerantFlyer),
+  },
+  {
+    key: "gen",
+    aliases: ["generation"],
+    type: "number",
+    description: "Generation (0 = base species)",
+    get: (node) => node.generation,
+  },
+  {
+    key: "children",
+    type: "number",
+    description: "Number of species it mutates into",
+    get: (node) => node.children.length,
+  },
+  {
+    key: "parents",
+    type: "number",
+    description: "Number of distinct parent species",
+    get: (node) => node.parents.length,
+  },
+];
+
+// Words shaped like a species ID ("forestry:common") whose prefix is one of
+// the loaded mods' ID prefixes match the ID or the display name
+const speciesIdPattern = /^([\w.-]+):[\w.:-]*$/;
+const speciesIdField = {
+  key: "id",
+  type: "text",
+  description: "Species ID or display name",
+  get: (node) => [node.id, node.name],
+};
+
+// Branches are written both as "extrabees.quantum" and "extrabees:quantum"
+function normalizeBranch(branch) {
+  return branch.replace(/\./g, ":");
+}
+
+/**
+ * The mod prefixes of the loaded species IDs ("forestry" for
+ * "forestry:common"), lower case, for the parse context
+ */
+export function getSpeciesIdPrefixes(beeData) {
+  return new Set(
+    Object.keys(beeData).map((speciesId) =>
+      speciesId.split(":")[0].toLowerCase()
+    )
+  );
+}
+
+function isSpeciesIdWord(word, speciesIdPrefixes = new Set()) {
+  const match = speciesIdPattern.exec(word);
+  return Boolean(match && speciesIdPrefixes.has(match[1].toLowerCase()));
+}
+
+function findField(name) {
+  const lowerName = name.toLowerCase();
+  return (
+    queryFields.find(
+      (field) =>
+        field.key.toLowerCase() === lowerName ||
+        (field.aliases || []).includes(lowerName)
+    ) || null
+  );
+}
+
+/**
+ * Split a word into field, operator and value when it starts with a known
+ * field name followed by an operator
+ */
+function splitTerm(word) {
+  const match = /^([a-zA-Z]+)(.*)$/.exec(word);
+  if (!match) return null;
+  const operator = operators.find((op) => match[2].startsWith(op));
+  if (!operator) return null;
+  return {
+    fieldName: match[1],
+    operator,
+    value: match[2].slice(operator.length),
+  };
+}
+
+/**
+ * Break the query into words, parentheses and negation markers. Double quotes
+ * keep spaces inside a value (name:"forest bee"); an unclosed quote runs to
+ * the end of the query.
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char });
+      i++;
+    } else if (
+      (char === "-" || char === "!") &&
+      i + 1 < text.length &&
+      !/[\s)]/.test(text[i + 1])
+    ) {
+      tokens.push({ type: "NOT" });
+      i++;
+    } else {
+      let word = "";
+      while (i < text.length && !/[\s()]/.test(text[i])) {
+        if (text[i] === '"') {
+          const end = text.indexOf('"', i + 1);
+          const stop = end === -1 ? text.length : end;
+          word += text.slice(i + 1, stop);
+          i = stop + 1;
+        } else {
+          word += text[i];
+          i++;
+        }
+      }
+      if (word === "AND" || word === "OR" || word === "NOT") {
+        tokens.push({ type: word });
+      } else {
+        tokens.push({ type: "word", word });
+      }
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Whether the search text uses the query syntax rather than being a plain
+ * name search. Species IDs ("forestry:common") are plain searches; other
+ * `word:value` words are queries, so a misspelled field is reported.
+ *
+ * @param {string} text - The search text
+ * @param {Object} context - { speciesIdPrefixes } from getSpeciesIdPrefixes
+ */
+export function isStructuredQuery(text, { speciesIdPrefixes } = {}) {
+  return tokenize(text).some((token) => {
+    if (token.type !== "word") return true;
+    const term = splitTerm(token.word);
+    if (!term) return false;
+    return (
+      Boolean(findField(term.fieldName)) ||
+      !isSpeciesIdWord(token.word, speciesIdPrefixes)
+    );
+  });
+}
+
+/**
+ * Parse a query into a tree of { type: "and"|"or", items }, { type: "not",
+ * item } and { type: "term", field, operator, value } nodes.
+ *
+ * @param {string} text - The search text
+ * @param {Object} context - { enums, speciesIdPrefixes }: enums from
+ *   loadEnums to validate enum values, prefixes from getSpeciesIdPrefixes to
+ *   recognize species IDs
+ * @returns {Object} The parsed query
+ * @throws {Error} With a message for the user when the query is invalid
+ */
+export function parseSearchQuery(text, { enums = {}, speciesIdPrefixes } = {}) {
+  const tokens = tokenize(text);
+  let position = 0;
+  const peek = () => tokens[position];
+
+  const parseTerm = (word) => {
+    const term = splitTerm(word);
+    if (!term) {
+      return {
+        type: "term",
+        field: findField("name"),
+        operator: ":",
+        value: word,
+      };
+    }
+    const field = findField(term.fieldName);
+    if (!field && isSpeciesIdWord(word, speciesIdPrefixes)) {
+      return {
+        type: "term",
+        field: speciesIdField,
+        operator: ":",
+        value: word,
+      };
+    }
+    if (!field) {
+      throw new Error(`Unknown field "${term.fieldName}"`);
+    }
+    if (term.value === "") {
+      throw new Error(`Missing value for ${field.key}`);
+    }
+
+    if (field.type === "number") {
+      if (!/^\d+$/.test(term.value)) {
+        throw new Error(`${field.key} needs a number, got "${term.value}"`);
+      }
+      return {
+        type: "term",
+        field,
+        operator: term.operator,
+        value: Number(term.value),
+      };
+    }
+    if (
+      term.operator !== ":" &&
+      term.operator !== "=" &&
+      term.operator !== "!="
+    ) {
+      throw new Error(`${field.key} cannot be compared with ${term.operator}`);
+    }
+
+    let value = term.value;
+    if (field.type === "boolean") {
+      const lowerValue = value.toLowerCase();
+      if (!["true", "false", "yes", "no"].includes(lowerValue)) {
+        throw new Error(`${field.key} is true or false, got "${value}"`);
+      }
+      value = lowerValue === "true" || lowerValue === "yes";
+    } else if (field.type === "enum" && enums[field.enumName]) {
+      const enumValue = enums[field.enumName].find(
+        (candidate) => candidate.toLowerCase() === value.toLowerCase()
+      );
+      if (!enumValue) {
+        throw new Error(
+          `"${value}" is not a ${field.enumName} value (${enums[field.enumName].join(", ")})`
+        );
+      }
+      value = enumValue;
+    }
+    return { type: "term", field, operator: term.operator, value };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error("Query ends too early");
+    }
+    position++;
+    if (token.type === "NOT") {
+      return { type: "not", item: parseUnary() };
+    }
+    if (token.type === "(") {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ")") {
+        throw new Error('Missing ")"');
+      }
+      position++;
+      return inner;
+    }
+    if (token.type === "word") {
+      return parseTerm(token.word);
+    }
+    throw new Error(`Unexpected ${token.type}`);
+  };
+
+  const parseAnd = () => {
+    const items = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") position++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: "and", items };
+  };
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      position++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  };
+
+  if (tokens.length === 0) {
+    throw new Error("Empty query");
+  }
+  const query = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected ${tokens[position].type}`);
+  }
+  return query;
+}
+
+/**
+ * Turn a parsed query into a node predicate
+ *
+ * @param {Object} query - From parseSearchQuery
+ * @param {Object} context - { beeData, productIndex }
+ * @returns {Function} node -> boolean
+ */
+export function compileSearchQuery(query, context) {
+  if (query.type === "and" || query.type === "or") {
+    const predicates = query.items.map((item) =>
+      compileSearchQuery(item, context)
+    );
+    return query.type === "and"
+      ? (node) => predicates.every((predicate) => predicate(node))
+      : (node) => predicates.some((predicate) => predicate(node));
+  }
+  if (query.type === "not") {
+    const predicate = compileSearchQuery(query.item, context);
+    return (node) => !predicate(node);
+  }
+
+  const { field, operator, value } = query;
+  let matches;
+  if (field.type === "product") {
+    // Every species producing an item whose ID or name contains the value
+    const term = value.toLowerCase();
+    const producers = new Set();
+    context.productIndex.forEach((item) => {
+      if (
+        item.id.toLowerCase().includes(term) ||
+        item.name.toLowerCase().includes(term)
+      ) {
+        item.producers.forEach((producer) => producers.add(producer.speciesId));
+      }
+    });
+    matches = (node) => producers.has(node.id);
+  } else {
+    const getValue = (node) => field.get(node, context.beeData[node.id] || {});
+
+    if (field.type === "number") {
+      // ":", "=" and "!=" compare for equality; "!=" is negated below
+      const compare =
+        {
+          ">": (a) => a > value,
+          "<": (a) => a < value,
+          ">=": (a) => a >= value,
+          "<=": (a) => a <= value,
+        }[operator] || ((a) => a === value);
+      matches = (node) => compare(getValue(node));
+    } else if (field.type === "text") {
+      // ":" looks for the value inside the text, "=" wants all of it
+      const term =
+        field.key === "branch"
+          ? normalizeBranch(value.toLowerCase())
+          : value.toLowerCase();
+      const test =
+        operator === ":"
+          ? (text) => text.toLowerCase().includes(term)
+          : (text) => text.toLowerCase() === term;
+      matches = (node) => [].concat(getValue(node)).some(test);
+    } else {
+      matches = (node) => getValue(node) === value;
+    }
+  }
+
+  return operator === "!=" ? (node) => !matches(node) : matches;
+}
+
+/**
+ * Values offered after "field:" - enum values, true/false, or what the loaded
+ * data contains
+ */
+function getFieldValues(field, context) {
+  if (field.type === "enum") {
+    return context.enums[field.enumName] || [];
+  }
+  if (field.type === "boolean") {
+    return ["true", "false"];
+  }
+  if (field.type === "product") {
+    return Array.from(context.productIndex.keys()).sort();
+  }
+  const beeValues = {
+    mod: (speciesId) => speciesId.split(":")[0],
+    branch: (speciesId) => context.beeData[speciesId].branch,
+    fertility: (speciesId) => context.beeData[speciesId].fertility,
+    binomial: (speciesId) => context.beeData[speciesId].binomial,
+  }[field.key];
+  if (!beeValues) return [];
+
+  return Array.from(
+    new Set(Object.keys(context.beeData).map(beeValues).filter(Boolean))
+  ).sort();
+}
+
+/**
+ * Completions for the word at the caret: field names while typing a field,
+ * values once the operator is typed.
+ *
+ * @param {string} text - The search text
+ * @param {number} caret - Caret position in the text
+ * @param {Object} context - { beeData, productIndex, enums }
+ * @param {number} limit - Maximum number of completions
+ * @returns {Object} { from, to, items: [{ text, label, hint }] } - replacing
+ *   text.slice(from, to) with an item's text applies it
+ */
+export function getQueryCompletions(text, caret, context, limit) {
+  let from = caret;
+  while (from > 0 && !/[\s(]/.test(text[from - 1])) {
+    from--;
+  }
+  // A negation marker stays in front of the completed word
+  if (text[from] === "-" || text[from] === "!") {
+    from++;
+  }
+  let to = caret;
+  while (to < text.length && !/[\s)]/.test(text[to])) {
+    to++;
+  }
+  const word = text.slice(from, caret);
+  if (word === "") {
+    return { from, to, items: [] };
+  }
+
+  const term = splitTerm(word);
+  if (!term) {
+    const lowerWord = word.toLowerCase();
+    const items = queryFields
+      .filter((field) =>
+        [field.key, ...(field.aliases || [])].some((name) =>
+          name.toLowerCase().startsWith(lowerWord)
+        )
+      )
+      .slice(0, limit)
+      .map((field) => ({
+        text: `${field.key}:`,
+        label: `${field.key}:`,
+        hint: field.description,
+      }));
+    return { from, to, items };
+  }
+
+  const field = findField(term.fieldName);
+  if (!field) {
+    return { from, to, items: [] };
+  }
+  const partial = term.value.replace(/"/g, "").toLowerCase();
+  const values = getFieldValues(field, context);
+  // Values starting with what was typed come before values containing it
+  const items = [
+    ...values.filter((value) => value.toLowerCase().startsWith(partial)),
+    ...values.filter(
+      (value) =>
+        !value.toLowerCase().startsWith(partial) &&
+        value.toLowerCase().includes(partial)
+    ),
+  ]
+    .slice(0, limit)
+    .map((value) => ({
+      text: `${term.fieldName}${term.operator}${
+        /\s/.test(value) ? `"${value}"` : value
+      } `,
+      label: value,
+      hint: field.description,
+    }));
+  return { from, to, items };
+}
@@ -0,0 +1,309 @@
+/**
+ * Monte Carlo breeding simulator with two-allele genomes.
+ *
+ * Runs without the DOM or d3 so it can be used from a Web Worker
+ * (src/workers/simulationWorker.js).
+ */
+import { config } from "../core/config.js";
+
+// Chromosomes besides the species; values come from the species' traits
+const traitChromosomes = [
+  "speed",
+  "lifespan",
+  "fertility",
+  "temperatureTolerance",
+  "humidityTolerance",
+];
+
+/**
+ * Collect what the simulator needs for a breeding plan: the plan steps, every
+ * mutation between the pairs bred in the plan (so competing mutations are
+ * rolled too), and the dominance and traits of every species involved.
+ *
+ * @param {Object} plan - From planBreedingPath
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID
+ * @param {Object} beeData - Species ID -> bee info (from loadBeeData)
+ * @param {Function} getChance - (mutation, childId) -> chance to use
+ * @returns {Object} Structured-cloneable input for simulateBreedingPlan
+ */
+export function buildSimulationInput(plan, nodeMap, beeData, getChance) {
+  const pairKey = (parents) => parents.slice().sort().join("|");
+  const stepPairs = new Set(plan.steps.map((step) => pairKey(step.parents)));
+
+  const mutations = [];
+  nodeMap.forEach((node) => {
+    (node.mutations || []).forEach((mutation) => {
+      if (stepPairs.has(pairKey(mutation.parents))) {
+        mutations.push({
+          parents: mutation.parents.slice(),
+          child: node.id,
+          chance: getChance(mutation, node.id),
+        });
+      }
+    });
+  });
+
+  const species = {};
+  const addSpecies = (speciesId) => {
+    const bee = beeData[speciesId] || {};
+    species[speciesId] = {
+      dominant: Boolean(bee.dominant),
+      traits: Object.fromEntries(
+        traitChromosomes.map((trait) => [trait, bee[trait] || ""])
+      ),
+    };
+  };
+  plan.steps.forEach((step) => {
+    step.parents.forEach(addSpecies);
+    addSpecies(step.child);
+  });
+  mutations.forEach((mutation) => addSpecies(mutation.child));
+
+  return {
+    target: plan.target,
+    steps: plan.steps.map((step) => ({
+      child: step.child,
+      parents: step.parents.slice(),
+    })),
+    mutations,
+    species,
+  };
+}
+
+function createGenome(speciesId, species) {
+  const genome = { species: [speciesId, speciesId] };
+  traitChromosomes.forEach((trait) => {
+    const value = species[speciesId].traits[trait];
+    genome[trait] = [value, value];
+  });
+  return genome;
+}
+
+/**
+ * Allele that is expressed - the dominant one, or the first when both or
+ * neither are dominant (trait alleles have no dominance data)
+ */
+function getActiveSpecies(genome, species) {
+  const [first, second] = genome.species;
+  return !species[first].dominant && species[second].dominant ? second : first;
+}
+
+function countAlleles(genome, speciesId) {
+  return genome.species.filter((allele) => allele === speciesId).length;
+}
+
+function shuffle(list, random) {
+  const shuffled = list.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Simulate breeding a plan many times.
+ *
+ * Each step starts from a pure-bred princess of the first parent and a stock
+ * of pure-bred drones of the second. Every generation the princess mates with
+ * the offspring drone carrying the most target alleles (a stock drone when
+ * none carries any) and is replaced by her daughter. A step is done once the
+ * princess and one of her drones are pure-bred target. Mutations are rolled
+ * like Forestry: once per parent, between its expressed species allele and
+ * the other parent's inactive one, replacing that parent's genome on success.
+ * Species dominance decides which allele is expressed.
+ *
+ * A step that is not done after `maxGenerations` ends its run. Such runs are
+ * censored: they count with the generations spent so far as a lower bound,
+ * so the statistics are not limited to the lucky runs. Statistics at or above
+ * `censoredFrom` (the smallest censored total) are lower bounds.
+ *
+ * @param {Object} input - From buildSimulationInput
+ * @param {Object} options - `runs`, `maxGenerations` per step, `random` (0-1
+ *   generator, defaults to Math.random) and `onProgress(completedRuns)`
+ * @returns {Object} { runs, maxGenerations, completed, censored, censoredFrom,
+ *   mean, median, p10, p90, min, max, histogram: [{ from, to, count,
+ *   censored }], steps: [{ child, meanGenerations, censored }] }
+ */
+export function simulateBreedingPlan(input, options = {}) {
+  const runs = options.runs || config.simulation.runs;
+  const maxGenerations =
+    options.maxGenerations || config.simulation.maxGenerations;
+  const random = options.random || Math.random;
+  const { species } = input;
+
+  const mutationsByPair = new Map();
+  input.mutations.forEach((mutation) => {
+    const key = mutation.parents.slice().sort().join("|");
+    if (!mutationsByPair.has(key)) {
+      mutationsByPair.set(key, []);
+    }
+    mutationsByPair.get(key).push(mutation);
+  });
+
+  const mutate = (genome, mate) => {
+    // Species alleles are stored expressed allele first
+    const key = [genome.species[0], mate.species[1]].sort().join("|");
+    const candidates = shuffle(mutationsByPair.get(key) || [], random);
+    const mutation = candidates.find(
+      (candidate) => random() < candidate.chance
+    );
+    return mutation ? createGenome(mutation.child, species) : genome;
+  };
+
+  const inherit = (parent1, parent2) => {
+    const offspring = {};
+    ["species", ...traitChromosomes].forEach((chromosome) => {
+      const fromFirst = parent1[chromosome][random() < 0.5 ? 0 : 1];
+      const fromSecond = parent2[chromosome][random() < 0.5 ? 0 : 1];
+      offspring[chromosome] =
+        random() < 0.5 ? [fromFirst, fromSecond] : [fromSecond, fromFirst];
+    });
+    // The expressed species allele comes first
+    if (getActiveSpecies(offspring, species) !== offspring.species[0]) {
+      offspring.species.reverse();
+    }
+    return offspring;
+  };
+
+  const mate = (princess, drone) => {
+    const parent1 = mutate(princess, drone);
+    const parent2 = mutate(drone, princess);
+    const fertility =
+      config.simulation.fertilityDrones[princess.fertility[0]] ||
+      config.simulation.defaultDrones;
+    const drones = [];
+    for (let i = 0; i < fertility; i++) {
+      drones.push(inherit(parent1, parent2));
+    }
+    return { princess: inherit(parent1, parent2), drones };
+  };
+
+  // Generations for one step, or null when it did not finish within the cap
+  const simulateStep = (step) => {
+    const [princessSpecies, droneSpecies] = step.parents;
+    const stockDrone = createGenome(droneSpecies, species);
+    let princess = createGenome(princessSpecies, species);
+    let drone = stockDrone;
+
+    for (let generation = 1; generation <= maxGenerations; generation++) {
+      const offspring = mate(princess, drone);
+      const bestDrone = offspring.drones.reduce((best, candidate) =>
+        countAlleles(candidate, step.child) > countAlleles(best, step.child)
+          ? candidate
+          : best
+      );
+      const bestDroneAlleles = countAlleles(bestDrone, step.child);
+
+      princess = offspring.princess;
+      if (countAlleles(princess, step.child) === 2 && bestDroneAlleles === 2) {
+        return generation;
+      }
+
+      // A princess that lost both the target and her own species starts over
+      if (
+        countAlleles(princess, step.child) === 0 &&
+        countAlleles(princess, princessSpecies) === 0
+      ) {
+        princess = createGenome(princessSpecies, species);
+      }
+      drone = bestDroneAlleles > 0 ? bestDrone : stockDrone;
+    }
+    return null;
+  };
+
+  const totals = []; // { generations, censored } per run
+  const stepTotals = input.steps.map(() => ({
+    sum: 0,
+    count: 0,
+    censored: 0,
+  }));
+
+  for (let run = 0; run < runs; run++) {
+    let total = 0;
+    let censored = false;
+    for (let i = 0; i < input.steps.length && !censored; i++) {
+      const generations = simulateStep(input.steps[i]);
+      censored = generations === null;
+      const stepGenerations = censored ? maxGenerations : generations;
+      total += stepGenerations;
+      stepTotals[i].sum += stepGenerations;
+      stepTotals[i].count++;
+      if (censored) {
+        stepTotals[i].censored++;
+      }
+    }
+
+    totals.push({ generations: total, censored });
+    if (
+      options.onProgress &&
+      (run + 1) % config.simulation.progressEvery === 0
+    ) {
+      options.onProgress(run + 1);
+    }
+  }
+
+  return {
+    maxGenerations,
+    ...summarizeRuns(totals, runs, input.steps, stepTotals),
+  };
+}
+
+function summarizeRuns(totals, runs, steps, stepTotals) {
+  const sorted = totals.map((total) => total.generations).sort((a, b) => a - b);
+  const censoredTotals = totals
+    .filter((total) => total.censored)
+    .map((total) => total.generations);
+  const percentile = (p) =>
+    sorted.length > 0
+      ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+      : null;
+
+  // Group generation counts into at most config.simulation.histogramBins bins
+  const histogram = [];
+  if (sorted.length > 0) {
+    const range = sorted[sorted.length - 1] - sorted[0] + 1;
+    const binSize = Math.ceil(range / config.simulation.histogramBins);
+    for (
+      let from = sorted[0];
+      from <= sorted[sorted.length - 1];
+      from += binSize
+    ) {
+      histogram.push({ from, to: from + binSize - 1, count: 0, censored: 0 });
+    }
+    totals.forEach((total) => {
+      const bin =
+        histogram[Math.floor((total.generations - sorted[0]) / binSize)];
+      bin.count++;
+      if (total.censored) {
+        bin.censored++;
+      }
+    });
+  }
+
+  return {
+    runs,
+    completed: totals.length - censoredTotals.length,
+    censored: censoredTotals.length,
+    censoredFrom:
+      censoredTotals.length > 0 ? Math.min(...censoredTotals) : null,
+    mean:
+      sorted.length > 0
+        ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+        : null,
+    median: percentile(0.5),
+    p10: percentile(0.1),
+    p90: percentile(0.9),
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    histogram,
+    steps: steps.map((step, index) => ({
+      child: step.child,
+      meanGenerations:
+        stepTotals[index].count > 0
+          ? stepTotals[index].sum / stepTotals[index].count
+          : null,
+      censored: stepTotals[index].censored,
+    })),
+  };
+}
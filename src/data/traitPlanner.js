@@ -0,0 +1,172 @@
+/**
+ * Trait planner: find species that carry wanted trait alleles and plan the
+ * crosses that move them onto a target species
+ */
+import { config } from "../core/config.js";
+
+// Traits that can be planned; enumName refers to data/enums.jsonc
+export const traitDefinitions = [
+  { key: "speed", label: "Speed", enumName: "speed" },
+  { key: "lifespan", label: "Lifespan", enumName: "lifespan" },
+  { key: "fertility", label: "Fertility" },
+  {
+    key: "temperatureTolerance",
+    label: "Temperature tolerance",
+    enumName: "tolerance",
+  },
+  {
+    key: "humidityTolerance",
+    label: "Humidity tolerance",
+    enumName: "tolerance",
+  },
+  { key: "neverSleeps", label: "Never sleeps", type: "boolean" },
+  { key: "caveDwelling", label: "Cave dwelling", type: "boolean" },
+  { key: "tolerantFlyer", label: "Tolerant flyer", type: "boolean" },
+];
+
+/**
+ * Values offered for a trait: its enum, else the values found in the data
+ * (fertility has no enum, so it falls back to the simulator's fertility levels)
+ */
+export function getTraitValues(trait, enums, beeData) {
+  if (trait.enumName && enums[trait.enumName]) {
+    return enums[trait.enumName];
+  }
+  const dataValues = new Set(
+    Object.values(beeData)
+      .map((bee) => bee[trait.key])
+      .filter((value) => typeof value === "string" && value !== "")
+  );
+  if (dataValues.size > 0) {
+    return Array.from(dataValues).sort();
+  }
+  return trait.key === "fertility"
+    ? Object.keys(config.simulation.fertilityDrones)
+    : [];
+}
+
+function hasTrait(bee, traitKey, value) {
+  return bee[traitKey] === value;
+}
+
+/**
+ * Species that carry each wanted trait value natively
+ *
+ * @param {Object} beeData - Species ID -> bee info (from loadBeeData)
+ * @param {Object} wantedTraits - Trait key -> wanted value (true for flags)
+ * @returns {Map} Trait key -> species IDs
+ */
+export function findTraitDonors(beeData, wantedTraits) {
+  const donors = new Map();
+  Object.entries(wantedTraits).forEach(([traitKey, value]) => {
+    donors.set(
+      traitKey,
+      Object.values(beeData)
+        .filter((bee) => hasTrait(bee, traitKey, value))
+        .map((bee) => bee.id)
+    );
+  });
+  return donors;
+}
+
+/**
+ * Plan crosses that put the wanted traits onto the target species.
+ *
+ * Donors are picked greedily: the species covering the most missing traits
+ * first, cheaper to breed on ties. Each donor is crossed into the target line
+ * and backcrossed with target drones until the target is pure-bred again and
+ * homozygous for the donor's traits.
+ *
+ * @param {Object} beeData - Species ID -> bee info
+ * @param {string} targetId - Species that should end up with the traits
+ * @param {Object} wantedTraits - Trait key -> wanted value
+ * @param {Function} getBreedingCost - Species ID -> expected attempts to obtain
+ *   it (0 when available, Infinity when it cannot be bred)
+ * @returns {Object} { donors, missingTraits, nativeTraits, steps } where steps is
+ *   [{ type: "obtain"|"cross"|"backcross", speciesId, traits, cost? }]
+ */
+export function planTraitTransfer(
+  beeData,
+  targetId,
+  wantedTraits,
+  getBreedingCost
+) {
+  const target = beeData[targetId];
+  const donors = findTraitDonors(beeData, wantedTraits);
+
+  const nativeTraits = Object.keys(wantedTraits).filter((traitKey) =>
+    hasTrait(target, traitKey, wantedTraits[traitKey])
+  );
+  const missingTraits = Object.keys(wantedTraits).filter(
+    (traitKey) =>
+      !nativeTraits.includes(traitKey) && donors.get(traitKey).length === 0
+  );
+  let remaining = Object.keys(wantedTraits).filter(
+    (traitKey) =>
+      !nativeTraits.includes(traitKey) && !missingTraits.includes(traitKey)
+  );
+
+  const steps = [];
+  const targetCost = getBreedingCost(targetId);
+  if (remaining.length > 0 && targetCost > 0) {
+    steps.push({
+      type: "obtain",
+      speciesId: targetId,
+      traits: [],
+      cost: targetCost,
+    });
+  }
+
+  const costs = new Map();
+  const costOf = (speciesId) => {
+    if (!costs.has(speciesId)) {
+      costs.set(speciesId, getBreedingCost(speciesId));
+    }
+    return costs.get(speciesId);
+  };
+
+  while (remaining.length > 0) {
+    // Donor covering the most remaining traits, cheapest first on ties
+    const candidates = new Set(
+      remaining.flatMap((traitKey) => donors.get(traitKey))
+    );
+    let best = null;
+    candidates.forEach((speciesId) => {
+      const covered = remaining.filter((traitKey) =>
+        donors.get(traitKey).includes(speciesId)
+      );
+      const cost = costOf(speciesId);
+      if (
+        !best ||
+        covered.length > best.covered.length ||
+        (covered.length === best.covered.length && cost < best.cost)
+      ) {
+        best = { speciesId, covered, cost };
+      }
+    });
+
+    if (best.cost > 0) {
+      steps.push({
+        type: "obtain",
+        speciesId: best.speciesId,
+        traits: [],
+        cost: best.cost,
+      });
+    }
+    steps.push({
+      type: "cross",
+      speciesId: best.speciesId,
+      traits: best.covered,
+    });
+    steps.push({
+      type: "backcross",
+      speciesId: targetId,
+      traits: best.covered,
+    });
+    remaining = remaining.filter(
+      (traitKey) => !best.covered.includes(traitKey)
+    );
+  }
+
+  return { donors, missingTraits, nativeTraits, steps };
+}
@@ -0,0 +1,214 @@
+/**
+ * Data and layout engine: loads the mods, filters the tree by mod, lays it
+ * out and answers lineage and path queries. Runs in
+ * src/workers/treeEngineWorker.js, or in the page when workers are
+ * unavailable (see treeEngineClient.js).
+ *
+ * Requests and their results:
+ * - load { basePath } -> { beeData, combs, mods, warnings, enums, dataIssues,
+ *   productIndex, modCounts }
+ * - layout { selectedMods, layoutMode, edgeMode } -> { nodes, links, nodeMap,
+ *   junctions, nodeColors, isModFiltered }
+ * - position { layoutMode, edgeMode } -> species ID -> { x, y, edgeWaypoints }
+ *   for the species of the last layout, laid out again
+ * - lineage { speciesId, evaluations } -> { ancestors, descendants }
+ * - paths { sourceId, targetId, evaluations, limit, maxExpansions } -> result
+ *   of findBreedingPaths
+ *
+ * `evaluations` is the page's species ID -> evaluation per mutation Map;
+ * without an entry a mutation counts as feasible at its base chance.
+ */
+import { collectModCounts, normalizeModName } from "../ui/filters.js";
+import { assignNodeColors, positionNodes } from "../visualization/layout.js";
+import { buildHierarchy } from "./beeProcessor.js";
+import { findBreedingPaths } from "./breedingProcessor.js";
+import { loadBeeData, loadEnums } from "./dataLoader.js";
+import { buildProductIndex } from "./products.js";
+import { validateData } from "./validator.js";
+
+/**
+ * @returns {Object} Engine with `handle(type, payload, onProgress)`, which
+ *   resolves to the request's result. Progress is reported as
+ *   { message, completed, total } (no total when the amount is unknown).
+ */
+export function createTreeEngine() {
+  let beeData = {};
+  let modCounts = [];
+  let fullHierarchy = null; // All loaded species, for mod dependencies
+  let nodeMap = new Map(); // Species of the last layout
+
+  async function load({ basePath }, onProgress) {
+    onProgress({ message: "Loading mod list" });
+    const loadResult = await loadBeeData({ basePath, onProgress });
+    beeData = loadResult.beeData;
+
+    onProgress({ message: "Loading enums" });
+    const enums = await loadEnums(basePath);
+
+    onProgress({ message: "Checking data" });
+    const dataIssues = validateData({
+      beeData,
+      combs: loadResult.combs,
+      mods: loadResult.mods,
+      enums,
+      warnings: loadResult.warnings,
+    });
+
+    onProgress({ message: "Indexing products" });
+    const productIndex = buildProductIndex(beeData, loadResult.combs);
+    modCounts = collectModCounts(beeData, loadResult.mods);
+    fullHierarchy = buildHierarchy(beeData);
+
+    return { ...loadResult, enums, dataIssues, productIndex, modCounts };
+  }
+
+  // Species of the selected mods plus every ancestor they need, or null when
+  // nothing is filtered out
+  function filterByMods(selectedMods) {
+    const selected = new Set(selectedMods);
+    if (
+      selected.size === 0 ||
+      modCounts.every((mod) => selected.has(mod.key))
+    ) {
+      return null;
+    }
+
+    const keptIds = new Set();
+    const addWithAncestors = (beeId) => {
+      if (keptIds.has(beeId)) return;
+      keptIds.add(beeId);
+      const fullNode = fullHierarchy.nodeMap.get(beeId);
+      if (fullNode && fullNode.parents) {
+        fullNode.parents.forEach(addWithAncestors);
+      }
+    };
+    Object.entries(beeData).forEach(([beeId, beeInfo]) => {
+      if (selected.has(normalizeModName(beeInfo.mod))) {
+        addWithAncestors(beeId);
+      }
+    });
+
+    const filteredBeeData = {};
+    keptIds.forEach((beeId) => {
+      filteredBeeData[beeId] = beeData[beeId];
+    });
+    return filteredBeeData;
+  }
+
+  function layout({ selectedMods, layoutMode, edgeMode }, onProgress) {
+    onProgress({ message: "Building tree" });
+    const filteredBeeData = filterByMods(selectedMods);
+    const hierarchy = buildHierarchy(filteredBeeData || beeData);
+    nodeMap = hierarchy.nodeMap;
+
+    // Widths are needed before positioning
+    onProgress({ message: "Positioning species" });
+    hierarchy.nodes.forEach((node) => {
+      const text = node.name || node.id;
+      node.width = Math.max(100, text.toUpperCase().length * 9 + 30);
+    });
+    positionNodes(hierarchy.nodes, layoutMode, edgeMode);
+
+    onProgress({ message: "Choosing colors" });
+    const nodeColors = assignNodeColors(hierarchy.nodes, hierarchy.nodeMap);
+
+    return {
+      ...hierarchy,
+      nodeColors,
+      isModFiltered: filteredBeeData !== null,
+    };
+  }
+
+  function position({ layoutMode, edgeMode }) {
+    const nodes = Array.from(nodeMap.values());
+    positionNodes(nodes, layoutMode, edgeMode);
+
+    const positions = {};
+    nodes.forEach((node) => {
+      positions[node.id] = {
+        x: node.x,
+        y: node.y,
+        edgeWaypoints: node.edgeWaypoints,
+      };
+    });
+    return positions;
+  }
+
+  function getEvaluation(evaluations, mutation, childId) {
+    const node = nodeMap.get(childId);
+    const childEvaluations = evaluations && evaluations.get(childId);
+    const index = node ? node.mutations.indexOf(mutation) : -1;
+    if (childEvaluations && index !== -1) {
+      return childEvaluations[index];
+    }
+    return { feasible: true, chance: mutation.chance };
+  }
+
+  // Parents of the feasible mutations of a species
+  function getActiveParents(node, evaluations) {
+    const childEvaluations = evaluations && evaluations.get(node.id);
+    if (!childEvaluations) return node.parents;
+
+    const parents = new Set();
+    node.mutations.forEach((mutation, index) => {
+      if (childEvaluations[index].feasible) {
+        mutation.parents.forEach((parentId) => parents.add(parentId));
+      }
+    });
+    return Array.from(parents);
+  }
+
+  // Every species reached by following `next` from the start species
+  function walk(startId, next) {
+    const found = new Set();
+    const queue = [startId];
+    while (queue.length > 0) {
+      const node = nodeMap.get(queue.shift());
+      if (!node) continue;
+      next(node).forEach((id) => {
+        if (id !== startId && !found.has(id)) {
+          found.add(id);
+          queue.push(id);
+        }
+      });
+    }
+    return found;
+  }
+
+  function lineage({ speciesId, evaluations }) {
+    return {
+      ancestors: walk(speciesId, (node) => getActiveParents(node, evaluations)),
+      descendants: walk(speciesId, (node) =>
+        node.children.filter((childId) => {
+          const child = nodeMap.get(childId);
+          return (
+            child && getActiveParents(child, evaluations).includes(node.id)
+          );
+        })
+      ),
+    };
+  }
+
+  function paths({ sourceId, targetId, evaluations, limit, maxExpansions }) {
+    return findBreedingPaths(nodeMap, sourceId, targetId, {
+      isMutationAllowed: (mutation, childId) =>
+        getEvaluation(evaluations, mutation, childId).feasible,
+      getChance: (mutation, childId) =>
+        getEvaluation(evaluations, mutation, childId).chance,
+      limit,
+      maxExpansions,
+    });
+  }
+
+  const handlers = { load, layout, position, lineage, paths };
+
+  return {
+    async handle(type, payload, onProgress = () => {}) {
+      const handler = handlers[type];
+      if (!handler) {
+        throw new Error(`Unknown tree engine request "${type}"`);
+      }
+      return handler(payload, onProgress);
+    },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Page side of the tree engine: sends requests to
+ * src/workers/treeEngineWorker.js and falls back to running the engine in
+ * the page when the worker cannot start (e.g. when opened from file://).
+ */
+import { createTreeEngine } from "./treeEngine.js";
+
+export class TreeEngineClient {
+  constructor() {
+    this.worker = null;
+    this.engine = null; // In-page engine, once the worker is given up
+    this.queue = null; // Last in-page request
+    this.nextId = 0;
+    this.pending = new Map(); // Request ID -> { type, payload, resolve, reject, onProgress }
+    // Last load and layout, replayed when the page takes over from the worker
+    this.stateRequests = new Map();
+
+    try {
+      this.worker = new Worker(
+        new URL("../workers/treeEngineWorker.js", import.meta.url),
+        { type: "module" }
+      );
+      this.worker.onmessage = (event) => this.handleMessage(event.data);
+      this.worker.onerror = (error) => this.fallBack(error);
+    } catch (error) {
+      console.warn(
+        "Could not start tree engine worker, running in page:",
+        error
+      );
+    }
+  }
+
+  /**
+   * Send a request (see src/data/treeEngine.js for the types)
+   *
+   * @param {string} type - "load", "layout", "position", "lineage" or "paths"
+   * @param {Object} payload - Request data, must be structured-cloneable
+   * @param {Function} onProgress - Called with { message, completed, total }
+   * @returns {Promise} The request's result
+   */
+  request(type, payload, onProgress = () => {}) {
+    if (type === "load" || type === "layout") {
+      this.stateRequests.set(type, payload);
+    }
+    if (!this.worker) {
+      return this.runInPage(type, payload, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextId;
+      this.pending.set(id, { type, payload, resolve, reject, onProgress });
+      this.worker.postMessage({ id, type, payload });
+    });
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    if (message.type === "progress") {
+      request.onProgress(message.progress);
+      return;
+    }
+    if (message.type === "unavailable") {
+      this.fallBack(message.message);
+      return;
+    }
+    this.pending.delete(message.id);
+    if (message.type === "result") {
+      request.resolve(message.result);
+    } else {
+      request.reject(new Error(message.message));
+    }
+  }
+
+  // Answer the outstanding and all later requests in the page
+  fallBack(error) {
+    if (!this.worker) return;
+    console.warn("Tree engine worker failed, running in page:", error);
+    this.worker.terminate();
+    this.worker = null;
+
+    const requests = Array.from(this.pending.values());
+    this.pending.clear();
+    requests.forEach((request) =>
+      this.runInPage(request.type, request.payload, request.onProgress).then(
+        request.resolve,
+        request.reject
+      )
+    );
+  }
+
+  runInPage(type, payload, onProgress) {
+    if (!this.engine) {
+      this.engine = createTreeEngine();
+      this.queue = Promise.resolve();
+      // Rebuild the state the worker had before answering anything else
+      for (const [stateType, statePayload] of this.stateRequests) {
+        if (stateType === type) break;
+        this.enqueue(stateType, statePayload, () => {});
+      }
+    }
+    return this.enqueue(type, payload, onProgress);
+  }
+
+  // In-page requests run one after another, each on the state left by the
+  // ones before
+  enqueue(type, payload, onProgress) {
+    const result = this.queue.then(() =>
+      this.engine.handle(type, payload, onProgress)
+    );
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Data integrity checks run after loading: enum values, references between
+ * species, mutations and combs, and species that can never be bred
+ */
+
+// Species fields checked against an enum list from data/enums.jsonc
+const speciesEnumFields = {
+  idealTemperature: "temperature",
+  idealHumidity: "humidity",
+  temperatureTolerance: "tolerance",
+  humidityTolerance: "tolerance",
+  speed: "speed",
+  lifespan: "lifespan",
+  fertility: null, // No enum - only checked for empty values
+};
+
+// Mutation requirement fields checked against an enum list
+const requirementEnumFields = [
+  "temperature",
+  "humidity",
+  "moonPhase",
+  "timeOfDay",
+];
+
+// Order of the report sections
+export const issueCategories = {
+  "load-error": "Loading errors",
+  "dangling-reference": "Missing species",
+  "invalid-enum": "Invalid values",
+  "empty-trait": "Empty traits",
+  "mod-mismatch": "Mod name mismatches",
+  "mod-spelling": "Mod name spellings",
+  "duplicate-pair": "Duplicate parent pairs",
+  "self-parent": "Child is its own parent",
+  unreachable: "Unreachable species",
+};
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Spelling of the `mod` field for each ID prefix: the display name from
+// data/mods.json, else the spelling most species with that prefix use
+function getModSpellings(beeData, mods) {
+  const counts = new Map(); // ID prefix -> Map of spelling -> species count
+  Object.values(beeData).forEach((bee) => {
+    const idPrefix = bee.id.split(":")[0];
+    if (!counts.has(idPrefix)) counts.set(idPrefix, new Map());
+    const spellings = counts.get(idPrefix);
+    spellings.set(bee.mod, (spellings.get(bee.mod) || 0) + 1);
+  });
+
+  const spellings = new Map();
+  counts.forEach((spellingCounts, idPrefix) => {
+    const [mostCommon] = [...spellingCounts].sort((a, b) => b[1] - a[1])[0];
+    spellings.set(idPrefix, mostCommon);
+  });
+  mods.forEach((mod) => {
+    if (mod.displayName) spellings.set(mod.id, mod.displayName);
+  });
+  return spellings;
+}
+
+/**
+ * Validate the loaded data.
+ *
+ * Issues with the same category and message are merged, so e.g. every species
+ * with an empty `speed` ends up in one issue listing all of their IDs.
+ *
+ * @param {Object} data - { beeData, combs, mods, enums, warnings } from
+ *   loadBeeData/loadEnums
+ * @returns {Array} [{ severity: "error"|"warning", category, message, speciesIds }]
+ *   ordered by issueCategories
+ */
+export function validateData({
+  beeData,
+  combs = {},
+  mods = [],
+  enums = {},
+  warnings = [],
+}) {
+  const issues = new Map();
+  const addIssue = (severity, category, message, speciesId) => {
+    const key = `${category}|${message}`;
+    if (!issues.has(key)) {
+      issues.set(key, { severity, category, message, speciesIds: [] });
+    }
+    const issue = issues.get(key);
+    if (speciesId && !issue.speciesIds.includes(speciesId)) {
+      issue.speciesIds.push(speciesId);
+    }
+  };
+  const isValidEnum = (enumName, value) =>
+    !enums[enumName] || enums[enumName].includes(value);
+  const modSpellings = getModSpellings(beeData, mods);
+
+  // Problems the loader already skipped over
+  warnings.forEach((warning) => {
+    if (warning.type === "missing-species") {
+      addIssue(
+        "error",
+        "dangling-reference",
+        warning.message,
+        warning.speciesId
+      );
+    } else {
+      addIssue("error", "load-error", warning.message, warning.speciesId);
+    }
+  });
+
+  Object.values(beeData).forEach((bee) => {
+    // Traits
+    Object.entries(speciesEnumFields).forEach(([field, enumName]) => {
+      if (!(field in bee)) return;
+      const value = bee[field];
+      if (value === "" || value === null) {
+        addIssue("warning", "empty-trait", `${field} is empty`, bee.id);
+      } else if (!isValidEnum(enumName, value)) {
+        addIssue(
+          "error",
+          "invalid-enum",
+          `${field} "${value}" is not a valid ${enumName}`,
+          bee.id
+        );
+      }
+    });
+
+    // The ID prefix is the mod folder; the `mod` field should name the same
+    // mod, spelled like the other species of that mod
+    const idPrefix = bee.id.split(":")[0];
+    const modSpelling = modSpellings.get(idPrefix);
+    if (String(bee.mod).toLowerCase().replace(/\s+/g, "") !== idPrefix) {
+      addIssue(
+        "warning",
+        "mod-mismatch",
+        `mod "${bee.mod}" does not match ID prefix "${idPrefix}"`,
+        bee.id
+      );
+    } else if (bee.mod !== modSpelling) {
+      addIssue(
+        "warning",
+        "mod-spelling",
+        `mod "${bee.mod}" should be spelled "${modSpelling}"`,
+        bee.id
+      );
+    }
+
+    // Mutation requirements
+    const seenPairs = new Set();
+    bee.mutations.forEach((mutation) => {
+      const pairLabel = mutation.parents.join(" + ");
+      const pairKey = mutation.parents.slice().sort().join("|");
+      if (seenPairs.has(pairKey)) {
+        addIssue(
+          "warning",
+          "duplicate-pair",
+          `${pairLabel} → ${bee.id} is listed more than once`,
+          bee.id
+        );
+      }
+      seenPairs.add(pairKey);
+
+      if (mutation.parents.includes(bee.id)) {
+        addIssue(
+          "warning",
+          "self-parent",
+          `${pairLabel} → ${bee.id} has the child as a parent`,
+          bee.id
+        );
+      }
+
+      (mutation.requirements || []).forEach((requirement) => {
+        requirementEnumFields.forEach((field) => {
+          if (requirement[field] === undefined) return;
+          toList(requirement[field]).forEach((value) => {
+            if (!isValidEnum(field, value)) {
+              addIssue(
+                "error",
+                "invalid-enum",
+                `requirement ${field} "${value}" is not a valid ${field}`,
+                bee.id
+              );
+            }
+          });
+        });
+
+        toList(requirement.runtimeConditions || []).forEach((condition) => {
+          if (!isValidEnum("runtimeConditionType", condition.type)) {
+            addIssue(
+              "error",
+              "invalid-enum",
+              `runtime condition type "${condition.type}" is not a valid runtimeConditionType`,
+              bee.id
+            );
+          }
+          if (condition.type === "BEE" && !beeData[condition.target]) {
+            addIssue(
+              "error",
+              "dangling-reference",
+              `Runtime condition on ${bee.id} needs unknown species ${condition.target}`,
+              bee.id
+            );
+          }
+        });
+      });
+    });
+  });
+
+  // Comb producers
+  Object.entries(combs).forEach(([itemId, comb]) => {
+    (comb.producers || []).forEach((producer) => {
+      if (!beeData[producer.bee]) {
+        addIssue(
+          "error",
+          "dangling-reference",
+          `Comb ${comb.name || itemId} is produced by unknown species ${producer.bee}`
+        );
+      }
+    });
+  });
+
+  // Species that cannot be bred starting from the base species
+  const reachable = new Set(
+    Object.values(beeData)
+      .filter((bee) => bee.parentCombinations.length === 0)
+      .map((bee) => bee.id)
+  );
+  let changed = true;
+  while (changed) {
+    changed = false;
+    Object.values(beeData).forEach((bee) => {
+      if (reachable.has(bee.id)) return;
+      const breedable = bee.mutations.some((mutation) =>
+        mutation.parents.every((parentId) => reachable.has(parentId))
+      );
+      if (breedable) {
+        reachable.add(bee.id);
+        changed = true;
+      }
+    });
+  }
+  Object.values(beeData).forEach((bee) => {
+    if (!reachable.has(bee.id)) {
+      addIssue(
+        "warning",
+        "unreachable",
+        "Cannot be bred from base species",
+        bee.id
+      );
+    }
+  });
+
+  const categoryOrder = Object.keys(issueCategories);
+  return Array.from(issues.values()).sort(
+    (a, b) =>
+      categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category)
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * "Data issues" panel listing the results of validateData
+ */
+import { issueCategories } from "../data/validator.js";
+
+// Species links shown per issue before collapsing the rest into a count
+const MAX_SPECIES_LINKS = 8;
+
+/**
+ * Short summary for the panel header, e.g. "3 errors · 12 warnings"
+ */
+export function summarizeIssues(issues) {
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  const warnings = issues.length - errors;
+  if (issues.length === 0) return "No issues found";
+  return `${errors} error${errors === 1 ? "" : "s"} · ${warnings} warning${
+    warnings === 1 ? "" : "s"
+  }`;
+}
+
+/**
+ * Render issues grouped by category. Each affected species is a link.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} issues - Issues from validateData
+ * @param {Function} getDisplayName - Species ID -> display name
+ * @param {Function} onSelectSpecies - Called with a species ID when its link is clicked
+ */
+export function renderDataIssues(
+  container,
+  issues,
+  getDisplayName,
+  onSelectSpecies
+) {
+  container.innerHTML = "";
+
+  if (issues.length === 0) {
+    container.textContent = "No issues found";
+    return;
+  }
+
+  Object.entries(issueCategories).forEach(([category, title]) => {
+    const categoryIssues = issues.filter(
+      (issue) => issue.category === category
+    );
+    if (categoryIssues.length === 0) return;
+
+    const section = document.createElement("div");
+    section.className = "data-issue-category";
+
+    const heading = document.createElement("h5");
+    heading.textContent = `${title} (${categoryIssues.length})`;
+    section.appendChild(heading);
+
+    categoryIssues.forEach((issue) => {
+      const issueDiv = document.createElement("div");
+      issueDiv.className = `data-issue ${issue.severity}`;
+
+      const message = document.createElement("div");
+      message.textContent = issue.message;
+      issueDiv.appendChild(message);
+
+      if (issue.speciesIds.length > 0) {
+        const speciesDiv = document.createElement("div");
+        speciesDiv.className = "data-issue-species";
+        issue.speciesIds.slice(0, MAX_SPECIES_LINKS).forEach((speciesId) => {
+          const link = document.createElement("a");
+          link.href = "#";
+          link.textContent = getDisplayName(speciesId);
+          link.title = speciesId;
+          link.addEventListener("click", (event) => {
+            event.preventDefault();
+            onSelectSpecies(speciesId);
+          });
+          speciesDiv.appendChild(link);
+        });
+        const hiddenCount = issue.speciesIds.length - MAX_SPECIES_LINKS;
+        if (hiddenCount > 0) {
+          const more = document.createElement("span");
+          more.textContent = `…and ${hiddenCount} more`;
+          speciesDiv.appendChild(more);
+        }
+        issueDiv.appendChild(speciesDiv);
+      }
+
+      section.appendChild(issueDiv);
+    });
+
+    container.appendChild(section);
+  });
+}
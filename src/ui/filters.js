@@ -0,0 +1,198 @@
+/**
+ * Mod filter panel, built from the mods present in the loaded data
+ */
+
+const MOD_PRESETS_STORAGE_KEY = "beeBreeding.modPresets";
+
+/**
+ * Filter key for a species' `mod` value - the data mixes casing and spacing
+ * ("ExtraBees" vs "extrabees"), so compare lowercase without whitespace
+ */
+export function normalizeModName(modName) {
+  return String(modName || "Unknown")
+    .toLowerCase()
+    .replace(/\s+/g, "");
+}
+
+/**
+ * One entry per distinct mod in the data, with its species count.
+ * Labels prefer the display name from data/mods.json when the key matches.
+ *
+ * @param {Object} beeData - Species ID -> bee info (from loadBeeData)
+ * @param {Array} manifestMods - Entries of data/mods.json
+ * @returns {Array} [{ key, label, count }] sorted by label
+ */
+export function collectModCounts(beeData, manifestMods = []) {
+  const displayNames = new Map(
+    manifestMods.map((mod) => [normalizeModName(mod.id), mod.displayName])
+  );
+  const mods = new Map();
+
+  Object.values(beeData).forEach((beeInfo) => {
+    const key = normalizeModName(beeInfo.mod);
+    if (!mods.has(key)) {
+      mods.set(key, {
+        key,
+        label: displayNames.get(key) || beeInfo.mod || "Unknown",
+        count: 0,
+      });
+    }
+    mods.get(key).count++;
+  });
+
+  return Array.from(mods.values()).sort((a, b) =>
+    a.label.localeCompare(b.label)
+  );
+}
+
+export function loadModPresets() {
+  try {
+    const stored = localStorage.getItem(MOD_PRESETS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.warn("Could not read mod presets from localStorage:", error);
+    return [];
+  }
+}
+
+export function saveModPresets(presets) {
+  try {
+    localStorage.setItem(MOD_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn("Could not save mod presets to localStorage:", error);
+  }
+}
+
+function createButton(text, className, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener("click", (event) => {
+    event.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Render the mod checkboxes, shortcuts and preset controls.
+ * Every change calls onChange(selectedKeys) with the new selection.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} mods - Entries from collectModCounts
+ * @param {Set<string>} selectedMods - Currently selected mod keys
+ * @param {Function} onChange - Receives a new Set of selected mod keys
+ */
+export function renderModFilters(container, mods, selectedMods, onChange) {
+  container.innerHTML = "";
+
+  const allKeys = mods.map((mod) => mod.key);
+  const select = (keys) => onChange(new Set(keys));
+
+  // Shortcuts
+  const shortcuts = document.createElement("div");
+  shortcuts.className = "mod-filter-shortcuts";
+  shortcuts.appendChild(
+    createButton("All", "mod-filter-shortcut", () => select(allKeys))
+  );
+  shortcuts.appendChild(
+    createButton("None", "mod-filter-shortcut", () => select([]))
+  );
+  container.appendChild(shortcuts);
+
+  // One row per mod with its species count and an "only" shortcut
+  mods.forEach((mod) => {
+    const row = document.createElement("div");
+    row.className = "mod-filter-row";
+
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "mod-filter-checkbox";
+    checkbox.value = mod.key;
+    checkbox.checked = selectedMods.has(mod.key);
+    checkbox.addEventListener("change", () => {
+      const keys = new Set(selectedMods);
+      if (checkbox.checked) {
+        keys.add(mod.key);
+      } else {
+        keys.delete(mod.key);
+      }
+      onChange(keys);
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(mod.label));
+
+    const count = document.createElement("span");
+    count.className = "mod-filter-count";
+    count.textContent = mod.count;
+    label.appendChild(count);
+    row.appendChild(label);
+
+    row.appendChild(
+      createButton("only", "mod-filter-only", () => select([mod.key]))
+    );
+    container.appendChild(row);
+  });
+
+  if (selectedMods.size === 0) {
+    const note = document.createElement("div");
+    note.className = "mod-filter-note";
+    note.textContent = "No mods selected - showing all";
+    container.appendChild(note);
+  }
+
+  // Saved presets (e.g. a modpack's mod list)
+  const presets = loadModPresets();
+  const presetRow = document.createElement("div");
+  presetRow.className = "mod-filter-presets";
+
+  const presetSelect = document.createElement("select");
+  presetSelect.className = "mod-filter-preset-select";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = presets.length > 0 ? "Presets…" : "No presets";
+  presetSelect.appendChild(placeholder);
+  presets.forEach((preset, index) => {
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  const getSelectedPreset = () =>
+    presetSelect.value === "" ? null : presets[Number(presetSelect.value)];
+  presetSelect.addEventListener("change", () => {
+    const preset = getSelectedPreset();
+    if (preset) {
+      // Ignore mods from the preset that are not loaded
+      select(preset.mods.filter((key) => allKeys.includes(key)));
+    }
+  });
+  presetRow.appendChild(presetSelect);
+
+  presetRow.appendChild(
+    createButton("Save", "mod-filter-shortcut", () => {
+      const name = prompt("Preset name (e.g. MeatballCraft pack):");
+      if (!name || !name.trim()) return;
+      const otherPresets = presets.filter(
+        (preset) => preset.name !== name.trim()
+      );
+      saveModPresets([
+        ...otherPresets,
+        { name: name.trim(), mods: Array.from(selectedMods) },
+      ]);
+      renderModFilters(container, mods, selectedMods, onChange);
+    })
+  );
+
+  presetRow.appendChild(
+    createButton("Delete", "mod-filter-shortcut", () => {
+      const preset = getSelectedPreset();
+      if (!preset) return;
+      saveModPresets(presets.filter((other) => other !== preset));
+      renderModFilters(container, mods, selectedMods, onChange);
+    })
+  );
+  container.appendChild(presetRow);
+}
@@ -0,0 +1,227 @@
+/**
+ * Info panel rendering for the selected bee
+ */
+import { config } from "../core/config.js";
+import { describeRequirement } from "../data/requirements.js";
+import { formatChance } from "../utils/helpers.js";
+
+/**
+ * List every parent combination of a bee with its chance and requirement badges.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} node - Selected hierarchy node
+ * @param {Function} getDisplayName - Species ID -> display name
+ * @param {Function} getEvaluation - (mutation, childId) -> environment evaluation
+ */
+export function renderParentCombinations(
+  container,
+  node,
+  getDisplayName,
+  getEvaluation
+) {
+  container.innerHTML = "";
+
+  if (!node.mutations || node.mutations.length === 0) {
+    container.textContent = "None (Base species)";
+    return;
+  }
+
+  node.mutations.forEach((mutation) => {
+    const evaluation = getEvaluation(mutation, node.id);
+
+    const combinationDiv = document.createElement("div");
+    combinationDiv.className = "parent-combination";
+    combinationDiv.classList.toggle("infeasible", !evaluation.feasible);
+
+    const header = document.createElement("div");
+    header.textContent = mutation.parents
+      .map((parentId) => getDisplayName(parentId))
+      .join(" + ");
+
+    const chanceSpan = document.createElement("span");
+    chanceSpan.className = "combination-chance";
+    chanceSpan.textContent = formatChance(evaluation.chance);
+    header.appendChild(chanceSpan);
+    combinationDiv.appendChild(header);
+
+    // Each requirement entry is an alternative way to get the mutation
+    const requirements = mutation.requirements || [];
+    requirements.forEach((requirement, index) => {
+      const badgesDiv = document.createElement("div");
+      badgesDiv.className = "requirement-badges";
+
+      if (requirements.length > 1) {
+        const optionLabel = document.createElement("span");
+        optionLabel.className = "requirement-option";
+        optionLabel.textContent = index === 0 ? "either" : "or";
+        badgesDiv.appendChild(optionLabel);
+      }
+
+      describeRequirement(requirement).forEach((item) => {
+        const badge = document.createElement("span");
+        badge.className = "requirement-badge";
+        badge.classList.toggle(
+          "failed",
+          evaluation.failedConditions.includes(item.type)
+        );
+        const glyph = config.requirementBadges[item.type];
+        badge.textContent = glyph ? `${glyph} ${item.text}` : item.text;
+        badgesDiv.appendChild(badge);
+      });
+
+      combinationDiv.appendChild(badgesDiv);
+    });
+
+    container.appendChild(combinationDiv);
+  });
+}
+
+/**
+ * List the items a bee produces with their chances. Specialty products are
+ * marked, and combs show what they centrifuge into when the data has it.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} products - Entries from getSpeciesProducts
+ * @param {Function} onSelectItem - Called with an item ID when it is clicked
+ */
+export function renderProductList(container, products, onSelectItem) {
+  container.innerHTML = "";
+
+  if (products.length === 0) {
+    container.textContent = "None";
+    return;
+  }
+
+  products.forEach((product) => {
+    const productDiv = document.createElement("div");
+    productDiv.className = "product";
+    productDiv.classList.toggle("specialty", product.isSpecialty);
+    productDiv.classList.toggle("comb", product.item.isComb);
+
+    const name = document.createElement("a");
+    name.href = "#";
+    name.textContent = product.isSpecialty
+      ? `★ ${product.item.name}`
+      : product.item.name;
+    name.title = product.isSpecialty
+      ? `${product.item.id} (specialty) - highlight all producers`
+      : `${product.item.id} - highlight all producers`;
+    name.addEventListener("click", (event) => {
+      event.preventDefault();
+      onSelectItem(product.item.id);
+    });
+    productDiv.appendChild(name);
+
+    const chanceSpan = document.createElement("span");
+    chanceSpan.className = "combination-chance";
+    chanceSpan.textContent = formatChance(product.chance);
+    productDiv.appendChild(chanceSpan);
+
+    if (product.item.processing.length > 0) {
+      const processing = document.createElement("div");
+      processing.className = "product-processing";
+      processing.textContent = `→ ${product.item.processing
+        .map((output) => `${output.product} (${formatChance(output.chance)})`)
+        .join(", ")}`;
+      productDiv.appendChild(processing);
+    }
+
+    container.appendChild(productDiv);
+  });
+}
+
+/**
+ * Show items per minute for each product, with centrifuge outputs of combs
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} production - From calculateProduction
+ */
+export function renderProduction(container, production) {
+  container.innerHTML = "";
+
+  if (production.length === 0) {
+    container.textContent = "No products";
+    return;
+  }
+
+  production.forEach((entry) => {
+    const entryDiv = document.createElement("div");
+    entryDiv.className = "product";
+    entryDiv.classList.toggle("specialty", entry.isSpecialty);
+    entryDiv.textContent = `${entry.isSpecialty ? "★ " : ""}${
+      entry.item.name
+    }: ${entry.itemsPerMinute.toFixed(2)}/min`;
+
+    entry.outputs.forEach((output) => {
+      const outputDiv = document.createElement("div");
+      outputDiv.className = "product-processing";
+      outputDiv.textContent = `→ ${output.itemId}: ${output.itemsPerMinute.toFixed(
+        2
+      )}/min`;
+      entryDiv.appendChild(outputDiv);
+    });
+
+    container.appendChild(entryDiv);
+  });
+}
+
+/**
+ * Summarize a simulation result with a histogram of generations needed.
+ * Values that include runs stopped at the generation cap are marked "≥".
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} result - From simulateBreedingPlan
+ */
+export function renderSimulationResult(container, result) {
+  container.innerHTML = "";
+
+  const atLeast = (value) =>
+    result.censoredFrom !== null && value >= result.censoredFrom
+      ? `≥${value}`
+      : `${value}`;
+
+  const summary = document.createElement("div");
+  summary.textContent = `Median ${atLeast(
+    result.median
+  )} generations (10–90%: ${atLeast(result.p10)}–${atLeast(
+    result.p90
+  )}), mean ${result.censored > 0 ? "≥" : ""}${result.mean.toFixed(1)} over ${
+    result.runs
+  } runs`;
+  if (result.censored > 0) {
+    summary.textContent += `; ${result.censored} stopped after ${result.maxGenerations} generations on a step and count as at least the generations they took`;
+  }
+  container.appendChild(summary);
+
+  const { histogramWidth: width, histogramHeight: height } = config.simulation;
+  const barWidth = width / result.histogram.length;
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(result.histogram, (bin) => bin.count)])
+    .range([0, height]);
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("class", "simulation-histogram")
+    .attr("width", width)
+    .attr("height", height);
+
+  svg
+    .selectAll("rect")
+    .data(result.histogram)
+    .join("rect")
+    .attr("x", (bin, index) => index * barWidth)
+    .attr("y", (bin) => height - y(bin.count))
+    .attr("width", Math.max(1, barWidth - 1))
+    .attr("height", (bin) => y(bin.count))
+    .classed("censored", (bin) => bin.censored > 0)
+    .append("title")
+    .text((bin) => {
+      const range =
+        bin.from === bin.to ? `${bin.from}` : `${bin.from}–${bin.to}`;
+      const censored =
+        bin.censored > 0 ? ` (${bin.censored} stopped at the cap)` : "";
+      return `${range} generations: ${bin.count} runs${censored}`;
+    });
+}
@@ -0,0 +1,50 @@
+/**
+ * Path panel - breeding paths between two species, ranked by findBreedingPaths
+ */
+import { formatChance } from "../utils/helpers.js";
+
+/**
+ * Render one row per path: rank, steps, combined chance and the crosses.
+ * Clicking a row calls onSelectPath with that path.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} paths - From findBreedingPaths
+ * @param {Function} getDisplayName - Species ID -> display name
+ * @param {Function} onSelectPath - Called with the clicked path
+ */
+export function renderPathList(container, paths, getDisplayName, onSelectPath) {
+  container.innerHTML = "";
+
+  const list = document.createElement("ol");
+  list.className = "path-list";
+  paths.forEach((path) => {
+    const item = document.createElement("li");
+    item.className = "path-row";
+
+    const summary = document.createElement("div");
+    summary.className = "path-row-summary";
+    summary.textContent = `${path.steps.length} step${
+      path.steps.length === 1 ? "" : "s"
+    } · ${formatChance(path.chance)}`;
+    item.appendChild(summary);
+
+    path.steps.forEach((step) => {
+      const stepRow = document.createElement("div");
+      stepRow.className = "path-step";
+      stepRow.textContent = `${getDisplayName(step.parent)} + ${getDisplayName(
+        step.partner
+      )} → ${getDisplayName(step.child)} (${formatChance(step.chance)})`;
+      item.appendChild(stepRow);
+    });
+
+    item.addEventListener("click", () => {
+      list
+        .querySelectorAll(".path-row.selected")
+        .forEach((selected) => selected.classList.remove("selected"));
+      item.classList.add("selected");
+      onSelectPath(path);
+    });
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
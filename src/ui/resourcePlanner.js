@@ -0,0 +1,86 @@
+/**
+ * Resource planner table - producers of an item ranked by rankProducers
+ */
+import { formatAttempts, formatChance } from "../utils/helpers.js";
+
+/**
+ * Render the ranked producers as a table. Clicking a row calls onSelectSpecies.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} rows - From rankProducers
+ * @param {Function} getDisplayName - Species ID -> display name
+ * @param {Function} onSelectSpecies - Called with the species ID of a clicked row
+ */
+export function renderPlannerTable(
+  container,
+  rows,
+  getDisplayName,
+  onSelectSpecies
+) {
+  container.innerHTML = "";
+
+  if (rows.length === 0) {
+    container.textContent = "No loaded species produces this item";
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "planner-table";
+
+  const headerRow = table.createTHead().insertRow();
+  [
+    "#",
+    "Bee",
+    "Chance",
+    "Speed",
+    "Per hive/min",
+    "Hives",
+    "Breeding tries",
+  ].forEach((title) => {
+    const th = document.createElement("th");
+    th.textContent = title;
+    headerRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  rows.forEach((row, index) => {
+    const tr = body.insertRow();
+    tr.className = "planner-row";
+    tr.title = row.speciesId;
+
+    const speciesName = row.isSpecialty
+      ? `★ ${getDisplayName(row.speciesId)}`
+      : getDisplayName(row.speciesId);
+    [
+      String(index + 1),
+      speciesName,
+      formatChance(row.chance),
+      row.speedKnown ? row.speed : `${row.speed}?`,
+      row.itemsPerMinute.toFixed(2),
+      Number.isFinite(row.hivesNeeded) ? String(row.hivesNeeded) : "∞",
+      Number.isFinite(row.breedingCost)
+        ? formatAttempts(row.breedingCost)
+        : "Unreachable",
+    ].forEach((text) => {
+      tr.insertCell().textContent = text;
+    });
+
+    if (row.isSpecialty) {
+      tr.cells[1].title = "Specialty - only produced while the bee is jubilant";
+    }
+    // Missing speed traits fall back to the default speed
+    if (!row.speedKnown) {
+      tr.cells[3].title = "Speed missing in the data - assumed";
+    }
+
+    tr.addEventListener("click", () => {
+      body
+        .querySelectorAll(".planner-row.selected")
+        .forEach((selected) => selected.classList.remove("selected"));
+      tr.classList.add("selected");
+      onSelectSpecies(row.speciesId);
+    });
+  });
+
+  container.appendChild(table);
+}
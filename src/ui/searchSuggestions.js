@@ -0,0 +1,55 @@
+/**
+ * Dropdown under the search box - ranked species and query completions
+ */
+
+/**
+ * Render the dropdown. Hidden when there are no items.
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} items - [{ label, hint, swatch? }]; swatch is a CSS color
+ * @param {Function} onPick - Called with the clicked item
+ * @param {number} activeIndex - Item chosen with the arrow keys, -1 for none
+ */
+export function renderSearchSuggestions(
+  container,
+  items,
+  onPick,
+  activeIndex = -1
+) {
+  container.innerHTML = "";
+  container.style.display = items.length > 0 ? "block" : "none";
+
+  items.forEach((item, index) => {
+    const row = document.createElement("div");
+    row.className = "search-suggestion";
+    row.classList.toggle("active", index === activeIndex);
+
+    const label = document.createElement("span");
+    label.className = "search-suggestion-label";
+    if (item.swatch) {
+      const swatch = document.createElement("span");
+      swatch.className = "search-suggestion-swatch";
+      swatch.style.background = item.swatch;
+      label.appendChild(swatch);
+    }
+    label.appendChild(document.createTextNode(item.label));
+    row.appendChild(label);
+
+    const hint = document.createElement("span");
+    hint.className = "search-suggestion-hint";
+    hint.textContent = item.hint;
+    row.appendChild(hint);
+
+    // mousedown fires before the search box loses focus
+    row.addEventListener("mousedown", (event) => {
+      event.preventDefault();
+      onPick(item);
+    });
+    container.appendChild(row);
+  });
+
+  const activeRow = container.children[activeIndex];
+  if (activeRow && activeRow.scrollIntoView) {
+    activeRow.scrollIntoView({ block: "nearest" });
+  }
+}
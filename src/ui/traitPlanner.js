@@ -0,0 +1,161 @@
+/**
+ * Trait planner panel - trait pickers and the resulting cross sequence
+ */
+import { formatAttempts } from "../utils/helpers.js";
+
+/**
+ * One select per enum trait ("Any" plus its values) and one checkbox per flag
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Array} traitOptions - [{ trait, values }] with trait from traitDefinitions
+ */
+export function renderTraitControls(container, traitOptions) {
+  container.innerHTML = "";
+
+  traitOptions.forEach(({ trait, values }) => {
+    const label = document.createElement("label");
+    label.className = "trait-control";
+
+    if (trait.type === "boolean") {
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.dataset.trait = trait.key;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(trait.label));
+    } else {
+      label.appendChild(document.createTextNode(trait.label));
+      const select = document.createElement("select");
+      select.dataset.trait = trait.key;
+      ["", ...values].forEach((value) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value || "Any";
+        select.appendChild(option);
+      });
+      label.appendChild(select);
+    }
+
+    container.appendChild(label);
+  });
+}
+
+/**
+ * Trait key -> wanted value for every control that is set
+ */
+export function readWantedTraits(container) {
+  const wanted = {};
+  container.querySelectorAll("[data-trait]").forEach((control) => {
+    if (control.type === "checkbox") {
+      if (control.checked) wanted[control.dataset.trait] = true;
+    } else if (control.value) {
+      wanted[control.dataset.trait] = control.value;
+    }
+  });
+  return wanted;
+}
+
+/**
+ * Render donors per trait and the cross sequence from planTraitTransfer
+ *
+ * @param {HTMLElement} container - Element to render into (emptied first)
+ * @param {Object} plan - From planTraitTransfer
+ * @param {Object} context - { targetId, wantedTraits, traitLabels (key -> label),
+ *   getDisplayName, onSelectSpecies }
+ */
+export function renderTraitPlan(container, plan, context) {
+  container.innerHTML = "";
+  const { targetId, wantedTraits, traitLabels, getDisplayName } = context;
+
+  const describeTraits = (traitKeys) =>
+    traitKeys
+      .map((traitKey) =>
+        wantedTraits[traitKey] === true
+          ? traitLabels[traitKey]
+          : `${traitLabels[traitKey]} ${wantedTraits[traitKey]}`
+      )
+      .join(", ");
+  const speciesLink = (speciesId) => {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = getDisplayName(speciesId);
+    link.title = speciesId;
+    link.addEventListener("click", (event) => {
+      event.preventDefault();
+      context.onSelectSpecies(speciesId);
+    });
+    return link;
+  };
+
+  if (Object.keys(wantedTraits).length === 0) {
+    container.textContent = "Pick at least one trait";
+    return;
+  }
+
+  // Donors per trait
+  const donorList = document.createElement("div");
+  donorList.className = "trait-donors";
+  Object.keys(wantedTraits).forEach((traitKey) => {
+    const row = document.createElement("div");
+    row.appendChild(document.createTextNode(`${describeTraits([traitKey])}: `));
+    const donors = plan.donors.get(traitKey);
+    if (plan.nativeTraits.includes(traitKey)) {
+      row.appendChild(
+        document.createTextNode(`native to ${getDisplayName(targetId)}`)
+      );
+    } else if (donors.length === 0) {
+      row.appendChild(document.createTextNode("no species in the data"));
+      row.classList.add("missing");
+    } else {
+      donors.forEach((speciesId, index) => {
+        if (index > 0) row.appendChild(document.createTextNode(", "));
+        row.appendChild(speciesLink(speciesId));
+      });
+    }
+    donorList.appendChild(row);
+  });
+  container.appendChild(donorList);
+
+  if (plan.steps.length === 0) {
+    const note = document.createElement("div");
+    note.className = "trait-plan-note";
+    note.textContent =
+      plan.missingTraits.length > 0
+        ? "Nothing to cross - the remaining traits have no donor"
+        : "Nothing to cross";
+    container.appendChild(note);
+    return;
+  }
+
+  const stepList = document.createElement("ol");
+  stepList.className = "breeding-plan";
+  plan.steps.forEach((step) => {
+    const item = document.createElement("li");
+    if (step.type === "obtain") {
+      item.appendChild(document.createTextNode("Obtain "));
+      item.appendChild(speciesLink(step.speciesId));
+      item.appendChild(
+        document.createTextNode(
+          Number.isFinite(step.cost)
+            ? ` (~${formatAttempts(step.cost)} tries)`
+            : " (no route from the starting species)"
+        )
+      );
+    } else if (step.type === "cross") {
+      item.appendChild(
+        document.createTextNode(`Cross ${getDisplayName(targetId)} princess × `)
+      );
+      item.appendChild(speciesLink(step.speciesId));
+      item.appendChild(
+        document.createTextNode(` drone for ${describeTraits(step.traits)}`)
+      );
+    } else {
+      item.textContent = `Backcross with ${getDisplayName(
+        targetId
+      )} drones, keeping offspring with ${describeTraits(
+        step.traits
+      )}, until pure-bred`;
+    }
+    stepList.appendChild(item);
+  });
+  container.appendChild(stepList);
+}
@@ -0,0 +1,56 @@
+/**
+ * General helpers for bee breeding tree visualization
+ */
+
+/**
+ * Format a 0-1 chance as a percentage, keeping small chances readable (0.0005 -> "0.05%")
+ */
+export function formatChance(chance) {
+  if (chance === undefined || chance === null || isNaN(chance)) {
+    return "?";
+  }
+  const percent = chance * 100;
+  return `${parseFloat(percent.toFixed(percent >= 1 ? 1 : 3))}%`;
+}
+
+/**
+ * Format an expected attempt count for display
+ */
+export function formatAttempts(attempts) {
+  if (!Number.isFinite(attempts)) {
+    return "∞";
+  }
+  return attempts >= 10
+    ? Math.round(attempts).toLocaleString()
+    : attempts.toFixed(1);
+}
+
+/**
+ * Build CSV text from an array of rows (arrays of cell values), quoting cells as needed
+ */
+export function toCsv(rows) {
+  return rows
+    .map((row) =>
+      row
+        .map((cell) => {
+          const text = cell === undefined || cell === null ? "" : String(cell);
+          return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(",")
+    )
+    .join("\n");
+}
+
+/**
+ * Offer text content to the user as a file download
+ */
+export function downloadFile(filename, content, mimeType = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
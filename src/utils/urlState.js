@@ -0,0 +1,77 @@
+/**
+ * View state in the URL hash, e.g.
+ * #bee=forestry:imperial&view=faded&layout=layered&filtered=radial&mods=forestry,extrabees&q=temp:HOT&zoom=120,-40,0.8
+ *
+ * Only values that differ from the defaults are written, so a fresh view has
+ * an empty hash.
+ */
+import { config } from "../core/config.js";
+
+/**
+ * @param {Object} state - { bee, faded, layout, filteredLayout, mods, query,
+ *   zoom } where layout is one of config.layoutModes, filteredLayout one of
+ *   config.filteredLayouts, mods is null when every mod is
+ *   enabled and zoom is { x, y, k } or null
+ * @returns {string} Hash without the leading "#"
+ */
+export function encodeViewState(state) {
+  const params = new URLSearchParams();
+  if (state.bee) params.set("bee", state.bee);
+  if (state.faded) params.set("view", "faded");
+  if (state.layout !== config.layoutModes.SPLIT) {
+    params.set("layout", state.layout);
+  }
+  if (state.filteredLayout !== config.filteredLayouts.TREE) {
+    params.set("filtered", state.filteredLayout);
+  }
+  if (state.mods) params.set("mods", state.mods.join(","));
+  if (state.query) params.set("q", state.query);
+  if (state.zoom) {
+    params.set(
+      "zoom",
+      [
+        Math.round(state.zoom.x),
+        Math.round(state.zoom.y),
+        Number(state.zoom.k.toFixed(3)),
+      ].join(",")
+    );
+  }
+  // Keep species IDs and mod lists readable
+  return params.toString().replace(/%3A/g, ":").replace(/%2C/g, ",");
+}
+
+/**
+ * Inverse of encodeViewState. Unknown or malformed values fall back to the
+ * defaults.
+ *
+ * @param {string} hash - window.location.hash, with or without the "#"
+ * @returns {Object} { bee, faded, layout, filteredLayout, mods, query, zoom }
+ */
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const zoomParts = (params.get("zoom") || "").split(",").map(Number);
+  const hasZoom =
+    zoomParts.length === 3 &&
+    zoomParts.every((part) => Number.isFinite(part)) &&
+    zoomParts[2] > 0;
+
+  return {
+    bee: params.get("bee") || null,
+    faded: params.get("view") === "faded",
+    layout: Object.values(config.layoutModes).includes(params.get("layout"))
+      ? params.get("layout")
+      : config.layoutModes.SPLIT,
+    filteredLayout: Object.values(config.filteredLayouts).includes(
+      params.get("filtered")
+    )
+      ? params.get("filtered")
+      : config.filteredLayouts.TREE,
+    mods: params.has("mods")
+      ? params.get("mods").split(",").filter(Boolean)
+      : null,
+    query: params.get("q") || "",
+    zoom: hasZoom
+      ? { x: zoomParts[0], y: zoomParts[1], k: zoomParts[2] }
+      : null,
+  };
+}
@@ -0,0 +1,636 @@
+/**
+ * Canvas backend for large trees.
+ *
+ * Draws the species, links, junctions and products straight from their data
+ * (layout positions, link paths from buildLinkPath) together with a small
+ * state map of flags per item - hidden, highlighted, connected, faded,
+ * selected - that the app hands over with the scene. The SVG tree is still
+ * built and kept up to date, hidden, for export and link titles; the SVG
+ * element itself keeps handling zoom and pointer events.
+ *
+ * The scene is pulled once per frame after requestUpdate, so any number of
+ * changes in one frame cost one update. Pointer lookups use a quadtree of the
+ * node centres built with the scene.
+ */
+import { config } from "../core/config.js";
+import { formatChance } from "../utils/helpers.js";
+import {
+  buildLinkPath,
+  getChanceEncoding,
+  getLinkBadgeType,
+  getLinkChance,
+  getLinkEndpoints,
+} from "./edgeRenderer.js";
+import { getBorderColors } from "./nodeRenderer.js";
+import { buildProductLinkPath } from "./productRenderer.js";
+
+// Styles of the tree elements, as in the stylesheet of index.html
+const styles = {
+  nodeFont: "bold 14px Arial",
+  nodeTextStroke: 3,
+  fadedNodeOpacity: 0.2,
+  unobtainableFillOpacity: 0.4,
+  unobtainableTextColor: "#bbb",
+  lockedFillOpacity: 0.35,
+  sideBorderColor: "#ddd",
+  glows: {
+    highlighted: { color: "rgba(255, 68, 68, 0.5)", blur: 10 },
+    connected: { color: "rgba(68, 255, 68, 0.5)", blur: 8 },
+    pinned: { color: "rgba(0, 0, 0, 0.6)", blur: 6 },
+  },
+  selectionColor: "#ff4444",
+  selectionWidth: 6,
+  selectionOffset: 4.5,
+  linkWidth: 3,
+  highlightedLinkWidth: 5,
+  fadedOpacity: 0.1,
+  infeasibleOpacity: 0.25,
+  infeasibleDash: [4, 4],
+  labelFont: "bold 10px Arial",
+  labelColor: "#333",
+  labelStroke: "white",
+  junctionFill: "white",
+  junctionStroke: "#555",
+  junctionStrokeWidth: 2,
+  badgeFill: "#fff8e1",
+  badgeStroke: "#f57f17",
+  badgeTextColor: "#e65100",
+  productFill: "#fffde7",
+  combFill: "#ffe082",
+  productStroke: "#999",
+  productFont: "10px Arial",
+};
+
+// Inventory rings - owned, breedable now, reachable later (see
+// applyInventoryStyles)
+const inventoryRings = {
+  owned: { stroke: "#ffb300", width: 3, dash: [] },
+  breedable: { stroke: "#2e7d32", width: 3, dash: [8, 4] },
+  reachable: { stroke: "#1e88e5", width: 2, dash: [2, 4] },
+};
+const INVENTORY_RING_OFFSET = 4;
+
+// Extra screen pixels around thin things when hit-testing
+const HIT_TOLERANCE = 3;
+
+// Rectangle with elliptical corners, drawn like the node border paths
+function roundedRect(x, y, width, height, rx, ry) {
+  const path = new Path2D();
+  rx = Math.min(rx, width / 2);
+  ry = Math.min(ry, height / 2);
+  path.moveTo(x + rx, y);
+  path.lineTo(x + width - rx, y);
+  path.quadraticCurveTo(x + width, y, x + width, y + ry);
+  path.lineTo(x + width, y + height - ry);
+  path.quadraticCurveTo(x + width, y + height, x + width - rx, y + height);
+  path.lineTo(x + rx, y + height);
+  path.quadraticCurveTo(x, y + height, x, y + height - ry);
+  path.lineTo(x, y + ry);
+  path.quadraticCurveTo(x, y, x + rx, y);
+  path.closePath();
+  return path;
+}
+
+// Node outline grown by `offset` on every side, corners grown to match
+function nodeOutline(node, offset) {
+  const halfWidth = node.width / 2;
+  const halfHeight = config.nodeHeight / 2;
+  return roundedRect(
+    node.x - halfWidth - offset,
+    node.y - halfHeight - offset,
+    node.width + offset * 2,
+    config.nodeHeight + offset * 2,
+    config.borderRadiusX + (offset * config.borderRadiusX) / halfWidth,
+    config.borderRadiusY + (offset * config.borderRadiusY) / halfHeight
+  );
+}
+
+/**
+ * Border of a node with two or more parents: top and bottom edges in the
+ * colors of the links arriving there, the straight sides in gray
+ */
+function borderSegments(node, topColor, bottomColor) {
+  const left = node.x - node.width / 2;
+  const right = node.x + node.width / 2;
+  const top = node.y - config.nodeHeight / 2;
+  const bottom = node.y + config.nodeHeight / 2;
+  const rx = config.borderRadiusX;
+  const ry = config.borderRadiusY;
+
+  const topPath = new Path2D();
+  topPath.moveTo(left, top + ry);
+  topPath.quadraticCurveTo(left, top, left + rx, top);
+  topPath.lineTo(right - rx, top);
+  topPath.quadraticCurveTo(right, top, right, top + ry);
+
+  const bottomPath = new Path2D();
+  bottomPath.moveTo(right, bottom - ry);
+  bottomPath.quadraticCurveTo(right, bottom, right - rx, bottom);
+  bottomPath.lineTo(left + rx, bottom);
+  bottomPath.quadraticCurveTo(left, bottom, left, bottom - ry);
+
+  const sidesPath = new Path2D();
+  sidesPath.moveTo(left, bottom - ry);
+  sidesPath.lineTo(left, top + ry);
+  sidesPath.moveTo(right, top + ry);
+  sidesPath.lineTo(right, bottom - ry);
+
+  return [
+    { path: topPath, color: topColor },
+    { path: bottomPath, color: bottomColor },
+    { path: sidesPath, color: styles.sideBorderColor },
+  ];
+}
+
+// Points of a path made of M and L commands, like the link paths
+function getPolyline(d) {
+  const numbers = (d.match(/-?[\d.]+(?:e-?\d+)?/g) || []).map(Number);
+  const points = [];
+  for (let index = 0; index + 1 < numbers.length; index += 2) {
+    points.push([numbers[index], numbers[index + 1]]);
+  }
+  return points;
+}
+
+// Distance from a point to the segment between two points
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)
+        );
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+export class CanvasRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - Drawn on, sized to the SVG
+   * @param {SVGSVGElement} svg - Keeps handling zoom and pointer events
+   * @param {Function} getScene - Returns what to draw: { nodes, links,
+   *   junctions, productNodes, productLinks, state, nodeMap, junctionMap,
+   *   productMap, nodeColors, borderLinks, chanceEncoding }, where `state`
+   *   maps each datum to its flags and `borderLinks` groups the links that
+   *   color node borders by target
+   */
+  constructor(canvas, svg, getScene) {
+    this.canvas = canvas;
+    this.svg = svg;
+    this.getScene = getScene;
+    this.context =
+      typeof Path2D === "undefined" ? null : canvas.getContext("2d");
+    this.isActive = false;
+    this.layers = []; // Items of the last scene, in paint order
+    this.nodeIndex = null; // Quadtree of the shown nodes' centres
+    this.junctionIndex = null; // Quadtree of the shown junctions
+    this.linkItems = []; // Shown links, topmost first, for hit-testing
+    this.maxHalfWidth = 0; // Of the shown nodes, bounds quadtree searches
+    this.nodeOrder = new Map(); // Node datum -> paint position
+    this.needsUpdate = true;
+    this.frame = null;
+  }
+
+  /**
+   * Whether the browser can draw the tree on a canvas at all
+   */
+  get isSupported() {
+    return this.context !== null;
+  }
+
+  /**
+   * Switch between canvas and plain SVG rendering
+   */
+  setActive(active) {
+    active = active && this.isSupported;
+    if (active === this.isActive) return;
+    this.isActive = active;
+
+    this.svg.classList.toggle("canvas-mode", active);
+    this.canvas.style.display = active ? "block" : "none";
+    if (active) {
+      this.requestUpdate();
+    } else if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Pull the scene again and repaint on the next frame, after anything was
+   * moved, shown, hidden or restyled
+   */
+  requestUpdate() {
+    this.needsUpdate = true;
+    this.requestPaint();
+  }
+
+  /**
+   * Repaint the last scene on the next frame, e.g. after zooming. Several
+   * requests in one frame are painted once.
+   */
+  requestPaint() {
+    if (!this.isActive || this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      if (this.needsUpdate) {
+        this.update();
+      }
+      this.paint();
+    });
+  }
+
+  /**
+   * Turn the scene into drawable items in paint order and index the shown
+   * nodes, junctions and links for pointer lookups
+   */
+  update() {
+    this.needsUpdate = false;
+    const scene = this.getScene();
+    const stateOf = (d) => scene.state.get(d) || {};
+    const isShown = (d) => !stateOf(d).hidden;
+    const isRaised = (d) =>
+      stateOf(d).highlighted || stateOf(d).connected || stateOf(d).selected;
+
+    const links = scene.links.filter(isShown).map((d) => {
+      const state = stateOf(d);
+      const path = buildLinkPath(d, scene.nodeMap, scene.junctionMap);
+      const encoding =
+        scene.chanceEncoding && !state.highlighted
+          ? getChanceEncoding(getLinkChance(d, scene.nodeMap))
+          : null;
+      const plainWidth = encoding ? encoding.width : styles.linkWidth;
+      const points = getPolyline(path);
+      const ends = getLinkEndpoints(d, scene.nodeMap, scene.junctionMap);
+      return {
+        d,
+        state,
+        path: new Path2D(path),
+        points,
+        color: scene.junctionMap.has(d.source)
+          ? config.junctionLinkColor
+          : config.availableColors[scene.nodeColors[d.source] || 0],
+        width: state.highlighted ? styles.highlightedLinkWidth : plainWidth,
+        strokeOpacity: encoding ? encoding.opacity : 1,
+        badge: getLinkBadgeType(d, scene.nodeMap),
+        label:
+          state.labelled && getLinkChance(d, scene.nodeMap) !== null
+            ? formatChance(getLinkChance(d, scene.nodeMap))
+            : null,
+        labelX: ends.targetX - ends.targetStraight - 2,
+        labelY: ends.targetY - 3,
+      };
+    });
+    const junctions = scene.junctions
+      .filter(isShown)
+      .map((d) => ({ d, state: stateOf(d) }));
+    const nodes = scene.nodes.filter(isShown).map((d) => {
+      const inputLinks = scene.borderLinks.get(d.id) || [];
+      return {
+        d,
+        state: stateOf(d),
+        fill:
+          d.children.length === 0
+            ? "#000000"
+            : config.availableColors[scene.nodeColors[d.id] || 0],
+        inputCount: inputLinks.length,
+        ...getBorderColors(inputLinks, scene.nodeMap, scene.nodeColors),
+      };
+    });
+    const productLinks = scene.productLinks.filter(isShown).map((d) => ({
+      d,
+      state: stateOf(d),
+      path: new Path2D(
+        buildProductLinkPath(d, scene.nodeMap, scene.productMap)
+      ),
+    }));
+    const productNodes = scene.productNodes
+      .filter(isShown)
+      .map((d) => ({ d, state: stateOf(d) }));
+
+    // Highlighting raises links, junctions and nodes above everything else
+    const lower = (items) => items.filter((item) => !isRaised(item.d));
+    const raise = (items) => items.filter((item) => isRaised(item.d));
+    this.layers = [
+      ...lower(links).map((item) => ["link", item]),
+      ...links.filter((item) => item.label).map((item) => ["label", item]),
+      ...lower(junctions).map((item) => ["junction", item]),
+      ...productLinks.map((item) => ["productLink", item]),
+      ...productNodes.map((item) => ["productNode", item]),
+      ...lower(nodes).map((item) => ["node", item]),
+      ...raise(links).map((item) => ["link", item]),
+      ...raise(junctions).map((item) => ["junction", item]),
+      ...raise(nodes).map((item) => ["node", item]),
+    ];
+
+    const shownNodes = nodes.map((item) => item.d);
+    this.nodeIndex = d3.quadtree(
+      shownNodes,
+      (d) => d.x,
+      (d) => d.y
+    );
+    this.maxHalfWidth = d3.max(shownNodes, (d) => d.width / 2) || 0;
+    this.junctionIndex = d3.quadtree(
+      junctions.map((item) => item.d),
+      (d) => d.x,
+      (d) => d.y
+    );
+    this.nodeOrder = new Map(
+      this.layers
+        .filter(([type]) => type === "node")
+        .map(([, item], index) => [item.d, index])
+    );
+    this.linkItems = this.layers
+      .filter(([type]) => type === "link")
+      .map(([, item]) => item)
+      .reverse();
+  }
+
+  syncSize() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.svg.clientWidth;
+    const height = this.svg.clientHeight;
+    if (
+      this.canvas.width !== Math.round(width * ratio) ||
+      this.canvas.height !== Math.round(height * ratio)
+    ) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+    }
+    return ratio;
+  }
+
+  paint() {
+    const ratio = this.syncSize();
+    const context = this.context;
+    const { x, y, k } = d3.zoomTransform(this.svg);
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    context.setTransform(ratio * k, 0, 0, ratio * k, ratio * x, ratio * y);
+
+    // Shadows are not transformed, so their sizes go from tree units to pixels
+    const scale = ratio * k;
+    const draw = {
+      link: (item) => this.drawLink(item),
+      label: (item) => this.drawLabel(item),
+      junction: (item) => this.drawJunction(item),
+      productLink: (item) => this.drawProductLink(item),
+      productNode: (item) => this.drawProductNode(item),
+      node: (item) => this.drawNode(item, scale),
+    };
+    this.layers.forEach(([type, item]) => {
+      context.save();
+      draw[type](item);
+      context.restore();
+    });
+  }
+
+  drawLink({ state, path, points, color, width, strokeOpacity, badge }) {
+    const context = this.context;
+    let opacity = state.faded ? styles.fadedOpacity : 1;
+    if (state.infeasible) opacity = styles.infeasibleOpacity; // Wins, as in CSS
+    context.globalAlpha = opacity * strokeOpacity;
+    context.strokeStyle = color;
+    context.lineWidth = width;
+    context.lineJoin = "round";
+    context.setLineDash(state.infeasible ? styles.infeasibleDash : []);
+    context.stroke(path);
+
+    // Requirement badge just before the straight end of the link
+    if (!badge || points.length === 0) return;
+    const [endX, endY] = points[points.length - 1];
+    const radius = config.requirementBadgeRadius;
+    const badgeX = endX - config.straightLength - radius;
+    const circle = new Path2D();
+    circle.arc(badgeX, endY, radius, 0, Math.PI * 2);
+    context.globalAlpha = opacity;
+    context.setLineDash([]);
+    context.fillStyle = styles.badgeFill;
+    context.fill(circle);
+    context.strokeStyle = styles.badgeStroke;
+    context.lineWidth = 1.5;
+    context.stroke(circle);
+    context.font = `bold ${radius * 1.4}px Arial`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillStyle = styles.badgeTextColor;
+    context.fillText(config.requirementBadges[badge], badgeX, endY);
+  }
+
+  // Chance printed just before the child end of a link
+  drawLabel({ state, label, labelX, labelY }) {
+    const context = this.context;
+    context.globalAlpha = state.faded ? styles.fadedOpacity : 1;
+    context.font = styles.labelFont;
+    context.textAlign = "right";
+    context.textBaseline = "alphabetic";
+    context.lineJoin = "round";
+    context.lineWidth = 3;
+    context.strokeStyle = styles.labelStroke;
+    context.strokeText(label, labelX, labelY);
+    context.fillStyle = styles.labelColor;
+    context.fillText(label, labelX, labelY);
+  }
+
+  drawJunction({ d, state }) {
+    const context = this.context;
+    const circle = new Path2D();
+    circle.arc(d.x, d.y, config.junctionRadius, 0, Math.PI * 2);
+    context.globalAlpha = state.faded ? styles.fadedOpacity : 1;
+    context.fillStyle = styles.junctionFill;
+    context.fill(circle);
+    context.strokeStyle = state.highlighted
+      ? styles.selectionColor
+      : styles.junctionStroke;
+    context.lineWidth = styles.junctionStrokeWidth;
+    context.stroke(circle);
+  }
+
+  drawProductLink({ d, state, path }) {
+    const context = this.context;
+    context.globalAlpha = state.faded ? styles.fadedOpacity : 1;
+    context.strokeStyle = d.isSpecialty
+      ? config.specialtyLinkColor
+      : config.productLinkColor;
+    context.lineWidth = 1;
+    context.stroke(path);
+  }
+
+  drawProductNode({ d, state }) {
+    const context = this.context;
+    const height = config.productNodeHeight;
+    const rect = roundedRect(
+      d.x - d.width / 2,
+      d.y - height / 2,
+      d.width,
+      height,
+      height / 2,
+      height / 2
+    );
+    context.globalAlpha = state.faded ? styles.fadedOpacity : 1;
+    context.fillStyle = d.isComb ? styles.combFill : styles.productFill;
+    context.fill(rect);
+    context.strokeStyle = state.highlighted
+      ? styles.selectionColor
+      : styles.productStroke;
+    context.lineWidth = state.highlighted ? 2 : 1;
+    context.stroke(rect);
+    context.font = styles.productFont;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillStyle = styles.labelColor;
+    context.fillText(d.name, d.x, d.y);
+  }
+
+  /**
+   * Species node: inventory ring, colored box with its glow, border in the
+   * colors of its parents, name and the selection outline
+   */
+  drawNode({ d, state, fill, inputCount, topColor, bottomColor }, scale) {
+    const context = this.context;
+    context.globalAlpha = state.faded ? styles.fadedNodeOpacity : 1;
+    context.lineJoin = "round";
+
+    const ring = inventoryRings[state.inventory];
+    if (ring) {
+      context.strokeStyle = ring.stroke;
+      context.lineWidth = ring.width;
+      context.setLineDash(ring.dash);
+      context.stroke(nodeOutline(d, INVENTORY_RING_OFFSET));
+      context.setLineDash([]);
+    }
+
+    const box = nodeOutline(d, 0);
+    let fillOpacity = state.unobtainable ? styles.unobtainableFillOpacity : 1;
+    if (state.inventory === "locked") fillOpacity = styles.lockedFillOpacity;
+    const glow =
+      styles.glows[
+        ["highlighted", "connected", "pinned"].find((flag) => state[flag])
+      ];
+    context.save();
+    context.globalAlpha *= fillOpacity;
+    context.fillStyle = fill;
+    if (glow) {
+      context.shadowColor = glow.color;
+      context.shadowBlur = glow.blur * scale;
+    }
+    context.fill(box);
+    context.restore();
+
+    context.lineWidth = config.borderWidth;
+    if (inputCount < 2) {
+      context.strokeStyle = topColor;
+      context.stroke(box);
+    } else {
+      borderSegments(d, topColor, bottomColor).forEach((segment) => {
+        context.strokeStyle = segment.color;
+        context.stroke(segment.path);
+      });
+    }
+
+    const name = (d.name || d.id).toUpperCase();
+    const textY = d.y + 14 * 0.35;
+    context.font = styles.nodeFont;
+    context.textAlign = "center";
+    context.textBaseline = "alphabetic";
+    context.lineWidth = styles.nodeTextStroke;
+    context.strokeStyle = "black";
+    context.strokeText(name, d.x, textY);
+    context.fillStyle = state.unobtainable
+      ? styles.unobtainableTextColor
+      : "white";
+    context.fillText(name, d.x, textY);
+
+    if (state.selected) {
+      context.strokeStyle = styles.selectionColor;
+      context.lineWidth = styles.selectionWidth;
+      context.stroke(nodeOutline(d, styles.selectionOffset));
+    }
+  }
+
+  /**
+   * Pointer position in tree coordinates, and the tolerance in tree units
+   */
+  toTreePoint(clientX, clientY) {
+    const bounds = this.canvas.getBoundingClientRect();
+    const transform = d3.zoomTransform(this.svg);
+    return {
+      point: transform.invert([clientX - bounds.left, clientY - bounds.top]),
+      tolerance: HIT_TOLERANCE / transform.k,
+    };
+  }
+
+  /**
+   * Topmost shown species node under a pointer position
+   *
+   * @param {number} clientX - Pointer position in the page
+   * @param {number} clientY
+   * @returns {Object|null} The node's datum
+   */
+  findNode(clientX, clientY) {
+    if (!this.isActive || !this.nodeIndex) return null;
+    const { point } = this.toTreePoint(clientX, clientY);
+    const [x, y] = point;
+    const halfWidth = this.maxHalfWidth;
+    const halfHeight = config.nodeHeight / 2;
+
+    let hit = null;
+    this.nodeIndex.visit((quad, x0, y0, x1, y1) => {
+      if (!quad.length) {
+        do {
+          const d = quad.data;
+          if (
+            Math.abs(x - d.x) <= d.width / 2 &&
+            Math.abs(y - d.y) <= halfHeight &&
+            (!hit || this.nodeOrder.get(d) > this.nodeOrder.get(hit))
+          ) {
+            hit = d;
+          }
+        } while ((quad = quad.next));
+      }
+      // Skip quadrants whose nodes cannot reach the point
+      return (
+        x0 > x + halfWidth ||
+        x1 < x - halfWidth ||
+        y0 > y + halfHeight ||
+        y1 < y - halfHeight
+      );
+    });
+    return hit;
+  }
+
+  /**
+   * Topmost species node, junction or link under a pointer position
+   *
+   * @returns {Object|null} { type: "node"|"junction"|"link", datum }
+   */
+  findItem(clientX, clientY) {
+    const node = this.findNode(clientX, clientY);
+    if (node) return { type: "node", datum: node };
+    if (!this.isActive || !this.junctionIndex) return null;
+
+    const { point, tolerance } = this.toTreePoint(clientX, clientY);
+    const junction = this.junctionIndex.find(
+      point[0],
+      point[1],
+      config.junctionRadius + tolerance
+    );
+    if (junction) return { type: "junction", datum: junction };
+
+    const link = this.linkItems.find((item) =>
+      item.points.some(
+        (end, index) =>
+          index > 0 &&
+          distanceToSegment(point, item.points[index - 1], end) <=
+            item.width / 2 + tolerance
+      )
+    );
+    return link ? { type: "link", datum: link.d } : null;
+  }
+}
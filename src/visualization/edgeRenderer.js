@@ -2,6 +2,273 @@
  * Edge rendering for bee breeding tree visualization
  */
 import { config } from "../core/config.js";
+import {
+  getRequirementTypes,
+  summarizeRequirements,
+} from "../data/requirements.js";
+import { formatChance } from "../utils/helpers.js";
+
+/**
+ * Mutation behind a breeding link (links carry the index into the child's mutations)
+ */
+export function getLinkMutation(link, nodeMap) {
+  const target = nodeMap.get(link.target);
+  if (!target || !target.mutations || link.mutationIndex === undefined) {
+    return null;
+  }
+  return target.mutations[link.mutationIndex] || null;
+}
+
+/**
+ * Mutation chance a link stands for, or null for links into a junction
+ */
+export function getLinkChance(link, nodeMap) {
+  if (link.chance !== undefined) {
+    return link.chance;
+  }
+  const mutation = getLinkMutation(link, nodeMap);
+  return mutation && mutation.chance !== undefined ? mutation.chance : null;
+}
+
+/**
+ * Badge type for a link: the single condition type, "multiple", or null when unrestricted
+ */
+export function getLinkBadgeType(link, nodeMap) {
+  const mutation = getLinkMutation(link, nodeMap);
+  if (!mutation) return null;
+
+  const types = getRequirementTypes(mutation.requirements).filter(
+    (type) => config.requirementBadges[type]
+  );
+  if (types.length === 0) return null;
+  return types.length === 1 ? types[0] : "multiple";
+}
+
+/**
+ * Add one marker per badge type. Markers follow the path end, so badges stay
+ * attached when link paths are recalculated for the filtered view.
+ */
+function renderRequirementBadgeMarkers(svg) {
+  const radius = config.requirementBadgeRadius;
+  // Badge sits just before the straight segment that enters the child node
+  const offset = config.straightLength + radius;
+
+  const defs = svg.append("defs").attr("class", "requirement-badge-defs");
+
+  Object.entries(config.requirementBadges).forEach(([type, glyph]) => {
+    const marker = defs
+      .append("marker")
+      .attr("id", `requirement-badge-${type}`)
+      .attr("markerUnits", "userSpaceOnUse")
+      .attr("markerWidth", radius * 2 + 2)
+      .attr("markerHeight", radius * 2 + 2)
+      .attr(
+        "viewBox",
+        `${-radius - 1} ${-radius - 1} ${radius * 2 + 2} ${radius * 2 + 2}`
+      )
+      .attr("refX", offset)
+      .attr("refY", 0)
+      .attr("orient", "0");
+
+    marker
+      .append("circle")
+      .attr("r", radius)
+      .attr("fill", "#fff8e1")
+      .attr("stroke", "#f57f17")
+      .attr("stroke-width", 1.5);
+
+    marker
+      .append("text")
+      .attr("text-anchor", "middle")
+      .attr("dy", "0.35em")
+      .attr("font-size", radius * 1.4)
+      .attr("font-weight", "bold")
+      .attr("fill", "#e65100")
+      .text(glyph);
+  });
+}
+
+/**
+ * Node or junction at one end of a link
+ */
+function getEndpoint(id, nodeMap, junctionMap) {
+  return junctionMap.get(id) || nodeMap.get(id);
+}
+
+/**
+ * Connection points of a link. Links attach to the straight sides of species
+ * nodes and to the centre of junctions.
+ */
+export function getLinkEndpoints(d, nodeMap, junctionMap = new Map()) {
+  const sourceJunction = junctionMap.get(d.source);
+  const targetJunction = junctionMap.get(d.target);
+  const source = getEndpoint(d.source, nodeMap, junctionMap);
+  const target = getEndpoint(d.target, nodeMap, junctionMap);
+
+  return {
+    sourceX: sourceJunction ? source.x : source.x + (source.width || 120) / 2, // Right edge of source
+    sourceY: source.y,
+    targetX: targetJunction
+      ? target.x
+      : target.x - (target.width || 120) / 2 + 3, // Left edge of target
+    targetY: target.y + (d.targetYOffset || 0),
+    sourceStraight: sourceJunction ? 0 : config.straightLength,
+    targetStraight: targetJunction ? 0 : config.straightLength,
+  };
+}
+
+// Route of the parent -> child edge from the layered layout, if any
+function getRoute(nodeMap, childId, parentId) {
+  const child = nodeMap.get(childId);
+  return (child && child.edgeWaypoints && child.edgeWaypoints[parentId]) || [];
+}
+
+/**
+ * Points a link passes on its way through the columns between its ends, set
+ * by the layered layout (empty otherwise). With junctions the route of a
+ * parent to the junction's children is split at the junction.
+ */
+function getLinkWaypoints(d, nodeMap, junctionMap) {
+  const targetJunction = junctionMap.get(d.target);
+  if (targetJunction) {
+    const route =
+      targetJunction.outputs
+        .map((output) => getRoute(nodeMap, output.child, d.source))
+        .find((points) => points.length > 0) || [];
+    return route.filter(([x]) => x < targetJunction.x);
+  }
+
+  const sourceJunction = junctionMap.get(d.source);
+  if (sourceJunction) {
+    // Only the rightmost parent can have columns left to cross
+    const parentId = sourceJunction.parents.reduce((rightmost, id) =>
+      nodeMap.get(id).x > nodeMap.get(rightmost).x ? id : rightmost
+    );
+    return getRoute(nodeMap, d.target, parentId).filter(
+      ([x]) => x > sourceJunction.x
+    );
+  }
+
+  return getRoute(nodeMap, d.target, d.source);
+}
+
+/**
+ * Path for a link: horizontal from source -> straight diagonal (through any
+ * waypoints) -> horizontal to target
+ */
+export function buildLinkPath(d, nodeMap, junctionMap = new Map()) {
+  const ends = getLinkEndpoints(d, nodeMap, junctionMap);
+
+  // Add horizontal segments extending from nodes
+  const sourceXStraight = ends.sourceX + ends.sourceStraight;
+  const targetXStraight = ends.targetX - ends.targetStraight;
+  const waypoints = getLinkWaypoints(d, nodeMap, junctionMap)
+    .map(([x, y]) => ` L${x},${y}`)
+    .join("");
+
+  return `M${ends.sourceX},${ends.sourceY} L${sourceXStraight},${ends.sourceY}${waypoints} L${targetXStraight},${ends.targetY} L${ends.targetX},${ends.targetY}`;
+}
+
+/**
+ * Spread links entering the same node vertically, ordered by the Y they
+ * arrive from (source, or last waypoint of a routed link) so they don't
+ * cross. Links into a junction all meet at its centre.
+ */
+export function assignTargetOffsets(links, nodeMap, junctionMap = new Map()) {
+  const arrivalY = (link) => {
+    const waypoints = getLinkWaypoints(link, nodeMap, junctionMap);
+    return waypoints.length > 0
+      ? waypoints[waypoints.length - 1][1]
+      : getEndpoint(link.source, nodeMap, junctionMap).y;
+  };
+
+  d3.group(links, (d) => d.target).forEach((targetLinks, targetId) => {
+    if (targetLinks.length === 1 || junctionMap.has(targetId)) {
+      targetLinks.forEach((link) => {
+        link.targetYOffset = 0;
+      });
+      return;
+    }
+
+    const spacing = config.spacing;
+    const totalHeight = (targetLinks.length - 1) * spacing;
+
+    targetLinks
+      .slice()
+      .sort((a, b) => arrivalY(a) - arrivalY(b))
+      .forEach((link, index) => {
+        link.targetYOffset = index * spacing - totalHeight / 2;
+      });
+  });
+}
+
+/**
+ * Text labels printed just before the child end of a link. Positions are
+ * refreshed with positionLinkLabels whenever the link paths move.
+ */
+function renderLinkLabels(linkGroup, links, getText) {
+  return linkGroup
+    .append("g")
+    .attr("class", "link-labels")
+    .selectAll(".link-label")
+    .data(links.filter((d) => getText(d) !== null))
+    .join("text")
+    .attr("class", "link-label")
+    .attr("text-anchor", "end")
+    .attr("dy", -3)
+    .text(getText);
+}
+
+export function positionLinkLabels(
+  linkLabel,
+  nodeMap,
+  junctionMap = new Map()
+) {
+  linkLabel
+    .attr("x", (d) => {
+      const { targetX, targetStraight } = getLinkEndpoints(
+        d,
+        nodeMap,
+        junctionMap
+      );
+      return targetX - targetStraight - 2;
+    })
+    .attr("y", (d) => getLinkEndpoints(d, nodeMap, junctionMap).targetY);
+}
+
+/**
+ * Link width and opacity for a mutation chance (log scale, since chances
+ * range from a fraction of a percent to over half)
+ *
+ * @returns {Object|null} { width, opacity }, or null without a chance
+ */
+export function getChanceEncoding(chance) {
+  if (chance === null || !(chance > 0)) return null;
+  const { minChance, maxChance, minWidth, maxWidth, minOpacity, maxOpacity } =
+    config.chanceEncoding;
+  const scale = (range) =>
+    d3.scaleLog().domain([minChance, maxChance]).range(range).clamp(true);
+  return {
+    width: scale([minWidth, maxWidth])(chance),
+    opacity: scale([minOpacity, maxOpacity])(chance),
+  };
+}
+
+/**
+ * Scale link width and opacity with the mutation chance, see
+ * getChanceEncoding. Pass enabled = false to go back to the uniform
+ * stylesheet width.
+ */
+export function applyChanceEncoding(link, nodeMap, enabled) {
+  link.each(function (d) {
+    const encoding = enabled
+      ? getChanceEncoding(getLinkChance(d, nodeMap))
+      : null;
+    d3.select(this)
+      .style("stroke-width", encoding ? `${encoding.width}px` : null)
+      .style("stroke-opacity", encoding ? encoding.opacity : null);
+  });
+}
 
 export function renderEdges(
   svg,
@@ -9,7 +276,8 @@ export function renderEdges(
   nodes,
   nodeMap,
   nodeColors,
-  layoutMode = "split"
+  layoutMode = "split",
+  junctionMap = new Map()
 ) {
   console.log("renderEdges called with layoutMode:", layoutMode);
 
@@ -20,56 +288,25 @@ export function renderEdges(
     `Original links: ${links.length}, Filtered links: ${filteredLinks.length}, Layout mode: ${layoutMode}`
   );
 
-  // Group links by target to calculate input connection offsets
-  const linksByTarget = d3.group(filteredLinks, (d) => d.target);
+  // Calculate vertical offsets to minimize crossings
+  const linksWithData = filteredLinks.map((d) => ({ ...d, targetYOffset: 0 }));
+  assignTargetOffsets(linksWithData, nodeMap, junctionMap);
 
   // Calculate enhanced data for links including intersection priorities
-  const linksWithData = filteredLinks.map((d) => {
-    const source = nodeMap.get(d.source);
-    const target = nodeMap.get(d.target);
-    const sourceWidth = source.width || 120;
-    const targetWidth = target.width || 120;
-
-    return {
-      ...d,
-      sourceX: source.x + sourceWidth / 2,
-      sourceY: source.y,
-      targetX: target.x - targetWidth / 2 + 3,
-      targetY: target.y, // Will be updated below with offset
-      targetYOffset: 0, // Will be calculated below
+  linksWithData.forEach((d) => {
+    const { sourceX, sourceY, targetX, targetY } = getLinkEndpoints(
+      d,
+      nodeMap,
+      junctionMap
+    );
+    Object.assign(d, {
+      sourceX,
+      sourceY,
+      targetX,
+      targetY,
       distanceFromSource:
-        Math.abs(source.x + sourceWidth / 2 - target.x) +
-        Math.abs(source.y - target.y),
-    };
-  });
-
-  // Calculate vertical offsets to minimize crossings
-  linksByTarget.forEach((targetLinks, targetId) => {
-    if (targetLinks.length > 1) {
-      // Sort parent links by their source Y position to minimize crossings
-      const sortedLinks = targetLinks
-        .map((link) => {
-          const linkData = linksWithData.find(
-            (ld) => ld.source === link.source && ld.target === link.target
-          );
-          return {
-            link,
-            linkData,
-            sourceY: linkData.sourceY,
-          };
-        })
-        .sort((a, b) => a.sourceY - b.sourceY);
-
-      // Assign vertical offsets based on sorted order
-      const spacing = config.spacing;
-      const totalHeight = (sortedLinks.length - 1) * spacing;
-
-      sortedLinks.forEach((item, index) => {
-        const targetYOffset = index * spacing - totalHeight / 2;
-        item.linkData.targetYOffset = targetYOffset;
-        item.linkData.targetY = nodeMap.get(targetId).y + targetYOffset;
-      });
-    }
+        Math.abs(sourceX - targetX) + Math.abs(sourceY - targetY),
+    });
   });
 
   // Function to find intersection point between two lines
@@ -123,45 +360,65 @@ export function renderEdges(
     }
 
     // No intersection - use generation distance as fallback
-    const aGenDist = Math.abs(
-      nodeMap.get(a.target).generation - nodeMap.get(a.source).generation
-    );
-    const bGenDist = Math.abs(
-      nodeMap.get(b.target).generation - nodeMap.get(b.source).generation
-    );
+    const generationOf = (id) =>
+      getEndpoint(id, nodeMap, junctionMap).generation;
+    const aGenDist = Math.abs(generationOf(a.target) - generationOf(a.source));
+    const bGenDist = Math.abs(generationOf(b.target) - generationOf(b.source));
     return aGenDist - bGenDist;
   });
 
   // Create links in the link group
   const linkGroup = svg.append("g").attr("class", "links");
 
+  renderRequirementBadgeMarkers(linkGroup);
+
   const link = linkGroup
     .selectAll(".link")
     .data(linksWithData)
     .join("path")
     .attr("class", "link")
-    .attr("d", (d) => {
-      const source = nodeMap.get(d.source);
-      const target = nodeMap.get(d.target);
-      const sourceWidth = source.width || 120;
-      const targetWidth = target.width || 120;
-
-      const targetY = target.y + d.targetYOffset;
-
-      // Connect to the straight sides of rounded rectangles
-      const sourceX = source.x + sourceWidth / 2; // Right edge of source
-      const targetX = target.x - targetWidth / 2 + 3; // Left edge of target
-
-      // Add horizontal segments extending from nodes
-      const sourceXStraight = sourceX + config.straightLength;
-      const targetXStraight = targetX - config.straightLength;
-
-      // Create path: horizontal from source -> straight diagonal -> horizontal to target
-      return `M${sourceX},${source.y} L${sourceXStraight},${source.y} L${targetXStraight},${targetY} L${targetX},${targetY}`;
-    })
+    .classed("junction-link", (d) => d.type !== "breeding")
+    .attr("d", (d) => buildLinkPath(d, nodeMap, junctionMap))
     .style("stroke", (d) => {
+      // Links out of a junction belong to both parents, so they get a neutral colour
+      if (junctionMap.has(d.source)) {
+        return config.junctionLinkColor;
+      }
       return config.availableColors[nodeColors[d.source] || 0];
     });
 
-  return { linkGroup, link };
+  // Badge restricted mutations and describe their conditions on hover
+  link
+    .classed("restricted", (d) => getLinkBadgeType(d, nodeMap) !== null)
+    .attr("marker-end", (d) => {
+      const badgeType = getLinkBadgeType(d, nodeMap);
+      return badgeType ? `url(#requirement-badge-${badgeType})` : null;
+    });
+
+  // Hovering a mutation link shows its chance and any conditions
+  link
+    .filter((d) => getLinkChance(d, nodeMap) !== null)
+    .append("title")
+    .text((d) => {
+      const source = getEndpoint(d.source, nodeMap, junctionMap);
+      const target = nodeMap.get(d.target);
+      const mutation = getLinkMutation(d, nodeMap);
+      const summary = mutation
+        ? summarizeRequirements(mutation.requirements)
+        : "";
+      return `${source.name || d.source} → ${
+        target.name || d.target
+      }: ${formatChance(getLinkChance(d, nodeMap))}${
+        summary ? `\n${summary}` : ""
+      }`;
+    });
+
+  // Chance labels at the child end; the app decides which ones are shown
+  const linkLabel = renderLinkLabels(linkGroup, linksWithData, (d) => {
+    const chance = getLinkChance(d, nodeMap);
+    return chance === null ? null : formatChance(chance);
+  });
+  positionLinkLabels(linkLabel, nodeMap, junctionMap);
+
+  return { linkGroup, link, linkLabel };
 }
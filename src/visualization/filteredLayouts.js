@@ -0,0 +1,162 @@
+/**
+ * Radial and force-directed layouts for the filtered view of a lineage. Both
+ * keep the anchor species where it is, so the view stays in place when
+ * switching between them.
+ */
+import { config } from "../core/config.js";
+
+// Parent -> child pairs between the given species
+function getLineageLinks(nodes) {
+  const ids = new Set(nodes.map((node) => node.id));
+  return nodes.flatMap((node) =>
+    (node.parents || [])
+      .filter((parentId) => ids.has(parentId))
+      .map((parentId) => ({ source: parentId, target: node.id }))
+  );
+}
+
+// Number of steps from the start species to every species reached by
+// following `next`
+function getDistances(startId, next) {
+  const distances = new Map([[startId, 0]]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    next(id).forEach((nextId) => {
+      if (!distances.has(nextId)) {
+        distances.set(nextId, distances.get(id) + 1);
+        queue.push(nextId);
+      }
+    });
+  }
+  distances.delete(startId);
+  return distances;
+}
+
+// Mean of angles, or null for none
+function meanAngle(angles) {
+  if (angles.length === 0) return null;
+  return Math.atan2(
+    d3.sum(angles, (angle) => Math.sin(angle)),
+    d3.sum(angles, (angle) => Math.cos(angle))
+  );
+}
+
+/**
+ * Put the anchor species at the center, its ancestors on the inner rings
+ * (one ring per generation back) and its descendants on the rings outside
+ * them. Species that are neither, like the partners on a breeding path, go
+ * on the outer rings by their distance from the anchor.
+ *
+ * @param {Array} nodes - Species of the filtered view, including the anchor
+ * @param {Object} anchorNode - Species at the center, stays where it is
+ */
+export function positionRadialLayout(nodes, anchorNode) {
+  const neighbours = new Map(nodes.map((node) => [node.id, [[], []]]));
+  getLineageLinks(nodes).forEach((link) => {
+    neighbours.get(link.target)[0].push(link.source);
+    neighbours.get(link.source)[1].push(link.target);
+  });
+  const parentsOf = (id) => neighbours.get(id)[0];
+  const childrenOf = (id) => neighbours.get(id)[1];
+
+  const ancestors = getDistances(anchorNode.id, parentsOf);
+  const descendants = getDistances(anchorNode.id, childrenOf);
+  const others = getDistances(anchorNode.id, (id) => [
+    ...parentsOf(id),
+    ...childrenOf(id),
+  ]);
+  const ancestorRings = Math.max(0, ...ancestors.values());
+  const outerRing = ancestorRings + Math.max(0, ...others.values()) + 1;
+
+  const getRing = (node) => {
+    if (ancestors.has(node.id)) return ancestors.get(node.id);
+    if (descendants.has(node.id)) {
+      return ancestorRings + descendants.get(node.id);
+    }
+    if (others.has(node.id)) return ancestorRings + others.get(node.id);
+    return outerRing; // Not linked to the anchor at all
+  };
+  const rings = d3
+    .groups(
+      nodes.filter((node) => node !== anchorNode),
+      getRing
+    )
+    .sort((a, b) => a[0] - b[0])
+    .map(([, ringNodes]) => ringNodes);
+
+  const centerX = anchorNode.x;
+  const centerY = anchorNode.y;
+  const angles = new Map();
+  let radius = 0;
+
+  rings.forEach((ringNodes) => {
+    // Wide enough for the ring's species, outside the previous ring
+    radius = Math.max(
+      radius + config.radial.ringSpacing,
+      (ringNodes.length * config.radial.nodeArc) / (2 * Math.PI)
+    );
+
+    // Aim each species at its species on the inner rings; the inner ring
+    // keeps the directions the species have from the anchor right now
+    const desired = ringNodes.map((node) => {
+      const placedAngles = [...parentsOf(node.id), ...childrenOf(node.id)]
+        .filter((id) => angles.has(id))
+        .map((id) => angles.get(id));
+      const angle = meanAngle(placedAngles);
+      return {
+        node,
+        angle:
+          angle !== null
+            ? angle
+            : Math.atan2(node.y - centerY, node.x - centerX),
+      };
+    });
+    desired.sort(
+      (a, b) => a.angle - b.angle || a.node.id.localeCompare(b.node.id)
+    );
+
+    // Evenly spaced, turned to match the desired angles as well as possible
+    const step = (2 * Math.PI) / desired.length;
+    const offset = meanAngle(
+      desired.map((entry, index) => entry.angle - index * step)
+    );
+    desired.forEach((entry, index) => {
+      const angle = offset + index * step;
+      angles.set(entry.node.id, angle);
+      entry.node.x = centerX + radius * Math.cos(angle);
+      entry.node.y = centerY + radius * Math.sin(angle);
+    });
+  });
+}
+
+/**
+ * Force simulation over the species of the filtered view, starting from
+ * their current positions: linked species attract, the rest repel and no two
+ * overlap. The anchor is pinned in place; pin others by setting fx/fy.
+ *
+ * @param {Array} nodes - Species of the filtered view, including the anchor
+ * @param {Object} anchorNode - Species that stays where it is
+ * @returns {Object} The running d3 simulation
+ */
+export function createForceLayout(nodes, anchorNode) {
+  anchorNode.fx = anchorNode.x;
+  anchorNode.fy = anchorNode.y;
+
+  return d3
+    .forceSimulation(nodes)
+    .force(
+      "link",
+      d3
+        .forceLink(getLineageLinks(nodes))
+        .id((node) => node.id)
+        .distance(config.force.linkDistance)
+    )
+    .force("charge", d3.forceManyBody().strength(config.force.charge))
+    .force(
+      "collide",
+      d3.forceCollide(
+        (node) => (node.width || 100) / 2 + config.force.collidePadding
+      )
+    );
+}
@@ -3,15 +3,73 @@
  */
 import { config } from "../core/config.js";
 
-export function positionNodes(nodes, layoutMode = config.layoutModes.SPLIT) {
+export function positionNodes(
+  nodes,
+  layoutMode = config.layoutModes.SPLIT,
+  edgeMode = config.edgeModes.DIRECT
+) {
+  // Only the layered layout routes edges through intermediate columns
+  nodes.forEach((node) => {
+    delete node.edgeWaypoints;
+  });
+
   if (layoutMode === config.layoutModes.COLUMN) {
-    return positionColumnLayout(nodes);
+    return positionColumnLayout(nodes, edgeMode);
+  } else if (layoutMode === config.layoutModes.LAYERED) {
+    return positionLayeredLayout(nodes, edgeMode);
   } else {
-    return positionSplitLayout(nodes);
+    return positionSplitLayout(nodes, edgeMode);
   }
 }
 
-function calculateDynamicXSpacing(nodes, generation) {
+/**
+ * Place each junction just right of the column of its rightmost parent,
+ * vertically between its parents. Junctions whose parents are not in `nodes`
+ * keep their previous position.
+ */
+export function positionJunctions(junctions, nodes) {
+  const nodesById = new Map(nodes.map((n) => [n.id, n]));
+
+  // Right edge of every column so junctions of the same column line up
+  const columnRightEdges = new Map();
+  nodes.forEach((node) => {
+    const rightEdge = node.x + (node.width || 100) / 2;
+    if (
+      !columnRightEdges.has(node.x) ||
+      columnRightEdges.get(node.x) < rightEdge
+    ) {
+      columnRightEdges.set(node.x, rightEdge);
+    }
+  });
+
+  const positioned = [];
+  junctions.forEach((junction) => {
+    const parents = junction.parents.map((parentId) => nodesById.get(parentId));
+    if (parents.some((parent) => !parent)) return;
+
+    junction.x =
+      Math.max(...parents.map((parent) => columnRightEdges.get(parent.x))) +
+      config.straightLength +
+      config.junctionSpacing / 2;
+    junction.y = d3.mean(parents, (parent) => parent.y);
+    positioned.push(junction);
+  });
+
+  // Nudge apart junctions that would overlap within a column
+  const minGap = config.junctionRadius * 3;
+  d3.group(positioned, (j) => j.x).forEach((columnJunctions) => {
+    columnJunctions.sort((a, b) => a.y - b.y);
+    for (let i = 1; i < columnJunctions.length; i++) {
+      if (columnJunctions[i].y - columnJunctions[i - 1].y < minGap) {
+        columnJunctions[i].y = columnJunctions[i - 1].y + minGap;
+      }
+    }
+  });
+
+  return junctions;
+}
+
+function calculateDynamicXSpacing(nodes, generation, edgeMode) {
   const currentGenNodes = nodes.filter((n) => n.generation === generation);
   const nextGenNodes = nodes.filter((n) => n.generation === generation + 1);
 
@@ -26,20 +84,24 @@ function calculateDynamicXSpacing(nodes, generation) {
 
   const straightSegments = config.straightLength * 2;
   const gap = config.gap;
-
-  return maxCurrentWidth / 2 + straightSegments + gap + maxNextWidth / 2;
+  // Junction nodes sit in the gap between generations and need extra room
+  const junctionSpacing =
+    edgeMode === config.edgeModes.JUNCTION ? config.junctionSpacing : 0;
+
+  return (
+    maxCurrentWidth / 2 +
+    straightSegments +
+    gap +
+    junctionSpacing +
+    maxNextWidth / 2
+  );
 }
 
-function positionSplitLayout(nodes) {
-  const generationGroups = d3.group(nodes, (d) => d.generation);
+/**
+ * X position of every generation column, starting at 0 for generation 0
+ */
+function getGenerationXPositions(nodes, edgeMode) {
   const maxGeneration = Math.max(...nodes.map((n) => n.generation));
-
-  // Separate generation 0 nodes into childless and with-children
-  const gen0Nodes = nodes.filter((n) => n.generation === 0);
-  const gen0Childless = gen0Nodes.filter((n) => n.children.length === 0);
-  const gen0WithChildren = gen0Nodes.filter((n) => n.children.length > 0);
-
-  // Calculate cumulative X positions with dynamic spacing
   const generationXPositions = new Map();
 
   // Main tree starts at X=0
@@ -47,10 +109,22 @@ function positionSplitLayout(nodes) {
 
   for (let gen = 0; gen < maxGeneration; gen++) {
     const currentX = generationXPositions.get(gen);
-    const spacing = calculateDynamicXSpacing(nodes, gen);
+    const spacing = calculateDynamicXSpacing(nodes, gen, edgeMode);
     generationXPositions.set(gen + 1, currentX + spacing);
   }
 
+  return generationXPositions;
+}
+
+/**
+ * Childless generation 0 bees have no edges, so they go into their own
+ * columns left of the tree (negative generations), sorted by name
+ */
+function positionChildlessBaseNodes(nodes, edgeMode, generationXPositions) {
+  const gen0Childless = nodes.filter(
+    (n) => n.generation === 0 && n.children.length === 0
+  );
+
   // Calculate negative generation positions for childless gen0 bees
   // Determine how many columns needed
   const generationCounts = d3.rollup(
@@ -65,7 +139,7 @@ function positionSplitLayout(nodes) {
 
   // Calculate spacing backwards from generation 0
   // Use average spacing from forward generations for consistency
-  const avgSpacing = calculateDynamicXSpacing(nodes, 0);
+  const avgSpacing = calculateDynamicXSpacing(nodes, 0, edgeMode);
 
   for (let i = 1; i <= numChildlessColumns; i++) {
     generationXPositions.set(-i, -i * avgSpacing);
@@ -104,6 +178,15 @@ function positionSplitLayout(nodes) {
       currentIndex++;
     }
   }
+}
+
+function positionSplitLayout(nodes, edgeMode) {
+  const generationGroups = d3.group(nodes, (d) => d.generation);
+
+  // Calculate cumulative X positions with dynamic spacing
+  const generationXPositions = getGenerationXPositions(nodes, edgeMode);
+
+  positionChildlessBaseNodes(nodes, edgeMode, generationXPositions);
 
   // Position all other nodes (including gen0 with children)
   nodes.forEach((node) => {
@@ -175,7 +258,35 @@ function positionSplitLayout(nodes) {
   return nodes;
 }
 
-function positionColumnLayout(nodes) {
+/**
+ * Column layout's columns of childless species, sorted by generation and
+ * name, starting one column width right of the tree (which ends at treeEndX)
+ */
+export function positionChildlessColumns(childless, treeEndX, nodesPerColumn) {
+  // Sort all childless nodes by generation, then by name
+  childless.sort((a, b) => {
+    if (a.generation !== b.generation) {
+      return a.generation - b.generation;
+    }
+    return (a.name || a.id).localeCompare(b.name || b.id);
+  });
+
+  // Position childless columns: tree end + 1 column width space + childless columns
+  const columnWidth = 150;
+  const columnGap = columnWidth; // Exactly 1 column width of space
+  const childlessColumnStartX = treeEndX + columnGap;
+
+  // Position childless nodes in columns
+  childless.forEach((node, index) => {
+    const columnIndex = Math.floor(index / nodesPerColumn);
+    const rowIndex = index % nodesPerColumn;
+
+    node.x = childlessColumnStartX + columnIndex * columnWidth;
+    node.y = (rowIndex - (nodesPerColumn - 1) / 2) * config.ySpacing + 400;
+  });
+}
+
+function positionColumnLayout(nodes, edgeMode) {
   const maxGeneration = Math.max(...nodes.map((n) => n.generation));
   const leafsPerColumn = 15; // Adjust this for density
 
@@ -189,7 +300,7 @@ function positionColumnLayout(nodes) {
 
   for (let gen = 0; gen < maxGeneration; gen++) {
     const currentX = generationXPositions.get(gen);
-    const spacing = calculateDynamicXSpacing(nodes, gen);
+    const spacing = calculateDynamicXSpacing(nodes, gen, edgeMode);
     generationXPositions.set(gen + 1, currentX + spacing);
   }
 
@@ -203,28 +314,11 @@ function positionColumnLayout(nodes) {
   const maxNodesPerGen = Math.max(...Array.from(generationCounts.values()), 10);
   const nodesPerColumn = Math.max(10, maxNodesPerGen); // Min 10, max = tallest tree column
 
-  // Sort all childless nodes by generation, then by name
-  allChildless.sort((a, b) => {
-    if (a.generation !== b.generation) {
-      return a.generation - b.generation;
-    }
-    return (a.name || a.id).localeCompare(b.name || b.id);
-  });
-
-  // Position childless columns: tree end + 1 column width space + childless columns
-  const columnWidth = 150;
-  const columnGap = columnWidth; // Exactly 1 column width of space
-  const childlessColumnStartX =
-    generationXPositions.get(maxGeneration) + columnGap;
-
-  // Position childless nodes in columns
-  allChildless.forEach((node, index) => {
-    const columnIndex = Math.floor(index / nodesPerColumn);
-    const rowIndex = index % nodesPerColumn;
-
-    node.x = childlessColumnStartX + columnIndex * columnWidth;
-    node.y = (rowIndex - (nodesPerColumn - 1) / 2) * config.ySpacing + 400;
-  });
+  positionChildlessColumns(
+    allChildless,
+    generationXPositions.get(maxGeneration),
+    nodesPerColumn
+  );
 
   // Position non-leaf nodes (including gen0 with children) with center-weighted sorting
   const nonLeafGenerationGroups = d3.group(nonLeafNodes, (d) => d.generation);
@@ -283,3 +377,426 @@ function positionColumnLayout(nodes) {
 
   return nodes;
 }
+
+// Number of edge pairs that cross between two neighbouring layers (edges
+// sorted by upper position, then inversions of the lower positions counted
+// with a Fenwick tree)
+function countCrossings(upper, lower) {
+  const edges = [];
+  upper.forEach((entry) => {
+    entry.down.forEach((next) => edges.push([entry.order, next.order]));
+  });
+  edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const tree = new Array(lower.length + 1).fill(0);
+  let crossings = 0;
+  edges.forEach(([, position], inserted) => {
+    let atOrAbove = 0;
+    for (let i = position + 1; i > 0; i -= i & -i) {
+      atOrAbove += tree[i];
+    }
+    crossings += inserted - atOrAbove;
+    for (let i = position + 1; i <= lower.length; i += i & -i) {
+      tree[i]++;
+    }
+  });
+  return crossings;
+}
+
+/**
+ * Set `y` for the entries of one layer as close to `desired(entry)` as
+ * possible (weighted least squares) while keeping their order and the
+ * minimum separation between neighbours - pool adjacent violators on the
+ * positions with the separations taken out.
+ */
+function placeInOrder(layer, desired, separation) {
+  const offsets = [];
+  let offset = 0;
+  layer.forEach((entry, index) => {
+    if (index > 0) {
+      offset += separation(layer[index - 1], entry);
+    }
+    offsets.push(offset);
+  });
+
+  const blocks = [];
+  layer.forEach((entry, index) => {
+    let block = {
+      value: desired(entry) - offsets[index],
+      weight: entry.isDummy ? config.layered.dummyWeight : 1,
+      count: 1,
+    };
+    while (
+      blocks.length > 0 &&
+      blocks[blocks.length - 1].value >= block.value
+    ) {
+      const previous = blocks.pop();
+      const weight = previous.weight + block.weight;
+      block = {
+        value:
+          (previous.value * previous.weight + block.value * block.weight) /
+          weight,
+        weight,
+        count: previous.count + block.count,
+      };
+    }
+    blocks.push(block);
+  });
+
+  let index = 0;
+  blocks.forEach((block) => {
+    for (let i = 0; i < block.count; i++, index++) {
+      layer[index].y = block.value + offsets[index];
+    }
+  });
+}
+
+/**
+ * Layered (Sugiyama-style) layout: one column per generation like the split
+ * layout, but edges spanning several generations are broken into dummy
+ * nodes, the order within each column is swept by barycenter to reduce
+ * crossings, and vertical positions are pulled toward connected nodes
+ * without breaking that order. Each long edge keeps its route through the
+ * columns in between as `child.edgeWaypoints[parentId]` ([x, y] points, see
+ * buildLinkPath).
+ */
+function positionLayeredLayout(nodes, edgeMode) {
+  const generationXPositions = getGenerationXPositions(nodes, edgeMode);
+  positionChildlessBaseNodes(nodes, edgeMode, generationXPositions);
+
+  const treeNodes = nodes.filter(
+    (n) => !(n.generation === 0 && n.children.length === 0)
+  );
+  if (treeNodes.length === 0) return nodes;
+
+  // Layer entries are species or dummies standing in for part of a long edge
+  const layers = [];
+  const entriesById = new Map();
+  treeNodes.forEach((node) => {
+    const entry = {
+      node,
+      layer: node.generation,
+      height: config.nodeHeight,
+      up: [],
+      down: [],
+    };
+    entriesById.set(node.id, entry);
+    (layers[node.generation] = layers[node.generation] || []).push(entry);
+  });
+  for (let layer = 0; layer < layers.length; layer++) {
+    layers[layer] = layers[layer] || [];
+  }
+
+  const connect = (upper, lower) => {
+    upper.down.push(lower);
+    lower.up.push(upper);
+  };
+
+  // One segment per layer for every parent -> child edge. Edges that do not
+  // go to a later generation (breeding cycles) are left out of the ordering.
+  const routes = [];
+  treeNodes.forEach((child) => {
+    const target = entriesById.get(child.id);
+    new Set(child.parents).forEach((parentId) => {
+      const source = entriesById.get(parentId);
+      if (!source || source.layer >= target.layer) return;
+
+      let previous = source;
+      const dummies = [];
+      for (let layer = source.layer + 1; layer < target.layer; layer++) {
+        const dummy = { layer, height: 0, up: [], down: [], isDummy: true };
+        layers[layer].push(dummy);
+        dummies.push(dummy);
+        connect(previous, dummy);
+        previous = dummy;
+      }
+      connect(previous, target);
+      if (dummies.length > 0) {
+        routes.push({ child, parentId, dummies });
+      }
+    });
+  });
+
+  // Crossing reduction: alternate downward and upward barycenter sweeps and
+  // keep the best order seen
+  const setOrder = (layer) =>
+    layer.forEach((entry, index) => {
+      entry.order = index;
+    });
+  const totalCrossings = () =>
+    layers
+      .slice(1)
+      .reduce(
+        (sum, layer, index) => sum + countCrossings(layers[index], layer),
+        0
+      );
+  const sortByBarycenter = (layer, getNeighbours) => {
+    layer.forEach((entry) => {
+      const neighbours = getNeighbours(entry);
+      entry.barycenter =
+        neighbours.length > 0
+          ? d3.mean(neighbours, (neighbour) => neighbour.order)
+          : entry.order;
+    });
+    layer.sort((a, b) => a.barycenter - b.barycenter || a.order - b.order);
+    setOrder(layer);
+  };
+
+  layers.forEach(setOrder);
+  let bestOrder = layers.map((layer) => layer.slice());
+  let bestCrossings = totalCrossings();
+  for (let sweep = 0; sweep < config.layered.sweeps; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let layer = 1; layer < layers.length; layer++) {
+        sortByBarycenter(layers[layer], (entry) => entry.up);
+      }
+    } else {
+      for (let layer = layers.length - 2; layer >= 0; layer--) {
+        sortByBarycenter(layers[layer], (entry) => entry.down);
+      }
+    }
+    const crossings = totalCrossings();
+    if (crossings < bestCrossings) {
+      bestCrossings = crossings;
+      bestOrder = layers.map((layer) => layer.slice());
+    }
+  }
+  bestOrder.forEach((layer, index) => {
+    layers[index] = layer;
+    setOrder(layer);
+  });
+
+  // Coordinate assignment: species keep ySpacing apart, edges passing
+  // through a column need less room
+  const separation = (a, b) =>
+    a.isDummy || b.isDummy
+      ? (a.height + b.height) / 2 + config.layered.edgeGap
+      : config.ySpacing;
+  layers.forEach((layer) => placeInOrder(layer, () => 0, separation));
+  for (let pass = 0; pass < config.layered.straightenPasses; pass++) {
+    const downward = pass % 2 === 0;
+    const order = downward ? layers : layers.slice().reverse();
+    order.forEach((layer) =>
+      placeInOrder(
+        layer,
+        (entry) => {
+          const neighbours = downward ? entry.up : entry.down;
+          return neighbours.length > 0
+            ? d3.mean(neighbours, (neighbour) => neighbour.y)
+            : entry.y;
+        },
+        separation
+      )
+    );
+  }
+
+  // Centre the tree vertically like the other layouts
+  const entries = layers.flat();
+  const shift =
+    400 - (d3.min(entries, (e) => e.y) + d3.max(entries, (e) => e.y)) / 2;
+  entriesById.forEach((entry) => {
+    entry.node.x = generationXPositions.get(entry.layer);
+    entry.node.y = entry.y + shift;
+  });
+
+  // Long edges run straight across each column they pass, clear of its nodes
+  const halfWidths = layers.map((layer) =>
+    Math.max(
+      50,
+      ...layer
+        .filter((entry) => !entry.isDummy)
+        .map((entry) => (entry.node.width || 100) / 2)
+    )
+  );
+  routes.forEach(({ child, parentId, dummies }) => {
+    child.edgeWaypoints = child.edgeWaypoints || {};
+    child.edgeWaypoints[parentId] = dummies.flatMap((dummy) => {
+      const x = generationXPositions.get(dummy.layer);
+      const y = dummy.y + shift;
+      return [
+        [x - halfWidths[dummy.layer], y],
+        [x + halfWidths[dummy.layer], y],
+      ];
+    });
+  });
+
+  return nodes;
+}
+
+/**
+ * Pick a color index (into config.availableColors) per species. Parents,
+ * children and co-parents always differ; nodes close to each other on the
+ * layout prefer different colors, so positions must be set first.
+ *
+ * @returns {Object} Species ID -> color index
+ */
+export function assignNodeColors(nodes, nodeMap) {
+  const nodeColors = {};
+  const conflicts = new Map();
+
+  // Initialize conflict sets
+  nodes.forEach((node) => {
+    conflicts.set(node.id, new Set());
+  });
+
+  // Add STRICT parent-child conflicts - nodes MUST differ from parents and children
+  nodes.forEach((node) => {
+    node.parents.forEach((parentId) => {
+      if (conflicts.has(parentId)) {
+        conflicts.get(node.id).add(parentId);
+        conflicts.get(parentId).add(node.id);
+      }
+    });
+    node.children.forEach((childId) => {
+      if (conflicts.has(childId)) {
+        conflicts.get(node.id).add(childId);
+        conflicts.get(childId).add(node.id);
+      }
+    });
+
+    // STRICT: Add conflicts between parents of the same node
+    // This ensures parents ALWAYS have different colors from each other
+    if (node.parents.length > 1) {
+      for (let i = 0; i < node.parents.length; i++) {
+        for (let j = i + 1; j < node.parents.length; j++) {
+          const parent1 = node.parents[i];
+          const parent2 = node.parents[j];
+          if (conflicts.has(parent1) && conflicts.has(parent2)) {
+            conflicts.get(parent1).add(parent2);
+            conflicts.get(parent2).add(parent1);
+          }
+        }
+      }
+    }
+  });
+
+  // Add spatial proximity conflicts for better visual separation
+  const proximityThreshold = 100;
+  nodes.forEach((nodeA) => {
+    nodes.forEach((nodeB) => {
+      if (nodeA.id !== nodeB.id) {
+        const distance = Math.sqrt(
+          Math.pow(nodeA.x - nodeB.x, 2) + Math.pow(nodeA.y - nodeB.y, 2)
+        );
+        if (distance < proximityThreshold) {
+          conflicts.get(nodeA.id).add(nodeB.id);
+          conflicts.get(nodeB.id).add(nodeA.id);
+        }
+      }
+    });
+  });
+
+  // Sort nodes by generation first (CRITICAL: color parents before children),
+  // then by number of conflicts for tie-breaking
+  const sortedNodes = nodes.slice().sort((a, b) => {
+    if (a.generation !== b.generation) {
+      return a.generation - b.generation; // Lower generation first
+    }
+    return conflicts.get(b.id).size - conflicts.get(a.id).size;
+  });
+
+  // Assign colors with GUARANTEED parent-child and parent-parent differentiation
+  sortedNodes.forEach((node, nodeIndex) => {
+    const strictForbiddenColors = new Set(); // Colors we MUST NOT use (parents)
+    const preferredAvoidColors = new Set(); // Colors we prefer to avoid (spatial conflicts)
+
+    // STRICT: Collect colors from direct parents (MUST differ from these)
+    node.parents.forEach((parentId) => {
+      if (nodeColors[parentId] !== undefined) {
+        strictForbiddenColors.add(nodeColors[parentId]);
+      }
+    });
+
+    // Collect colors from direct children (MUST differ from these)
+    node.children.forEach((childId) => {
+      if (nodeColors[childId] !== undefined) {
+        strictForbiddenColors.add(nodeColors[childId]);
+      }
+    });
+
+    // STRICT: Collect colors from co-parents (siblings sharing children)
+    // If this node is a parent, ensure it differs from other parents of the same children
+    node.children.forEach((childId) => {
+      const childNode = nodeMap.get(childId);
+      if (childNode) {
+        childNode.parents.forEach((coParentId) => {
+          if (coParentId !== node.id && nodeColors[coParentId] !== undefined) {
+            strictForbiddenColors.add(nodeColors[coParentId]);
+          }
+        });
+      }
+    });
+
+    // Collect colors from other spatial conflicts (prefer to avoid, but not strict)
+    conflicts.get(node.id).forEach((conflictId) => {
+      if (nodeColors[conflictId] !== undefined) {
+        const color = nodeColors[conflictId];
+        if (!strictForbiddenColors.has(color)) {
+          preferredAvoidColors.add(color);
+        }
+      }
+    });
+
+    // Create a preferred color based on generation and position for diversity
+    const preferredColor =
+      (node.generation * 3 + Math.abs(node.y) / 50) %
+      config.availableColors.length;
+
+    // Try preferred color first if it's not strictly forbidden
+    if (!strictForbiddenColors.has(Math.floor(preferredColor))) {
+      nodeColors[node.id] = Math.floor(preferredColor);
+    } else {
+      // Find first available color that's not strictly forbidden
+      // Prefer colors that aren't in preferredAvoidColors either
+      let colorIndex = -1;
+
+      // First pass: try to find a color that avoids both strict and preferred conflicts
+      for (let i = 0; i < config.availableColors.length; i++) {
+        const testIndex = (nodeIndex * 7 + i) % config.availableColors.length;
+        if (
+          !strictForbiddenColors.has(testIndex) &&
+          !preferredAvoidColors.has(testIndex)
+        ) {
+          colorIndex = testIndex;
+          break;
+        }
+      }
+
+      // Second pass: if no "perfect" color found, just avoid strict conflicts
+      if (colorIndex === -1) {
+        for (let i = 0; i < config.availableColors.length; i++) {
+          if (!strictForbiddenColors.has(i)) {
+            colorIndex = i;
+            break;
+          }
+        }
+      }
+
+      // ABSOLUTE GUARANTEE: This should never happen with 15 colors, but if it does,
+      // use a deterministic hash and then force it to differ from parents
+      if (colorIndex === -1) {
+        colorIndex =
+          Math.abs(
+            node.id.split("").reduce((a, b) => {
+              a = (a << 5) - a + b.charCodeAt(0);
+              return a & a;
+            }, 0)
+          ) % config.availableColors.length;
+
+        // Force differentiation from parents
+        let safetyAttempts = 0;
+        while (
+          strictForbiddenColors.has(colorIndex) &&
+          safetyAttempts < config.availableColors.length
+        ) {
+          colorIndex = (colorIndex + 1) % config.availableColors.length;
+          safetyAttempts++;
+        }
+      }
+
+      nodeColors[node.id] = colorIndex;
+    }
+  });
+
+  return nodeColors;
+}
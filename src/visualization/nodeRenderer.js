@@ -82,60 +82,19 @@ export function renderNodes(svg, nodes, links, nodeMap, nodeColors) {
     borderElement.attr("stroke", isBaseBee ? "#000" : "#ddd");
 
     if (inputLinks.length > 0) {
-      // Sort input links using the same logic as edge crossing minimization
-      const sortedLinks = inputLinks
-        .map((link) => {
-          return {
-            link,
-            sourceY: nodeMap.get(link.source).y,
-          };
-        })
-        .sort((a, b) => a.sourceY - b.sourceY)
-        .map((item, index) => {
-          let targetYOffset = 0;
-          if (inputLinks.length > 1) {
-            const spacing = config.spacing;
-            const totalHeight = (inputLinks.length - 1) * spacing;
-            targetYOffset = index * spacing - totalHeight / 2;
-          }
-          return {
-            link: item.link,
-            offset: targetYOffset,
-            index,
-          };
-        });
+      const { topColor, bottomColor } = getBorderColors(
+        inputLinks,
+        nodeMap,
+        nodeColors
+      );
 
       if (inputLinks.length === 1) {
         // Single input - use that color for entire border
-        const edgeColor =
-          config.availableColors[nodeColors[sortedLinks[0].link.source] || 0];
-        borderElement.attr("stroke", edgeColor);
+        borderElement.attr("stroke", topColor);
       } else {
         // Multiple inputs - remove the main border and create separate colored segments
         borderElement.remove();
 
-        // Find the colors based on actual spatial position (top/bottom)
-        const topLinks = sortedLinks.filter((item) => item.offset < 0); // Negative offset = above center
-        const bottomLinks = sortedLinks.filter((item) => item.offset >= 0); // Positive/zero offset = below center
-
-        // Get colors for top and bottom edges based on spatial position
-        const topColor =
-          topLinks.length > 0
-            ? config.availableColors[
-                nodeColors[topLinks[topLinks.length - 1].link.source] || 0
-              ]
-            : config.availableColors[
-                nodeColors[sortedLinks[0].link.source] || 0
-              ];
-        const bottomColor =
-          bottomLinks.length > 0
-            ? config.availableColors[
-                nodeColors[bottomLinks[0].link.source] || 0
-              ]
-            : config.availableColors[
-                nodeColors[sortedLinks[sortedLinks.length - 1].link.source] || 0
-              ];
-
         // Top edge segment - complete top with both corners
         const topPath = `M${-halfWidth},${
           -config.nodeHeight / 2 + config.borderRadiusY
@@ -206,3 +165,108 @@ export function renderNodes(svg, nodes, links, nodeMap, nodeColors) {
 
   return { nodeGroup, node };
 }
+
+/**
+ * Border colors of a species from the links into it: black without any, the
+ * parent's color for one, otherwise the colors of the links arriving just
+ * above and just below the middle of the node (links arrive sorted by the
+ * height of their parent, see assignTargetOffsets)
+ *
+ * @returns {Object} { topColor, bottomColor }
+ */
+export function getBorderColors(inputLinks, nodeMap, nodeColors) {
+  if (inputLinks.length === 0) {
+    return { topColor: "#000", bottomColor: "#000" };
+  }
+  const sortedLinks = inputLinks
+    .slice()
+    .sort((a, b) => nodeMap.get(a.source).y - nodeMap.get(b.source).y);
+  const colorOf = (link) =>
+    config.availableColors[nodeColors[link.source] || 0];
+
+  // The middle link (odd count) arrives at the center and counts as below it
+  const bottomIndex = Math.floor(sortedLinks.length / 2);
+  return {
+    topColor: colorOf(sortedLinks[Math.max(0, bottomIndex - 1)]),
+    bottomColor: colorOf(sortedLinks[bottomIndex]),
+  };
+}
+
+/**
+ * Small circles for junction mode - one per parent pair, between the parents
+ * and the children that pair can produce
+ */
+export function renderJunctionNodes(svg, junctions) {
+  const junctionGroup = svg.append("g").attr("class", "junctions");
+
+  const junction = junctionGroup
+    .selectAll(".junction")
+    .data(junctions)
+    .join("circle")
+    .attr("class", "junction")
+    .attr("r", config.junctionRadius)
+    .attr("transform", (d) => `translate(${d.x},${d.y})`);
+
+  junction.append("title").text((d) => d.name);
+
+  return { junctionGroup, junction };
+}
+
+// Ring styles for inventory mode - owned, breedable now, reachable later
+const inventoryRingStyles = {
+  owned: { stroke: "#ffb300", width: 3, dash: null },
+  breedable: { stroke: "#2e7d32", width: 3, dash: "8,4" },
+  reachable: { stroke: "#1e88e5", width: 2, dash: "2,4" },
+};
+
+/**
+ * Apply inventory styles to rendered nodes.
+ * getStatus(d) returns "owned" | "breedable" | "reachable" | "locked", or null to clear.
+ */
+export function applyInventoryStyles(node, getStatus) {
+  node.each(function (d) {
+    const nodeElement = d3.select(this);
+    const status = getStatus ? getStatus(d) : null;
+
+    nodeElement.selectAll(".inventory-ring").remove();
+    nodeElement
+      .classed("inventory-owned", status === "owned")
+      .classed("inventory-breedable", status === "breedable")
+      .classed("inventory-reachable", status === "reachable")
+      .classed("inventory-locked", status === "locked");
+
+    // Locked species are washed out, everything else keeps its normal fill
+    nodeElement
+      .select("rect")
+      .style("fill-opacity", status === "locked" ? 0.35 : null);
+
+    const ringStyle = inventoryRingStyles[status];
+    if (!ringStyle) return;
+
+    // Sits just outside the colored border, inside the red selection outline
+    const ringOffset = 4;
+    const halfWidth = d.width / 2 + ringOffset;
+    const halfHeight = config.nodeHeight / 2 + ringOffset;
+    const rx = config.borderRadiusX + ringOffset;
+    const ry = config.borderRadiusY + ringOffset;
+
+    nodeElement
+      .insert("path", ":first-child")
+      .attr(
+        "d",
+        `M${-halfWidth + rx},${-halfHeight} L${halfWidth - rx},${-halfHeight}
+         Q${halfWidth},${-halfHeight} ${halfWidth},${-halfHeight + ry}
+         L${halfWidth},${halfHeight - ry}
+         Q${halfWidth},${halfHeight} ${halfWidth - rx},${halfHeight}
+         L${-halfWidth + rx},${halfHeight}
+         Q${-halfWidth},${halfHeight} ${-halfWidth},${halfHeight - ry}
+         L${-halfWidth},${-halfHeight + ry}
+         Q${-halfWidth},${-halfHeight} ${-halfWidth + rx},${-halfHeight} Z`
+      )
+      .attr("fill", "none")
+      .attr("stroke", ringStyle.stroke)
+      .attr("stroke-width", ringStyle.width)
+      .attr("stroke-dasharray", ringStyle.dash)
+      .attr("class", "inventory-ring");
+  });
+}
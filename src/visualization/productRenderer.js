@@ -0,0 +1,148 @@
+/**
+ * Product layer: item nodes attached to the bees that produce them
+ */
+import { config } from "../core/config.js";
+import { formatChance } from "../utils/helpers.js";
+
+/**
+ * One node per item produced by a species in nodeMap, with a link from each producer
+ *
+ * @param {Map} productIndex - From buildProductIndex
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID
+ * @returns {Object} { productNodes, productLinks }
+ */
+export function buildProductLayer(productIndex, nodeMap) {
+  const productNodes = [];
+  const productLinks = [];
+
+  productIndex.forEach((item) => {
+    const producers = item.producers.filter((producer) =>
+      nodeMap.has(producer.speciesId)
+    );
+    if (producers.length === 0) return;
+
+    const productNode = {
+      id: `product:${item.id}`,
+      itemId: item.id,
+      name: item.name,
+      isComb: item.isComb,
+      width: Math.max(60, item.name.length * 6 + 16),
+      producers: Array.from(
+        new Set(producers.map((producer) => producer.speciesId))
+      ),
+    };
+    productNodes.push(productNode);
+
+    producers.forEach((producer) => {
+      productLinks.push({
+        source: producer.speciesId,
+        target: productNode.id,
+        chance: producer.chance,
+        isSpecialty: producer.isSpecialty,
+      });
+    });
+  });
+
+  return { productNodes, productLinks };
+}
+
+/**
+ * Place product nodes in a column right of the visible bees, each next to the
+ * average height of its visible producers, pushed apart so they don't overlap.
+ *
+ * @param {Array} productNodes - From buildProductLayer
+ * @param {Map} nodeMap - Hierarchy nodes keyed by species ID
+ * @param {Function} isVisible - Species ID -> whether its node is shown
+ */
+export function positionProductNodes(productNodes, nodeMap, isVisible) {
+  const visibleNodes = Array.from(nodeMap.values()).filter((node) =>
+    isVisible(node.id)
+  );
+  if (visibleNodes.length === 0) return;
+
+  const columnLeft =
+    d3.max(visibleNodes, (node) => node.x + node.width / 2) +
+    config.productSpacing;
+
+  const placed = productNodes
+    .map((productNode) => {
+      const producerYs = productNode.producers
+        .filter((speciesId) => isVisible(speciesId))
+        .map((speciesId) => nodeMap.get(speciesId).y);
+      productNode.x = columnLeft + productNode.width / 2;
+      if (producerYs.length > 0) {
+        productNode.y = d3.mean(producerYs);
+      }
+      return { productNode, visible: producerYs.length > 0 };
+    })
+    .filter((entry) => entry.visible)
+    .map((entry) => entry.productNode)
+    .sort((a, b) => a.y - b.y);
+
+  const minGap = config.productNodeHeight + config.productNodeGap;
+  for (let i = 1; i < placed.length; i++) {
+    placed[i].y = Math.max(placed[i].y, placed[i - 1].y + minGap);
+  }
+}
+
+/**
+ * Path from the right edge of a bee to the left edge of a product node
+ */
+export function buildProductLinkPath(d, nodeMap, productMap) {
+  const source = nodeMap.get(d.source);
+  const target = productMap.get(d.target);
+  const sourceX = source.x + source.width / 2;
+  const targetX = target.x - target.width / 2;
+
+  return `M${sourceX},${source.y} L${sourceX + config.straightLength},${
+    source.y
+  } L${targetX - config.straightLength},${target.y} L${targetX},${target.y}`;
+}
+
+export function renderProductLayer(svg, productNodes, productLinks) {
+  const productGroup = svg.append("g").attr("class", "products");
+
+  const productLink = productGroup
+    .selectAll(".product-link")
+    .data(productLinks)
+    .join("path")
+    .attr("class", "product-link")
+    .attr("fill", "none")
+    .attr("stroke", (d) =>
+      d.isSpecialty ? config.specialtyLinkColor : config.productLinkColor
+    );
+
+  productLink
+    .append("title")
+    .text(
+      (d) =>
+        `${d.source} → ${d.target.replace(/^product:/, "")}: ${formatChance(
+          d.chance
+        )}${d.isSpecialty ? " (specialty)" : ""}`
+    );
+
+  const productNode = productGroup
+    .selectAll(".product-node")
+    .data(productNodes)
+    .join("g")
+    .attr("class", "product-node")
+    .classed("comb", (d) => d.isComb);
+
+  productNode
+    .append("rect")
+    .attr("width", (d) => d.width)
+    .attr("height", config.productNodeHeight)
+    .attr("x", (d) => -d.width / 2)
+    .attr("y", -config.productNodeHeight / 2)
+    .attr("rx", config.productNodeHeight / 2);
+
+  productNode
+    .append("text")
+    .attr("dy", "0.35em")
+    .attr("text-anchor", "middle")
+    .text((d) => d.name);
+
+  productNode.append("title").text((d) => d.itemId);
+
+  return { productGroup, productNode, productLink };
+}
@@ -0,0 +1,243 @@
+/**
+ * Export of the rendered tree: standalone SVG, PNG and a printable poster
+ */
+import { config } from "../core/config.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Presentation properties copied from the page's stylesheet onto each element
+const styleProperties = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "stroke-linecap",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+];
+
+// Explanation printed on the poster's first page
+const posterLegend = [
+  "Black outline - bee has no parents (start of a breeding chain)",
+  "Black fill - bee has no children (end of a breeding chain)",
+  "Edge color - color of the parent the edge comes from",
+  "Border color - color of the parents the bee is bred from",
+  "Dashed edge - mutation not possible in the selected environment",
+  "Small dot - junction joining one pair of parents",
+];
+
+/**
+ * Copy the tree group with every rendered style written inline, leaving out
+ * hidden elements and those rejected by `keep`.
+ *
+ * @param {SVGGElement} group - The zoomed group holding the tree
+ * @param {Function} keep - Element -> whether to export it (and its children)
+ * @returns {SVGGElement} Detached copy without the zoom transform
+ */
+export function cloneStyledTree(group, keep = () => true) {
+  const copy = group.cloneNode(true);
+  copy.removeAttribute("transform");
+
+  const originals = [group, ...group.querySelectorAll("*")];
+  const copies = [copy, ...copy.querySelectorAll("*")];
+  const removed = [];
+  originals.forEach((original, index) => {
+    // Definitions (requirement badges) are only drawn where they are used
+    if (original.closest("defs")) return;
+
+    // The group itself is hidden while the canvas renderer draws it
+    const style = window.getComputedStyle(original);
+    if ((index > 0 && style.display === "none") || !keep(original)) {
+      removed.push(copies[index]);
+      return;
+    }
+    styleProperties.forEach((property) => {
+      const value = style.getPropertyValue(property);
+      if (value) {
+        copies[index].style.setProperty(property, value);
+      }
+    });
+  });
+  removed.forEach((element) => element.remove());
+
+  return copy;
+}
+
+/**
+ * Standalone SVG document around an exported tree group
+ *
+ * @param {SVGGElement} tree - From cloneStyledTree
+ * @param {Object} bounds - { x, y, width, height } in tree coordinates
+ * @returns {string} SVG markup
+ */
+export function buildSvgDocument(tree, bounds) {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("width", Math.ceil(bounds.width));
+  svg.setAttribute("height", Math.ceil(bounds.height));
+  svg.setAttribute(
+    "viewBox",
+    `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`
+  );
+
+  const background = document.createElementNS(SVG_NS, "rect");
+  background.setAttribute("x", bounds.x);
+  background.setAttribute("y", bounds.y);
+  background.setAttribute("width", bounds.width);
+  background.setAttribute("height", bounds.height);
+  background.setAttribute("fill", "white");
+  svg.appendChild(background);
+  svg.appendChild(tree);
+
+  return new XMLSerializer().serializeToString(svg);
+}
+
+/**
+ * Render SVG markup to a PNG at config.exportPixelRatio, scaled down when the
+ * canvas would get larger than browsers allow
+ *
+ * @returns {Promise<Blob>} The PNG image
+ */
+export function svgToPngBlob(svgText, width, height) {
+  const scale = Math.min(
+    config.exportPixelRatio,
+    config.maxExportCanvasSize / width,
+    config.maxExportCanvasSize / height
+  );
+
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svgText], { type: "image/svg+xml" })
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) =>
+        blob ? resolve(blob) : reject(new Error("Canvas is too large"))
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the SVG"));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Printable HTML poster: a cover page with the legend and a map of the tiles,
+ * then one landscape page per tile. Tiles overlap slightly so cut pages can
+ * be lined up.
+ *
+ * @param {SVGGElement} tree - From cloneStyledTree
+ * @param {Object} bounds - { x, y, width, height } in tree coordinates
+ * @param {Object} options - `columns` (pages across) and `title`
+ * @returns {string} HTML document
+ */
+export function buildPosterDocument(tree, bounds, options) {
+  const { page } = config.poster;
+  const columns = Math.max(1, options.columns);
+  const pageAspect = page.width / (page.height - page.captionHeight);
+  const overlap = config.poster.overlap;
+
+  const tileWidth = bounds.width / (columns - (columns - 1) * overlap);
+  const tileHeight = tileWidth / pageAspect;
+  const rows = Math.max(
+    1,
+    Math.ceil(
+      (bounds.height - tileHeight * overlap) / (tileHeight * (1 - overlap))
+    )
+  );
+
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({
+        row,
+        column,
+        x: bounds.x + column * tileWidth * (1 - overlap),
+        y: bounds.y + row * tileHeight * (1 - overlap),
+      });
+    }
+  }
+
+  tree.setAttribute("id", "tree");
+  const treeMarkup = new XMLSerializer().serializeToString(tree);
+  const tileLabel = (tile) => `Row ${tile.row + 1}, column ${tile.column + 1}`;
+  const escapeText = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+  // Cover: whole tree with the tile grid drawn over it
+  const gridLines = tiles
+    .map(
+      (tile) =>
+        `<rect x="${tile.x}" y="${tile.y}" width="${tileWidth}" height="${tileHeight}" fill="none" stroke="#007bff" stroke-width="${
+          bounds.width / 400
+        }"/><text x="${tile.x + tileWidth / 2}" y="${
+          tile.y + tileHeight / 2
+        }" font-size="${
+          tileHeight / 6
+        }" text-anchor="middle" fill="#007bff" fill-opacity="0.6">${
+          tile.row + 1
+        }/${tile.column + 1}</text>`
+    )
+    .join("");
+  const cover = `<div class="page cover">
+  <h1>${escapeText(options.title)}</h1>
+  <ul>${posterLegend.map((entry) => `<li>${entry}</li>`).join("")}</ul>
+  <p>${rows * columns} pages, ${columns} across and ${rows} down - pages overlap by ${Math.round(
+    overlap * 100
+  )}%. Tiles are labeled row/column.</p>
+  <svg class="overview" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${
+    tiles[tiles.length - 1].y + tileHeight - bounds.y
+  }"><use href="#tree"/>${gridLines}</svg>
+</div>`;
+
+  const pages = tiles
+    .map(
+      (tile) => `<div class="page">
+  <div class="caption">${escapeText(options.title)} - ${tileLabel(tile)}</div>
+  <svg class="tile" viewBox="${tile.x} ${tile.y} ${tileWidth} ${tileHeight}"><use href="#tree"/></svg>
+</div>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeText(options.title)}</title>
+<style>
+  @page { size: ${page.width}mm ${page.height}mm; margin: 0; }
+  body { margin: 0; font-family: Arial, sans-serif; }
+  .page { width: ${page.width}mm; height: ${
+    page.height
+  }mm; box-sizing: border-box; padding: ${
+    page.margin
+  }mm; page-break-after: always; overflow: hidden; }
+  .caption { height: ${page.captionHeight}mm; font-size: 10pt; color: #555; }
+  .tile { width: 100%; height: calc(100% - ${page.captionHeight}mm); }
+  .cover h1 { margin: 0 0 4mm; font-size: 18pt; }
+  .cover ul { margin: 0 0 4mm; font-size: 10pt; }
+  .cover p { font-size: 10pt; }
+  .overview { width: 100%; height: 110mm; }
+</style>
+</head>
+<body>
+<svg width="0" height="0" style="position: absolute"><defs>${treeMarkup}</defs></svg>
+${cover}
+${pages}
+</body>
+</html>
+`;
+}
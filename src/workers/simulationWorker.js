@@ -0,0 +1,22 @@
+/**
+ * Web Worker running the breeding simulator off the UI thread.
+ *
+ * Receives { input, options } (see simulateBreedingPlan) and posts
+ * { type: "progress", completed } messages followed by one
+ * { type: "result", result } or { type: "error", message }.
+ */
+import { simulateBreedingPlan } from "../data/simulator.js";
+
+self.onmessage = (event) => {
+  const { input, options } = event.data;
+  try {
+    const result = simulateBreedingPlan(input, {
+      ...options,
+      onProgress: (completed) =>
+        self.postMessage({ type: "progress", completed }),
+    });
+    self.postMessage({ type: "result", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
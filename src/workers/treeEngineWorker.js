@@ -0,0 +1,42 @@
+/**
+ * Web Worker hosting the tree engine (see src/data/treeEngine.js) so loading,
+ * layout and path searches stay off the UI thread.
+ *
+ * Receives { id, type, payload } and posts { id, type: "progress", progress }
+ * messages followed by one { id, type: "result", result } or
+ * { id, type: "error", message }. When d3 or jsonc-parser cannot be imported
+ * every request is answered with { id, type: "unavailable", message }, and
+ * the page runs the engine itself.
+ */
+import { config } from "../core/config.js";
+import { createTreeEngine } from "../data/treeEngine.js";
+
+// The engine's modules expect the same globals as in the page
+const ready = Promise.all([
+  import(config.engineModules.d3),
+  import(config.engineModules.jsoncParser),
+]).then(([d3, jsoncparser]) => {
+  self.d3 = d3;
+  self.jsoncparser = jsoncparser;
+});
+
+const engine = createTreeEngine();
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  try {
+    await ready;
+  } catch (error) {
+    self.postMessage({ id, type: "unavailable", message: error.message });
+    return;
+  }
+
+  try {
+    const result = await engine.handle(type, payload, (progress) =>
+      self.postMessage({ id, type: "progress", progress })
+    );
+    self.postMessage({ id, type: "result", result });
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};